@@ -0,0 +1,14 @@
+#!/usr/bin/env node
+/* ------------------------------------------------------------------
+* node-upnp-utils - upnp-utils (command-line tool)
+*
+* Copyright (c) 2017 - 2024, Futomi Hatano, All rights reserved.
+* Released under the MIT license
+* Date: 2024-07-06
+* ---------------------------------------------------------------- */
+'use strict';
+const UPnPUtilsCli = require('../lib/upnp-utils-cli.js');
+
+new UPnPUtilsCli().run(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+});
@@ -0,0 +1,580 @@
+/* ------------------------------------------------------------------
+* node-upnp-utils - upnp-utils-advertiser.js
+*
+* Copyright (c) 2017 - 2024, Futomi Hatano, All rights reserved.
+* Released under the MIT license
+* Date: 2024-07-06
+* ---------------------------------------------------------------- */
+'use strict';
+const mEventEmitter = require('events');
+const mDgram = require('dgram');
+const mOs = require('os');
+const mNet = require('net');
+const mPackage = require('../package.json');
+const mUpnpUtilsSsdp = require('./upnp-utils-ssdp.js');
+const mUpnpUtilsErrors = require('./upnp-utils-errors.js');
+
+class UPnPUtilsAdvertiser extends mEventEmitter {
+    /* ------------------------------------------------------------------
+    * Constructor
+    *
+    * [Arguments]
+    * - params      | Object  | Optional |
+    *   - server    | String  | Optional | SERVER header value.
+    *               |         |          | The default value is generated from
+    *               |         |          | the OS name and the module version.
+    *   - configId  | Integer | Optional | CONFIGID.UPNP.ORG header value.
+    *               |         |          | The default value is 1.
+    *   - multicastAddress | String | Optional | IPv4 multicast address for SSDP.
+    *               |         |          | The default value is "239.255.255.250".
+    *   - ssdpPort  | Integer | Optional | Port number for SSDP.
+    *               |         |          | The default value is 1900.
+    *   - bindAddress | String | Optional | Local IPv4 address to which the
+    *               |         |          | UDP socket is bound.
+    *   - createSocket | Function | Optional | Factory function which
+    *               |         |          | creates a UDP socket.
+    * - netif_address_list | Array | Optional | List of local IP addresses
+    *               |         |          | used for the multicast.
+    * ---------------------------------------------------------------- */
+    constructor(params = {}, netif_address_list = []) {
+        super();
+
+        if (typeof (params) !== 'object') {
+            throw new Error('The 1st argument must be an object.');
+        }
+
+        const server = ('server' in params) ? params['server'] : this._getDefaultServerString();
+        if (typeof (server) !== 'string' || server === '' || /[\r\n]/.test(server)) {
+            throw new Error('The value of "server" is invalid. It must be a non-empty string without line breaks.');
+        }
+
+        const config_id = ('configId' in params) ? params['configId'] : 1;
+        if (typeof (config_id) !== 'number' || config_id % 1 !== 0 || config_id < 0 || config_id > 16777215) {
+            throw new Error('The value of "configId" is invalid. It must be an integer between 0 and 16777215.');
+        }
+
+        this._MULTICAST_ADDR = params['multicastAddress'] || '239.255.255.250';
+        this._SSDP_PORT = params['ssdpPort'] || 1900;
+        this._BIND_ADDR = params['bindAddress'] || '';
+        this._createUdpSocket = params['createSocket'] || ((opts) => {
+            return mDgram.createSocket(opts);
+        });
+
+        this._server = server;
+        this._config_id = config_id;
+        this._boot_id = 0;
+        this._netif_address_list = netif_address_list;
+
+        this._udp = null;
+        this._devices = {};
+        this._is_advertising = false;
+        this._notify_timers = {};
+        this._response_timers = [];
+    }
+
+    _getDefaultServerString() {
+        return mOs.type() + '/' + mOs.release() + ' UPnP/1.1 node-upnp-utils/' + mPackage.version;
+    }
+
+    _wait(msec) {
+        return new Promise((resolve) => {
+            setTimeout(() => {
+                resolve();
+            }, msec);
+        });
+    }
+
+    // The `error` event is emitted only if it is listened, so that an
+    // advertiser without the listener is not crashed.
+    _emitError(error) {
+        if (this.listenerCount('error') > 0) {
+            this.emit('error', error);
+        }
+    }
+
+    /* ------------------------------------------------------------------
+    * addDevice(params)
+    *
+    * This method registers a root device to be advertised.
+    * If the advertisement is already running, `ssdp:alive` messages
+    * for the device are sent immediately.
+    *
+    * [Arguments]
+    * - params         | Object  | Required |
+    *   - udn          | String  | Required | UDN of the root device (e.g., "uuid:...").
+    *   - deviceType   | String  | Required | Device type of the root device.
+    *   - location     | String  | Required | URL of the device description.
+    *   - serviceTypes | Array   | Optional | List of service types of the root device.
+    *   - maxAge       | Integer | Optional | max-age in the CACHE-CONTROL header.
+    *                  |         |          | The value must be in the range of 60 to 86400.
+    *                  |         |          | The default value is 1800 (seconds).
+    *   - devices      | Array   | Optional | List of embedded devices. Each element must be
+    *                  |         |          | an object containing `udn`, `deviceType` and
+    *                  |         |          | `serviceTypes` (optional).
+    * ---------------------------------------------------------------- */
+    async addDevice(params) {
+        const device = this._checkDeviceParams(params);
+        if (this._devices[device.udn]) {
+            throw new Error('The device "' + device.udn + '" has already been added.');
+        }
+        this._devices[device.udn] = device;
+
+        if (this._is_advertising === true) {
+            await this._sendNotifyForDevice(device, 'ssdp:alive');
+            this._scheduleNotify(device);
+        }
+    }
+
+    _checkDeviceParams(params) {
+        if (!params || typeof (params) !== 'object') {
+            throw new Error('The 1st argument must be an object.');
+        }
+
+        const location = params['location'];
+        if (typeof (location) !== 'string' || !/^https?:\/\/[^\/]+/.test(location) || /\s/.test(location)) {
+            throw new Error('The value of "location" is invalid. It must be an HTTP URL.');
+        }
+
+        const max_age = ('maxAge' in params) ? params['maxAge'] : 1800;
+        if (typeof (max_age) !== 'number' || max_age % 1 !== 0 || max_age < 60 || max_age > 86400) {
+            throw new Error('The value of "maxAge" is invalid. It must be an integer between 60 and 86400.');
+        }
+
+        const root = this._checkDeviceTypeParams(params);
+        const embedded_list = [];
+        if ('devices' in params) {
+            if (!Array.isArray(params['devices'])) {
+                throw new Error('The value of "devices" is invalid. It must be an array.');
+            }
+            for (const p of params['devices']) {
+                if (!p || typeof (p) !== 'object') {
+                    throw new Error('Each element in the "devices" must be an object.');
+                }
+                embedded_list.push(this._checkDeviceTypeParams(p));
+            }
+        }
+
+        return {
+            udn: root.udn,
+            location: location,
+            maxAge: max_age,
+            entries: this._createNotifyEntries(root, embedded_list)
+        };
+    }
+
+    _checkDeviceTypeParams(params) {
+        const udn = params['udn'];
+        if (typeof (udn) !== 'string' || !/^uuid\:\S+$/.test(udn)) {
+            throw new Error('The value of "udn" is invalid. It must be a string starting with "uuid:".');
+        }
+
+        const device_type = params['deviceType'];
+        if (typeof (device_type) !== 'string' || !/^urn\:\S+\:device\:\S+\:\d+$/.test(device_type)) {
+            throw new Error('The value of "deviceType" is invalid. It must be a string like "urn:schemas-upnp-org:device:deviceType:ver".');
+        }
+
+        const service_types = ('serviceTypes' in params) ? params['serviceTypes'] : [];
+        if (!Array.isArray(service_types)) {
+            throw new Error('The value of "serviceTypes" is invalid. It must be an array.');
+        }
+        for (const st of service_types) {
+            if (typeof (st) !== 'string' || !/^urn\:\S+\:service\:\S+\:\d+$/.test(st)) {
+                throw new Error('The value of "serviceTypes" is invalid. Each element must be a string like "urn:schemas-upnp-org:service:serviceType:ver".');
+            }
+        }
+
+        return {
+            udn: udn,
+            deviceType: device_type,
+            serviceTypes: service_types
+        };
+    }
+
+    // Create the list of NT/USN combinations defined in the UPnP Device
+    // Architecture (the section 1.1.2 "SSDP message header fields").
+    _createNotifyEntries(root, embedded_list) {
+        const entries = [];
+        entries.push({ nt: 'upnp:rootdevice', usn: root.udn + '::upnp:rootdevice' });
+
+        for (const dev of [root].concat(embedded_list)) {
+            entries.push({ nt: dev.udn, usn: dev.udn });
+            entries.push({ nt: dev.deviceType, usn: dev.udn + '::' + dev.deviceType });
+        }
+
+        // A service type is advertised only once per device even if the
+        // device has multiple service instances of the same type.
+        for (const dev of [root].concat(embedded_list)) {
+            const service_types = Array.from(new Set(dev.serviceTypes));
+            for (const st of service_types) {
+                entries.push({ nt: st, usn: dev.udn + '::' + st });
+            }
+        }
+        return entries;
+    }
+
+    /* ------------------------------------------------------------------
+    * removeDevice(udn)
+    *
+    * This method unregisters the specified root device. If the
+    * advertisement is running, `ssdp:byebye` messages for the device
+    * are sent.
+    *
+    * [Arguments]
+    * - udn | String | Required | UDN of the root device
+    * ---------------------------------------------------------------- */
+    async removeDevice(udn) {
+        const device = this._devices[udn];
+        if (!device) {
+            throw new Error('The device "' + udn + '" is not found.');
+        }
+        this._clearNotifyTimer(udn);
+        delete this._devices[udn];
+
+        if (this._is_advertising === true) {
+            await this._sendNotifyForDevice(device, 'ssdp:byebye');
+        }
+    }
+
+    /* ------------------------------------------------------------------
+    * start()
+    *
+    * This method starts the advertisement. `ssdp:alive` messages are
+    * sent for all registered devices, then they are sent periodically
+    * until the stop() method is called. Besides, M-SEARCH requests are
+    * monitored and the matching devices and services respond to them.
+    *
+    * If no IPv4 network interface is available, an Error is thrown.
+    * If the UDP socket could not be bound, a `SocketBindError` is thrown.
+    * If the multicast group could not be joined on any interface, a
+    * `MulticastJoinError` is thrown. If it failed only on some interfaces,
+    * the `MulticastJoinError` is reported by the `error` event. If the
+    * `ssdp:alive` messages could not be sent, the error is thrown and the
+    * advertisement is stopped.
+    * ---------------------------------------------------------------- */
+    async start() {
+        if (this._is_advertising === true) {
+            throw new Error('The advertisement is already running.');
+        }
+        if (this._netif_address_list.length === 0) {
+            throw new Error('No IPv4 network interface is available for the advertisement.');
+        }
+
+        this._is_advertising = true;
+        this._boot_id = Math.floor(Date.now() / 1000) % 2147483648;
+
+        try {
+            await this._startListening();
+        } catch (error) {
+            this._is_advertising = false;
+            throw error;
+        }
+
+        try {
+            for (const device of Object.values(this._devices)) {
+                await this._sendNotifyForDevice(device, 'ssdp:alive');
+                this._scheduleNotify(device);
+            }
+        } catch (error) {
+            for (const udn of Object.keys(this._notify_timers)) {
+                this._clearNotifyTimer(udn);
+            }
+            this._is_advertising = false;
+            await this._stopListening();
+            throw error;
+        }
+    }
+
+    _startListening() {
+        return new Promise((resolve, reject) => {
+            this._udp = this._createUdpSocket({
+                type: 'udp4',
+                reuseAddr: true
+            });
+
+            const bind_opts = { port: this._SSDP_PORT };
+            if (this._BIND_ADDR && mNet.isIPv4(this._BIND_ADDR)) {
+                bind_opts['address'] = this._BIND_ADDR;
+            }
+
+            this._udp.once('error', (error) => {
+                const addr = bind_opts['address'] || '0.0.0.0';
+                const msg = 'Failed to bind the UDP socket to ' + addr + ':' + this._SSDP_PORT + ': ' + error.message;
+                this._udp = null;
+                reject(new mUpnpUtilsErrors.SocketBindError(msg, { address: addr, port: this._SSDP_PORT, cause: error }));
+            });
+
+            this._udp.once('listening', () => {
+                const errors = [];
+                for (const netif_address of this._netif_address_list) {
+                    try {
+                        this._udp.addMembership(this._MULTICAST_ADDR, netif_address);
+                    } catch (e) {
+                        errors.push(this._createMembershipError('join', netif_address, e));
+                    }
+                }
+                // The M-SEARCH requests can not be received at all.
+                if (errors.length > 0 && errors.length === this._netif_address_list.length) {
+                    const udp = this._udp;
+                    this._udp = null;
+                    udp.removeAllListeners();
+                    udp.close();
+                    reject(errors[0]);
+                    return;
+                }
+                for (const error of errors) {
+                    this._emitError(error);
+                }
+                resolve();
+            });
+
+            this._udp.on('message', (buf, rinfo) => {
+                this._receivePacket(buf, rinfo);
+            });
+
+            this._udp.bind(bind_opts, () => {
+                if (!this._udp) {
+                    return;
+                }
+                this._udp.removeAllListeners('error');
+                this._udp.on('error', (error) => {
+                    this._emitError(error);
+                });
+            });
+        });
+    }
+
+    _createMembershipError(action, netif_address, error) {
+        const msg = 'Failed to ' + action + ' the multicast group ' + this._MULTICAST_ADDR + ' on ' + netif_address + ': ' + error.message;
+        return new mUpnpUtilsErrors.MulticastJoinError(msg, {
+            multicastAddress: this._MULTICAST_ADDR,
+            interfaceAddress: netif_address,
+            cause: error
+        });
+    }
+
+    _scheduleNotify(device) {
+        this._clearNotifyTimer(device.udn);
+
+        // The advertisement is repeated at a random interval less than
+        // one-half of the max-age so that it will not expire on the
+        // control points.
+        const half = device.maxAge * 1000 / 2;
+        const interval = Math.floor(half / 2 + Math.random() * half / 2);
+
+        this._notify_timers[device.udn] = setTimeout(async () => {
+            this._notify_timers[device.udn] = null;
+            if (this._is_advertising !== true || !this._devices[device.udn]) {
+                return;
+            }
+            try {
+                await this._sendNotifyForDevice(device, 'ssdp:alive');
+            } catch (error) {
+                this._emitError(error);
+            }
+            if (this._is_advertising === true && this._devices[device.udn]) {
+                this._scheduleNotify(device);
+            }
+        }, interval);
+    }
+
+    _clearNotifyTimer(udn) {
+        if (this._notify_timers[udn]) {
+            clearTimeout(this._notify_timers[udn]);
+        }
+        delete this._notify_timers[udn];
+    }
+
+    async _sendNotifyForDevice(device, nts) {
+        if (!this._udp) {
+            return;
+        }
+        const buf_list = device.entries.map((entry) => {
+            return this._createNotifyMessage(device, entry, nts);
+        });
+
+        // Each message set is sent twice because UDP is unreliable.
+        for (const netif_address of this._netif_address_list) {
+            try {
+                this._udp.setMulticastInterface(netif_address);
+            } catch (e) {
+                this._emitError(e);
+                continue;
+            }
+            for (let i = 0; i < 2; i++) {
+                for (const buf of buf_list) {
+                    await this._udpSend(buf, this._SSDP_PORT, this._MULTICAST_ADDR);
+                }
+                await this._wait(100);
+            }
+        }
+    }
+
+    _createNotifyMessage(device, entry, nts) {
+        const headers = [
+            ['HOST', this._MULTICAST_ADDR + ':' + this._SSDP_PORT]
+        ];
+        if (nts === 'ssdp:alive') {
+            headers.push(['CACHE-CONTROL', 'max-age=' + device.maxAge]);
+            headers.push(['LOCATION', device.location]);
+        }
+        headers.push(['NT', entry.nt]);
+        headers.push(['NTS', nts]);
+        if (nts === 'ssdp:alive') {
+            headers.push(['SERVER', this._server]);
+        }
+        headers.push(['USN', entry.usn]);
+        headers.push(['BOOTID.UPNP.ORG', String(this._boot_id)]);
+        headers.push(['CONFIGID.UPNP.ORG', String(this._config_id)]);
+        return mUpnpUtilsSsdp.build({ type: 'notify', headers: headers });
+    }
+
+    _udpSend(buf, port, addr) {
+        return new Promise((resolve, reject) => {
+            if (!this._udp) {
+                resolve();
+                return;
+            }
+            this._udp.send(buf, 0, buf.length, port, addr, (error) => {
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve();
+                }
+            });
+        });
+    }
+
+    _receivePacket(buffer, rinfo) {
+        let msg = null;
+        try {
+            msg = mUpnpUtilsSsdp.parse(buffer);
+        } catch (error) {
+            return;
+        }
+        if (msg.type !== 'search') {
+            return;
+        }
+
+        // A multicast M-SEARCH must have the MX header. A unicast M-SEARCH
+        // may omit it, then the response is sent without any delay.
+        let mx = 0;
+        if (msg.mx !== null) {
+            // The MX value should be capped at 5 seconds (UDA 1.1 or later).
+            mx = Math.min(msg.mx, 5);
+        } else if (msg.host && msg.host.startsWith(this._MULTICAST_ADDR)) {
+            return;
+        }
+
+        const st = msg.st;
+        for (const device of Object.values(this._devices)) {
+            for (const entry of device.entries) {
+                const rst = this._matchSearchTarget(st, entry.nt);
+                if (!rst) {
+                    continue;
+                }
+                const usn = (rst === entry.nt) ? entry.usn : entry.usn.replace(/::.+$/, '::' + rst);
+                this._scheduleResponse(device, rst, usn, rinfo, mx);
+            }
+        }
+    }
+
+    // Returns the ST value to be set in the response if the specified search
+    // target matches the NT. Otherwise, returns null.
+    _matchSearchTarget(st, nt) {
+        if (st === 'ssdp:all' || st === nt) {
+            return nt;
+        }
+
+        // A device or service must respond to a search for an older version
+        // of its type. The ST in the response is the requested version.
+        const sm = st.match(/^(urn\:\S+\:(?:device|service)\:\S+)\:(\d+)$/);
+        const nm = nt.match(/^(urn\:\S+\:(?:device|service)\:\S+)\:(\d+)$/);
+        if (sm && nm && sm[1] === nm[1] && parseInt(sm[2], 10) <= parseInt(nm[2], 10)) {
+            return st;
+        }
+        return null;
+    }
+
+    _scheduleResponse(device, st, usn, rinfo, mx) {
+        const delay = Math.floor(Math.random() * mx * 1000);
+        const timer = setTimeout(() => {
+            this._response_timers = this._response_timers.filter((t) => t !== timer);
+            if (this._is_advertising !== true || !this._devices[device.udn]) {
+                return;
+            }
+            const buf = mUpnpUtilsSsdp.build({ type: 'response', headers: [
+                ['CACHE-CONTROL', 'max-age=' + device.maxAge],
+                ['DATE', new Date().toUTCString()],
+                ['EXT', ''],
+                ['LOCATION', device.location],
+                ['SERVER', this._server],
+                ['ST', st],
+                ['USN', usn],
+                ['BOOTID.UPNP.ORG', String(this._boot_id)],
+                ['CONFIGID.UPNP.ORG', String(this._config_id)]
+            ] });
+            this._udpSend(buf, rinfo.port, rinfo.address).catch((error) => {
+                this._emitError(error);
+            });
+        }, delay);
+        this._response_timers.push(timer);
+    }
+
+    /* ------------------------------------------------------------------
+    * stop()
+    *
+    * This method stops the advertisement. `ssdp:byebye` messages are sent
+    * for all registered devices before the socket is closed.
+    * If the advertisement is not running, this method does nothing.
+    * ---------------------------------------------------------------- */
+    async stop() {
+        if (this._is_advertising !== true) {
+            return;
+        }
+
+        for (const timer of this._response_timers) {
+            clearTimeout(timer);
+        }
+        this._response_timers = [];
+
+        for (const udn of Object.keys(this._notify_timers)) {
+            this._clearNotifyTimer(udn);
+        }
+
+        for (const device of Object.values(this._devices)) {
+            try {
+                await this._sendNotifyForDevice(device, 'ssdp:byebye');
+            } catch (error) {
+                this._emitError(error);
+            }
+        }
+
+        this._is_advertising = false;
+        await this._stopListening();
+    }
+
+    _stopListening() {
+        return new Promise((resolve) => {
+            if (!this._udp) {
+                resolve();
+                return;
+            }
+            for (const netif_address of this._netif_address_list) {
+                try {
+                    this._udp.dropMembership(this._MULTICAST_ADDR, netif_address);
+                } catch (e) {
+                    this._emitError(this._createMembershipError('leave', netif_address, e));
+                }
+            }
+            this._udp.removeAllListeners('message');
+            this._udp.removeAllListeners('error');
+            this._udp.close(() => {
+                this._udp.unref();
+                this._udp = null;
+                resolve();
+            });
+        });
+    }
+}
+
+module.exports = UPnPUtilsAdvertiser;
@@ -0,0 +1,386 @@
+/* ------------------------------------------------------------------
+* node-upnp-utils - upnp-utils-cli.js
+*
+* Copyright (c) 2017 - 2024, Futomi Hatano, All rights reserved.
+* Released under the MIT license
+* Date: 2024-07-06
+* ---------------------------------------------------------------- */
+'use strict';
+const mUtil = require('util');
+const mUpnpUtils = require('./upnp-utils.js');
+const mUpnpUtilsDd = require('./upnp-utils-dd.js');
+const mUpnpUtilsModel = require('./upnp-utils-model.js');
+
+// Exit codes
+const EXIT_OK = 0;
+const EXIT_NOT_FOUND = 1;
+const EXIT_USAGE = 2;
+const EXIT_ERROR = 3;
+
+const USAGE = `Usage: upnp-utils <command> [options]
+
+Commands:
+  discover                     Discover UPnP devices and services
+  describe <location>          Show the device description at the URL
+  invoke <controlURL> <serviceType> <action> [name=value ...]
+                               Invoke an action of a service
+  monitor                      Stream the added, updated and deleted events
+
+Options:
+  -f, --format <format>        Output format: table, json or ndjson (default: table)
+                               [monitor] json prints an array of the events at the end
+  -h, --help                   Show this help
+
+Options for discover and monitor:
+  --st <st>                    ST of M-SEARCH (can be repeated, default: upnp:rootdevice)
+  --mx <sec>                   MX of M-SEARCH (default: 3)
+  --family <family>            IPv4, IPv6 or both (default: IPv4)
+  --target <host:port>         Send an unicast M-SEARCH to the host (can be repeated)
+  --interface <name>           Network interface to use (can be repeated)
+  --wait <sec>                 [discover] Seconds to wait for responses (default: 5)
+  --duration <sec>             [monitor] Seconds to monitor (default: until interrupted)
+  --full                       Output the full device objects (json and ndjson only)
+
+Options for describe and invoke:
+  --timeout <msec>             Timeout of the request (default: 5000)
+
+Exit codes:
+  0  Succeeded
+  1  No device was found (discover and monitor)
+  2  Invalid usage
+  3  Failed (e.g., network error or UPnP error)
+`;
+
+const OPTIONS = {
+    format: { type: 'string', short: 'f', default: 'table' },
+    help: { type: 'boolean', short: 'h', default: false },
+    st: { type: 'string', multiple: true },
+    mx: { type: 'string' },
+    family: { type: 'string' },
+    target: { type: 'string', multiple: true },
+    interface: { type: 'string', multiple: true },
+    wait: { type: 'string' },
+    duration: { type: 'string' },
+    full: { type: 'boolean', default: false },
+    timeout: { type: 'string' }
+};
+
+class UsageError extends Error { }
+
+class UPnPUtilsCli {
+    /* ------------------------------------------------------------------
+    * Constructor
+    *
+    * [Arguments]
+    * - params   | Object | Optional |
+    *   - stdout | Object | Optional | Writable stream for the results.
+    *            |        |          | The default is `process.stdout`.
+    *   - stderr | Object | Optional | Writable stream for the messages.
+    *            |        |          | The default is `process.stderr`.
+    *   - upnp   | Object | Optional | `UPnPUtils` object used for the
+    *            |        |          | discovery. The default is a new one.
+    * ---------------------------------------------------------------- */
+    constructor(params = {}) {
+        this._stdout = params['stdout'] || process.stdout;
+        this._stderr = params['stderr'] || process.stderr;
+        this._upnp = params['upnp'] || new mUpnpUtils.UPnPUtils();
+    }
+
+    /* ------------------------------------------------------------------
+    * run(argv)
+    *
+    * This method runs the command specified by the command-line arguments.
+    *
+    * [Arguments]
+    * - argv | Array | Required | Command-line arguments without the node
+    *        |       |          | path and the script path.
+    *
+    * [Return value]
+    * - Promise object
+    * - In an `await` syntax, this method returns the exit code.
+    * ---------------------------------------------------------------- */
+    async run(argv) {
+        let command = '';
+        let values = null;
+        let positionals = null;
+        try {
+            const parsed = mUtil.parseArgs({ args: argv, options: OPTIONS, allowPositionals: true, strict: true });
+            values = parsed.values;
+            positionals = parsed.positionals;
+            command = positionals.shift() || '';
+            if (values['help'] || command === 'help') {
+                this._stdout.write(USAGE);
+                return EXIT_OK;
+            }
+            if (!['table', 'json', 'ndjson'].includes(values['format'])) {
+                throw new UsageError('The format must be "table", "json" or "ndjson".');
+            }
+            if (command === 'discover') {
+                return await this._discover(values, positionals);
+            } else if (command === 'describe') {
+                return await this._describe(values, positionals);
+            } else if (command === 'invoke') {
+                return await this._invoke(values, positionals);
+            } else if (command === 'monitor') {
+                return await this._monitor(values, positionals);
+            } else if (command === '') {
+                throw new UsageError('No command is specified.');
+            } else {
+                throw new UsageError('Unknown command: ' + command);
+            }
+        } catch (error) {
+            if (error instanceof UsageError || (error.code && /^ERR_PARSE_ARGS_/.test(error.code))) {
+                this._stderr.write('Error: ' + error.message + '\n\n' + USAGE);
+                return EXIT_USAGE;
+            }
+            this._stderr.write('Error: ' + error.message + '\n');
+            return EXIT_ERROR;
+        }
+    }
+
+    _parseInteger(values, name, def) {
+        if (values[name] === undefined) {
+            return def;
+        }
+        const n = Number(values[name]);
+        if (!/^\d+$/.test(values[name]) || !isFinite(n)) {
+            throw new UsageError('The value of --' + name + ' must be an integer.');
+        }
+        return n;
+    }
+
+    _createDiscoveryParams(values) {
+        const params = {};
+        if (values['st']) {
+            params['st'] = values['st'];
+        }
+        if (values['mx'] !== undefined) {
+            params['mx'] = this._parseInteger(values, 'mx');
+        }
+        if (values['family']) {
+            params['family'] = values['family'];
+        }
+        if (values['target']) {
+            params['target'] = values['target'];
+        }
+        if (values['interface']) {
+            params['interfaces'] = values['interface'];
+        }
+        return params;
+    }
+
+    // Converts the validation errors of the library to the usage errors.
+    _checkDiscoveryParams(params) {
+        try {
+            this._upnp.checkDiscoveryParams(params);
+        } catch (error) {
+            throw new UsageError(error.message);
+        }
+    }
+
+    async _discover(values, positionals) {
+        if (positionals.length > 0) {
+            throw new UsageError('Too many arguments: ' + positionals.join(' '));
+        }
+        const params = this._createDiscoveryParams(values);
+        params['wait'] = this._parseInteger(values, 'wait', 5);
+        this._checkDiscoveryParams(params);
+
+        const device_list = await this._upnp.discover(params);
+        const list = values['full'] ? device_list : device_list.map((d) => this._summarizeDevice(d));
+
+        if (values['format'] === 'json') {
+            this._writeJson(list);
+        } else if (values['format'] === 'ndjson') {
+            for (const d of list) {
+                this._writeNdjson(d);
+            }
+        } else {
+            this._writeTable(['ADDRESS', 'UDN', 'FRIENDLY NAME', 'MANUFACTURER', 'MODEL', 'ST'], device_list.map((d) => {
+                const s = this._summarizeDevice(d);
+                return [s.address, s.udn, s.friendlyName, s.manufacturer, s.modelName, s.st.join(', ')];
+            }));
+        }
+        return (device_list.length > 0) ? EXIT_OK : EXIT_NOT_FOUND;
+    }
+
+    _summarizeDevice(device) {
+        const model = device['model'] || {};
+        return {
+            address: device['address'],
+            udn: device['udn'],
+            friendlyName: model['friendlyName'] || '',
+            manufacturer: model['manufacturer'] || '',
+            modelName: model['modelName'] || '',
+            deviceType: model['deviceType'] || '',
+            location: device['headers']['LOCATION'] || '',
+            server: device['headers']['SERVER'] || '',
+            st: (device['usnList'] || []).map((e) => e['st'])
+        };
+    }
+
+    async _describe(values, positionals) {
+        if (positionals.length !== 1) {
+            throw new UsageError('The describe command takes a location URL.');
+        }
+        const location = positionals[0];
+        const timeout = this._parseInteger(values, 'timeout', 5000);
+        const { obj, error } = await mUpnpUtilsDd.fetch(location, { timeout: timeout, cacheTtl: 0 });
+        if (error) {
+            throw error;
+        }
+        const model = mUpnpUtilsModel.create(obj, location);
+        if (!model) {
+            throw new Error('The device description is invalid: ' + location);
+        }
+
+        if (values['format'] === 'json') {
+            this._writeJson(model);
+        } else if (values['format'] === 'ndjson') {
+            // One line per device. The embedded devices are not nested.
+            for (const dev of mUpnpUtilsModel.getAllDevices(model)) {
+                const d = Object.assign({}, dev);
+                d['devices'] = dev['devices'].map((e) => e['UDN']);
+                this._writeNdjson(d);
+            }
+        } else {
+            this._writeDeviceTree(model, 0);
+        }
+        return EXIT_OK;
+    }
+
+    _writeDeviceTree(dev, depth) {
+        const indent = '  '.repeat(depth);
+        const lines = [];
+        lines.push(indent + (dev['friendlyName'] || '(no name)') + ' [' + dev['deviceType'] + ']');
+        for (const k of ['UDN', 'manufacturer', 'modelName', 'modelNumber', 'serialNumber', 'presentationURL']) {
+            if (dev[k]) {
+                lines.push(indent + '  ' + k + ': ' + dev[k]);
+            }
+        }
+        for (const icon of dev['icons']) {
+            lines.push(indent + '  icon: ' + icon['width'] + 'x' + icon['height'] + ' ' + icon['mimetype'] + ' ' + icon['url']);
+        }
+        for (const s of dev['services']) {
+            lines.push(indent + '  service: ' + s['serviceType']);
+            lines.push(indent + '    serviceId:   ' + s['serviceId']);
+            lines.push(indent + '    SCPDURL:     ' + s['SCPDURL']);
+            lines.push(indent + '    controlURL:  ' + s['controlURL']);
+            lines.push(indent + '    eventSubURL: ' + s['eventSubURL']);
+        }
+        this._stdout.write(lines.join('\n') + '\n');
+        for (const d of dev['devices']) {
+            this._writeDeviceTree(d, depth + 1);
+        }
+    }
+
+    async _invoke(values, positionals) {
+        if (positionals.length < 3) {
+            throw new UsageError('The invoke command takes a control URL, a service type and an action name.');
+        }
+        const [control_url, service_type, action_name, ...pairs] = positionals;
+        const args = {};
+        for (const pair of pairs) {
+            const i = pair.indexOf('=');
+            if (i <= 0) {
+                throw new UsageError('The argument must be "name=value": ' + pair);
+            }
+            args[pair.substring(0, i)] = pair.substring(i + 1);
+        }
+
+        const service = new mUpnpUtils.UPnPUtilsService({
+            serviceType: service_type,
+            controlURL: control_url,
+            timeout: this._parseInteger(values, 'timeout', 5000)
+        });
+        const res = await service.invoke(action_name, args);
+
+        if (values['format'] === 'json') {
+            this._writeJson(res);
+        } else if (values['format'] === 'ndjson') {
+            this._writeNdjson(res);
+        } else {
+            this._writeTable(['NAME', 'VALUE'], Object.entries(res));
+        }
+        return EXIT_OK;
+    }
+
+    async _monitor(values, positionals) {
+        if (positionals.length > 0) {
+            throw new UsageError('Too many arguments: ' + positionals.join(' '));
+        }
+        const params = this._createDiscoveryParams(values);
+        const duration = this._parseInteger(values, 'duration', 0);
+        this._checkDiscoveryParams(params);
+
+        // The monitoring ends when the duration has passed or the process is
+        // interrupted (Ctrl+C).
+        const controller = new AbortController();
+        const onSignal = () => {
+            controller.abort();
+        };
+        process.once('SIGINT', onSignal);
+        process.once('SIGTERM', onSignal);
+        const timer = (duration > 0) ? setTimeout(onSignal, duration * 1000) : null;
+
+        params['signal'] = controller.signal;
+        let found = false;
+        // In the `json` format, the events are printed as an array when
+        // the monitoring ends.
+        const events = [];
+        if (values['format'] === 'table') {
+            this._stdout.write(['TIME', 'EVENT', 'ADDRESS', 'UDN', 'FRIENDLY NAME'].join('\t') + '\n');
+        }
+        try {
+            for await (const ev of this._upnp.watch(params)) {
+                found = true;
+                const s = this._summarizeDevice(ev.device);
+                const time = new Date().toISOString();
+                if (values['format'] === 'table') {
+                    this._stdout.write([time, ev.type, s.address, s.udn, s.friendlyName].join('\t') + '\n');
+                } else {
+                    const obj = { time: time, type: ev.type, device: values['full'] ? ev.device : s };
+                    if (ev.diff) {
+                        obj['diff'] = ev.diff;
+                    }
+                    if (values['format'] === 'json') {
+                        events.push(obj);
+                    } else {
+                        this._writeNdjson(obj);
+                    }
+                }
+            }
+        } finally {
+            if (timer) {
+                clearTimeout(timer);
+            }
+            process.removeListener('SIGINT', onSignal);
+            process.removeListener('SIGTERM', onSignal);
+        }
+        if (values['format'] === 'json') {
+            this._writeJson(events);
+        }
+        return found ? EXIT_OK : EXIT_NOT_FOUND;
+    }
+
+    _writeJson(obj) {
+        this._stdout.write(JSON.stringify(obj, null, '  ') + '\n');
+    }
+
+    _writeNdjson(obj) {
+        this._stdout.write(JSON.stringify(obj) + '\n');
+    }
+
+    _writeTable(header, rows) {
+        const table = [header].concat(rows.map((r) => r.map((v) => String(v))));
+        const widths = header.map((h, i) => {
+            return Math.max(...table.map((r) => r[i].length));
+        });
+        const lines = table.map((r) => {
+            return r.map((v, i) => (i === r.length - 1) ? v : v.padEnd(widths[i])).join('  ');
+        });
+        this._stdout.write(lines.join('\n') + '\n');
+    }
+}
+
+module.exports = UPnPUtilsCli;
@@ -0,0 +1,235 @@
+/* ------------------------------------------------------------------
+* node-upnp-utils - upnp-utils-content-directory.js
+*
+* Copyright (c) 2017 - 2024, Futomi Hatano, All rights reserved.
+* Released under the MIT license
+* Date: 2024-07-06
+* ---------------------------------------------------------------- */
+'use strict';
+const mUpnpUtilsDidl = require('./upnp-utils-didl.js');
+const mUpnpUtilsErrors = require('./upnp-utils-errors.js');
+
+// Error names defined in the ContentDirectory spec
+const ERROR_NAMES = {
+    401: 'InvalidAction',
+    402: 'InvalidArgs',
+    501: 'ActionFailed',
+    701: 'NoSuchObject',
+    702: 'InvalidCurrentTagValue',
+    703: 'InvalidNewTagValue',
+    704: 'RequiredTag',
+    705: 'ReadOnlyTag',
+    706: 'ParameterMismatch',
+    708: 'UnsupportedOrInvalidSearchCriteria',
+    709: 'UnsupportedOrInvalidSortCriteria',
+    710: 'NoSuchContainer',
+    711: 'RestrictedObject',
+    712: 'BadMetadata',
+    713: 'RestrictedParentObject',
+    714: 'NoSuchSourceResource',
+    715: 'SourceResourceAccessDenied',
+    716: 'TransferBusy',
+    717: 'NoSuchFileTransfer',
+    718: 'NoSuchDestinationResource',
+    719: 'DestinationResourceAccessDenied',
+    720: 'CannotProcessTheRequest'
+};
+
+class UPnPUtilsContentDirectory {
+    /* ------------------------------------------------------------------
+    * Constructor
+    *
+    * An `UPnPUtilsContentDirectory` object is a client of the
+    * ContentDirectory service of a MediaServer (e.g., MiniDLNA). It is
+    * created by the `createContentDirectoryClient()` method of the
+    * `UPnPUtils`.
+    *
+    * [Arguments]
+    * - params    | Object | Required |
+    *   - service | Object | Required | `UPnPUtilsService` object of the
+    *             |        |          | ContentDirectory
+    *   - baseUrl | String | Optional | Base URL of the device (the URLBase
+    *             |        |          | or the LOCATION) used to resolve
+    *             |        |          | the relative URLs in the DIDL-Lite.
+    *             |        |          | The default is the controlURL.
+    * ---------------------------------------------------------------- */
+    constructor(params) {
+        this.service = params['service'];
+        this.serviceType = this.service.serviceType;
+        this.baseUrl = params['baseUrl'] || this.service.controlURL;
+    }
+
+    /* ------------------------------------------------------------------
+    * browse(objectId, params)
+    *
+    * This method invokes the Browse action. If the server returns the
+    * result in multiple pages, the Browse action is invoked repeatedly
+    * until all objects are retrieved.
+    *
+    * [Arguments]
+    * - objectId | String  | Optional | The default value is "0" (root).
+    * - params   | Object  | Optional |
+    *   - flag   | String  | Optional | "BrowseDirectChildren" (default) or
+    *            |         |          | "BrowseMetadata"
+    *   - filter | String  | Optional | The default value is "*".
+    *   - start  | Integer | Optional | The default value is 0.
+    *   - count  | Integer | Optional | The maximum number of objects. The
+    *            |         |          | default value is 0 (all objects).
+    *   - sort   | String  | Optional | The default value is "".
+    *
+    * [Return value]
+    * - Promise object
+    * - In an `await` syntax, this method returns an object as follows:
+    *   - objects      | Array   | Objects parsed from the DIDL-Lite
+    *   - totalMatches | Integer | TotalMatches of the last response
+    *   - updateId     | Integer | UpdateID of the last response
+    * ---------------------------------------------------------------- */
+    async browse(objectId = '0', params = {}) {
+        if (typeof (objectId) !== 'string' || objectId === '') {
+            throw new Error('The 1st argument must be a non-empty string.');
+        }
+        const p = this._checkParams(params);
+        const flag = ('flag' in params) ? params['flag'] : 'BrowseDirectChildren';
+        if (!['BrowseDirectChildren', 'BrowseMetadata'].includes(flag)) {
+            throw new Error('The value of "flag" is invalid. It must be "BrowseDirectChildren" or "BrowseMetadata".');
+        }
+        return this._getAllPages('Browse', (start, count) => {
+            return {
+                ObjectID: objectId,
+                BrowseFlag: flag,
+                Filter: p.filter,
+                StartingIndex: start,
+                RequestedCount: count,
+                SortCriteria: p.sort
+            };
+        }, p, flag === 'BrowseMetadata');
+    }
+
+    /* ------------------------------------------------------------------
+    * search(criteria, params)
+    *
+    * This method invokes the Search action. The paging is handled in the
+    * same way as the browse().
+    *
+    * [Arguments]
+    * - criteria      | String  | Required | Search criteria
+    *                 |         |          | (e.g., 'upnp:class derivedfrom "object.item.audioItem"')
+    * - params        | Object  | Optional |
+    *   - containerId | String  | Optional | The default value is "0" (root).
+    *   - filter      | String  | Optional | The default value is "*".
+    *   - start       | Integer | Optional | The default value is 0.
+    *   - count       | Integer | Optional | The default value is 0 (all).
+    *   - sort        | String  | Optional | The default value is "".
+    *
+    * [Return value]
+    * - Same as the browse()
+    * ---------------------------------------------------------------- */
+    async search(criteria, params = {}) {
+        if (typeof (criteria) !== 'string' || criteria === '') {
+            throw new Error('The 1st argument must be a non-empty string.');
+        }
+        const p = this._checkParams(params);
+        const container_id = ('containerId' in params) ? params['containerId'] : '0';
+        if (typeof (container_id) !== 'string' || container_id === '') {
+            throw new Error('The value of "containerId" is invalid. It must be a non-empty string.');
+        }
+        return this._getAllPages('Search', (start, count) => {
+            return {
+                ContainerID: container_id,
+                SearchCriteria: criteria,
+                Filter: p.filter,
+                StartingIndex: start,
+                RequestedCount: count,
+                SortCriteria: p.sort
+            };
+        }, p, false);
+    }
+
+    /* ------------------------------------------------------------------
+    * getSearchCapabilities()
+    *
+    * [Return value]
+    * - Promise object
+    * - In an `await` syntax, this method returns an Array of the property
+    *   names which can be used in the search criteria (e.g., ["dc:title",
+    *   "upnp:class"]). If the server does not support the search, an empty
+    *   Array is returned.
+    * ---------------------------------------------------------------- */
+    async getSearchCapabilities() {
+        const res = await this._invoke('GetSearchCapabilities', {});
+        return String(res['SearchCaps'] || '').split(',').map((v) => v.trim()).filter((v) => v !== '');
+    }
+
+    _checkParams(params) {
+        if (!params || typeof (params) !== 'object') {
+            throw new Error('The 2nd argument must be an object.');
+        }
+        const p = {
+            filter: ('filter' in params) ? params['filter'] : '*',
+            start: ('start' in params) ? params['start'] : 0,
+            count: ('count' in params) ? params['count'] : 0,
+            sort: ('sort' in params) ? params['sort'] : ''
+        };
+        if (typeof (p.filter) !== 'string') {
+            throw new Error('The value of "filter" is invalid. It must be a string.');
+        }
+        if (typeof (p.start) !== 'number' || p.start % 1 !== 0 || p.start < 0 || p.start > 4294967295) {
+            throw new Error('The value of "start" is invalid. It must be an integer between 0 and 4294967295.');
+        }
+        if (typeof (p.count) !== 'number' || p.count % 1 !== 0 || p.count < 0 || p.count > 4294967295) {
+            throw new Error('The value of "count" is invalid. It must be an integer between 0 and 4294967295.');
+        }
+        if (typeof (p.sort) !== 'string') {
+            throw new Error('The value of "sort" is invalid. It must be a string.');
+        }
+        return p;
+    }
+
+    // Invokes the Browse or the Search action repeatedly until the
+    // requested number of objects (or all objects) are retrieved. Servers
+    // may return fewer objects than requested at once.
+    async _getAllPages(action_name, create_args, p, single) {
+        const objects = [];
+        let total = 0;
+        let update_id = null;
+        while (true) {
+            const requested = (p.count > 0) ? p.count - objects.length : 0;
+            const res = await this._invoke(action_name, create_args(p.start + objects.length, requested));
+            const list = await mUpnpUtilsDidl.parse(String(res['Result'] || ''), this.baseUrl);
+            const returned = parseInt(res['NumberReturned'], 10);
+            total = parseInt(res['TotalMatches'], 10) || 0;
+            update_id = isNaN(parseInt(res['UpdateID'], 10)) ? null : parseInt(res['UpdateID'], 10);
+            objects.push(...list);
+
+            if (single || list.length === 0 || returned === 0) {
+                break;
+            }
+            if (p.count > 0 && objects.length >= p.count) {
+                break;
+            }
+            // The TotalMatches may be 0 if the server can not determine it.
+            if (total > 0 && p.start + objects.length >= total) {
+                break;
+            }
+        }
+        return {
+            objects: (p.count > 0) ? objects.slice(0, p.count) : objects,
+            totalMatches: total,
+            updateId: update_id
+        };
+    }
+
+    // Invokes the action. A SOAP fault is converted to a
+    // ContentDirectoryError.
+    async _invoke(action_name, args) {
+        try {
+            return await this.service.invoke(action_name, args);
+        } catch (error) {
+            throw mUpnpUtilsErrors.convertActionError(error, ERROR_NAMES, mUpnpUtilsErrors.ContentDirectoryError, {
+                action: action_name
+            });
+        }
+    }
+}
+
+module.exports = UPnPUtilsContentDirectory;
@@ -7,18 +7,33 @@
 * ---------------------------------------------------------------- */
 'use strict';
 const mHttp = require('http');
+const mHttps = require('https');
+const mUpnpUtilsErrors = require('./upnp-utils-errors.js');
 
 let mXml2js = null;
 try {
     mXml2js = require('xml2js');
 } catch (e) { }
 
+const DEFAULT_PARAMS = {
+    timeout: 1000,
+    retries: 0,
+    retryDelay: 500,
+    concurrency: 1,
+    maxRedirects: 3,
+    maxSize: 1048576,
+    cacheTtl: 60000,
+    rejectUnauthorized: true
+};
+
 class UPnPUtilsDd {
     constructor() {
         this._req_queue = [];
-        this._is_queue_running = false;
+        this._running_num = 0;
+        this._inflight = {};
         this._caches = {};
-        this._cache_expire_msec = 60000;
+        this._icon_caches = {};
+        this._icon_inflight = {};
     }
 
     _wait(msec) {
@@ -30,22 +45,97 @@ class UPnPUtilsDd {
     }
 
     /* ------------------------------------------------------------------
-    * fetch(url)
+    * checkParams(params)
+    *
+    * This method checks the options for fetching descriptions, then
+    * returns an object in which the default values are filled.
+    * An exception is thrown if any option is invalid.
+    *
+    * [Arguments]
+    * - params         | Object  | Optional |
+    *   - timeout      | Integer | Optional | Timeout of each request in msec.
+    *                  |         |          | The default value is 1000.
+    *   - retries      | Integer | Optional | Number of retries after a failure.
+    *                  |         |          | The default value is 0.
+    *   - retryDelay   | Integer | Optional | Delay before the first retry in msec.
+    *                  |         |          | The delay is doubled for each retry.
+    *                  |         |          | The default value is 500.
+    *   - concurrency  | Integer | Optional | Max number of concurrent requests.
+    *                  |         |          | The default value is 1.
+    *   - maxRedirects | Integer | Optional | Max number of redirects to follow.
+    *                  |         |          | The default value is 3.
+    *   - maxSize      | Integer | Optional | Max size of a response body in bytes.
+    *                  |         |          | The default value is 1048576.
+    *   - cacheTtl     | Integer | Optional | Time to live of a cached result in msec.
+    *                  |         |          | The default value is 60000.
+    *   - rejectUnauthorized | Boolean | Optional | If false, the certificate of
+    *                  |         |          | an HTTPS server is not verified.
+    *                  |         |          | The default value is true.
+    * ---------------------------------------------------------------- */
+    checkParams(params = {}) {
+        if (!params || typeof (params) !== 'object') {
+            throw new Error('The fetch options must be an object.');
+        }
+        const ranges = {
+            timeout: [1, 600000],
+            retries: [0, 10],
+            retryDelay: [0, 600000],
+            concurrency: [1, 64],
+            maxRedirects: [0, 20],
+            maxSize: [1, 1073741824],
+            cacheTtl: [0, 86400000]
+        };
+        const res = Object.assign({}, DEFAULT_PARAMS);
+        for (const [k, [min, max]] of Object.entries(ranges)) {
+            if (!(k in params)) {
+                continue;
+            }
+            const v = params[k];
+            if (typeof (v) !== 'number' || v % 1 !== 0 || v < min || v > max) {
+                throw new Error('The value of "' + k + '" is invalid. It must be an integer between ' + min + ' and ' + max + '.');
+            }
+            res[k] = v;
+        }
+        if ('rejectUnauthorized' in params) {
+            if (typeof (params['rejectUnauthorized']) !== 'boolean') {
+                throw new Error('The value of "rejectUnauthorized" is invalid. It must be a boolean.');
+            }
+            res['rejectUnauthorized'] = params['rejectUnauthorized'];
+        }
+        return res;
+    }
+
+    /* ------------------------------------------------------------------
+    * fetch(url, params)
     *
     * This method fetches the UPnP device description from the specified URL.
-    * 
+    *
     * [Arguments]
-    * - url | String | Required | URL of the UPnP device description
-    * 
+    * - url    | String | Required | URL of the UPnP device description
+    * - params | Object | Optional |
+    *   - zone | String | Optional | Zone ID (interface name or index) used if
+    *          |        |          | the host of the URL is an IPv6 link-local
+    *          |        |          | address without a zone ID.
+    *   - The options described in the checkParams() are also available.
+    *
     * [Return value]
     * - Promise object
     * - In an `await` syntax, this method returns an object representing
-    *   the UPnP device description.
+    *   the UPnP device description:
+    *   - dheaders | Object | HTTP response headers
+    *   - xml      | String | The XML itself
+    *   - obj      | Object | The parsed XML. If the XML is not well-formed,
+    *              |        | this value is `null`.
+    *   - error    | Error  | The XmlParseError if the XML is not
+    *              |        | well-formed. Otherwise, this value is `null`.
+    * - If the XML could not be fetched, the Promise is rejected.
     * ---------------------------------------------------------------- */
-    fetch(url) {
+    fetch(url, params = {}) {
         return new Promise((resolve, reject) => {
             this._req_queue.push({
                 url: url,
+                zone: params['zone'] || '',
+                opts: this.checkParams(Object.assign({}, params, { zone: undefined })),
                 success: (res) => {
                     resolve(res);
                 },
@@ -53,115 +143,334 @@ class UPnPUtilsDd {
                     reject(error);
                 }
             });
-            if (this._is_queue_running === false) {
-                this._is_queue_running = true;
-                this._runQueue();
-            }
+            this._runQueue();
         });
     }
 
-    async _runQueue() {
+    /* ------------------------------------------------------------------
+    * clearCache(url)
+    *
+    * This method deletes the cached result of the specified URL, so that
+    * the next fetch() requests the URL again. If the URL is not specified,
+    * all cached results are deleted. The cached icons are deleted as well.
+    * ---------------------------------------------------------------- */
+    clearCache(url) {
+        if (url) {
+            delete this._caches[url];
+            delete this._icon_caches[url];
+        } else {
+            this._caches = {};
+            this._icon_caches = {};
+        }
+    }
+
+    /* ------------------------------------------------------------------
+    * fetchIcon(url, params)
+    *
+    * This method fetches an icon image. The result is cached beside the
+    * device descriptions for the `cacheTtl`, and the same URL is requested
+    * only once at a time. Unlike the fetch(), the request is not queued.
+    *
+    * [Arguments]
+    * - url    | String | Required | URL of the icon
+    * - params | Object | Optional | Same as the fetch()
+    *
+    * [Return value]
+    * - Promise object
+    * - In an `await` syntax, this method returns an object as follows:
+    *   - buffer   | Buffer | Image data
+    *   - mimetype | String | MIME type in the Content-Type header. If the
+    *              |        | header is not an image type, an empty string.
+    * ---------------------------------------------------------------- */
+    async fetchIcon(url, params = {}) {
+        const zone = params['zone'] || '';
+        const opts = this.checkParams(Object.assign({}, params, { zone: undefined }));
+
+        this._expireCaches();
+        const cache = this._icon_caches[url];
+        if (cache) {
+            if (cache.error) {
+                throw cache.error;
+            }
+            return cache.data;
+        }
+
+        if (!this._icon_inflight[url]) {
+            this._icon_inflight[url] = this._fetchIconAndCache(url, zone, opts);
+        }
+        const inflight = this._icon_inflight[url];
+        try {
+            return await inflight;
+        } finally {
+            if (this._icon_inflight[url] === inflight) {
+                delete this._icon_inflight[url];
+            }
+        }
+    }
+
+    async _fetchIconAndCache(url, zone, opts) {
+        try {
+            const res = await this._fetchWithRetry(url, zone, opts);
+            const ctype = String(res.dheaders['content-type'] || '').split(';')[0].trim().toLowerCase();
+            const data = {
+                buffer: res.body,
+                mimetype: /^image\//.test(ctype) ? ctype : ''
+            };
+            this._icon_caches[url] = {
+                data: data,
+                expire: Date.now() + opts.cacheTtl
+            };
+            return data;
+        } catch (error) {
+            this._icon_caches[url] = {
+                error: error,
+                expire: Date.now() + opts.cacheTtl
+            };
+            throw error;
+        }
+    }
+
+    _runQueue() {
         this._expireCaches();
 
-        if (this._req_queue.length === 0) {
-            this._is_queue_running = false;
-            return;
+        while (this._req_queue.length > 0 && this._running_num < this._req_queue[0].opts.concurrency) {
+            const req = this._req_queue.shift();
+            this._running_num++;
+            this._processRequest(req).then(() => {
+                this._running_num--;
+                this._runQueue();
+            });
         }
+    }
 
-        const { url, success, fail } = this._req_queue.shift();
+    async _processRequest(req) {
+        const { url, zone, opts, success, fail } = req;
 
-        if (this._caches[url]) {
-            if (this._caches[url].error) {
-                fail(this._caches[url].error);
+        const cache = this._caches[url];
+        if (cache) {
+            if (cache.error) {
+                fail(cache.error);
             } else {
-                success(this._caches[url].data);
+                success(cache.data);
             }
+            return;
+        }
 
-        } else {
-            try {
-                const dd = await this._fetchXml(url);
-
-                let obj = null;
-                if (mXml2js) {
-                    obj = await this._parseXml(dd.xml);
-                }
-                const data = { dheaders: dd.dheaders, xml: dd.xml, obj: obj };
-                this._caches[url] = {
-                    data: data,
-                    timestamp: Date.now()
-                };
-                success(data);
-            } catch (error) {
-                this._caches[url] = {
-                    error: error,
-                    timestamp: Date.now()
-                };
-                fail(error);
+        // The same URL is requested only once at a time.
+        if (!this._inflight[url]) {
+            this._inflight[url] = this._fetchAndParse(url, zone, opts);
+        }
+        const inflight = this._inflight[url];
+        try {
+            success(await inflight);
+        } catch (error) {
+            fail(error);
+        } finally {
+            if (this._inflight[url] === inflight) {
+                delete this._inflight[url];
             }
         }
+    }
 
-        if (this._req_queue.length > 0) {
-            this._runQueue();
-        } else {
-            this._is_queue_running = false;
+    async _fetchAndParse(url, zone, opts) {
+        try {
+            const res = await this._fetchWithRetry(url, zone, opts);
+            const xml = this._decode(res.body, res.dheaders['content-type']);
+            // The headers and the XML are kept even if the XML is not
+            // well-formed (e.g., the Application-URL header for the DIAL).
+            let obj = null;
+            let error = null;
+            if (mXml2js) {
+                try {
+                    obj = await this._parseXml(xml, url);
+                } catch (e) {
+                    error = e;
+                }
+            }
+            const data = { dheaders: res.dheaders, xml: xml, obj: obj, error: error };
+            this._caches[url] = {
+                data: data,
+                expire: Date.now() + opts.cacheTtl
+            };
+            return data;
+        } catch (error) {
+            this._caches[url] = {
+                error: error,
+                expire: Date.now() + opts.cacheTtl
+            };
+            throw error;
         }
     }
 
     _expireCaches() {
-        const url_list = Object.keys(this._caches);
         const now = Date.now();
 
-        for (const url of url_list) {
-            const cache = this._caches[url];
-            if (now - cache.timestamp > this._cache_expire_msec) {
-                delete this._caches[url];
+        for (const caches of [this._caches, this._icon_caches]) {
+            for (const url of Object.keys(caches)) {
+                if (now >= caches[url].expire) {
+                    delete caches[url];
+                }
             }
         }
     }
 
-    _fetchXml(url) {
+    async _fetchWithRetry(url, zone, opts) {
+        let delay = opts.retryDelay;
+        for (let i = 0; ; i++) {
+            try {
+                return await this._fetchBody(url, zone, opts, 0);
+            } catch (error) {
+                if (i >= opts.retries) {
+                    throw error;
+                }
+            }
+            await this._wait(delay);
+            delay *= 2;
+        }
+    }
+
+    /* ------------------------------------------------------------------
+    * createRequestOptions(url, zone)
+    *
+    * A bracketed IPv6 address in a URL may have a zone ID (RFC 6874), which
+    * is not accepted by the WHATWG URL parser. This method converts such a
+    * URL to the options for the `http.request()`. If the host is an IPv6
+    * link-local address without a zone ID, the `zone` is added. Otherwise,
+    * the URL is returned as it is.
+    *
+    * [Arguments]
+    * - url  | String | Required | URL
+    * - zone | String | Optional | Zone ID (interface name or index)
+    * ---------------------------------------------------------------- */
+    createRequestOptions(url, zone) {
+        const m = url.match(/^(https?\:)\/\/\[([0-9a-fA-F\:\.]+)(?:%25|%)?([^\]]*)\](?:\:(\d+))?([^#]*)/);
+        if (!m) {
+            return url;
+        }
+        let hostname = m[2];
+        const z = m[3] || zone;
+        if (z && /^fe[89ab]/i.test(hostname)) {
+            hostname += '%' + z;
+        }
+        return {
+            protocol: m[1],
+            hostname: hostname,
+            port: m[4] ? parseInt(m[4], 10) : ((m[1] === 'https:') ? 443 : 80),
+            path: m[5] || '/'
+        };
+    }
+
+    _fetchBody(url, zone, opts = DEFAULT_PARAMS, redirect_count = 0) {
         return new Promise((resolve, reject) => {
-            const timeout = 1000;
+            const timeout = opts.timeout;
             let req = null;
+            let timer = null;
 
-            let timer = setTimeout(() => {
-                req.destroy();
-                reject(new Error('TIMEOUT'));
-            }, timeout);
+            const clearTimer = () => {
+                if (timer) {
+                    clearTimeout(timer);
+                    timer = null;
+                }
+            };
+
+            const ropts = this.createRequestOptions(url, zone);
+            const callback = (res) => {
+                if ([301, 302, 303, 307, 308].includes(res.statusCode) && res.headers['location']) {
+                    res.resume();
+                    clearTimer();
+                    if (redirect_count >= opts.maxRedirects) {
+                        reject(new mUpnpUtilsErrors.DescriptionFetchError(`TOO MANY REDIRECTS: url=${url}`, { url: url }));
+                        return;
+                    }
+                    let next_url = '';
+                    try {
+                        next_url = new URL(res.headers['location'], url).toString();
+                    } catch (e) {
+                        reject(new mUpnpUtilsErrors.DescriptionFetchError(`INVALID REDIRECT: url=${url}, location=${res.headers['location']}`, { url: url }));
+                        return;
+                    }
+                    this._fetchBody(next_url, zone, opts, redirect_count + 1).then(resolve, reject);
+                    return;
+                }
 
-            req = mHttp.request(url, { method: 'GET' }, (res) => {
                 if (res.statusCode !== 200) {
                     res.resume();
+                    clearTimer();
                     const msg = `HTTP RESPONSE ERROR: url=${url}, statusCode=${res.statusCode}`;
-                    reject(new Error(msg));
+                    reject(new mUpnpUtilsErrors.HttpStatusError(msg, { url: url, statusCode: res.statusCode }));
+                    return;
+                }
+
+                const clen = parseInt(res.headers['content-length'], 10);
+                if (clen > opts.maxSize) {
+                    res.resume();
+                    clearTimer();
+                    req.destroy();
+                    reject(new mUpnpUtilsErrors.DescriptionFetchError(`TOO LARGE RESPONSE: url=${url}, size=${clen}`, { url: url }));
                     return;
                 }
 
-                res.setEncoding('utf8');
-                let xml = '';
+                const chunks = [];
+                let size = 0;
 
                 res.on('data', (chunk) => {
-                    xml += chunk;
+                    size += chunk.length;
+                    if (size > opts.maxSize) {
+                        clearTimer();
+                        req.destroy();
+                        reject(new mUpnpUtilsErrors.DescriptionFetchError(`TOO LARGE RESPONSE: url=${url}, size>${opts.maxSize}`, { url: url }));
+                        return;
+                    }
+                    chunks.push(chunk);
                 });
 
                 res.on('end', () => {
-                    if (timer) {
-                        clearTimeout(timer);
-                        timer = null;
-                    }
+                    clearTimer();
                     resolve({
-                        xml: xml,
+                        body: Buffer.concat(chunks),
                         dheaders: res.headers
                     });
                 });
-            });
 
-            req.on('error', (error) => {
-                if (timer) {
-                    clearTimeout(timer);
-                    timer = null;
+                // The connection was closed before the body was completed.
+                const onAbort = (error) => {
+                    clearTimer();
+                    const message = error ? error.message : 'aborted';
+                    reject(new mUpnpUtilsErrors.DescriptionFetchError(`HTTP RESPONSE ERROR: url=${url}, message=${message}`, { url: url, cause: error }));
+                };
+                res.on('error', onAbort);
+                res.on('aborted', () => {
+                    onAbort(null);
+                });
+            };
+
+            const mod = /^https\:/.test(url) ? mHttps : mHttp;
+            const req_opts = { method: 'GET' };
+            if (mod === mHttps) {
+                req_opts['rejectUnauthorized'] = opts.rejectUnauthorized;
+            }
+            // An invalid URL (e.g., the port is out of range) throws
+            // an exception synchronously.
+            try {
+                if (typeof (ropts) === 'string') {
+                    req = mod.request(ropts, req_opts, callback);
+                } else {
+                    req = mod.request(Object.assign(ropts, req_opts), callback);
                 }
-                reject(error);
+            } catch (error) {
+                reject(new mUpnpUtilsErrors.DescriptionFetchError(`HTTP REQUEST ERROR: url=${url}, message=${error.message}`, { url: url, cause: error }));
+                return;
+            }
+
+            timer = setTimeout(() => {
+                timer = null;
+                req.destroy();
+                reject(new mUpnpUtilsErrors.DescriptionTimeoutError(`TIMEOUT: url=${url}`, { url: url, timeout: timeout }));
+            }, timeout);
+
+            req.on('error', (error) => {
+                clearTimer();
+                reject(new mUpnpUtilsErrors.DescriptionFetchError(`HTTP REQUEST ERROR: url=${url}, message=${error.message}`, { url: url, cause: error }));
             });
 
             req.write('');
@@ -169,12 +478,69 @@ class UPnPUtilsDd {
         });
     }
 
-    _parseXml(xml) {
-        return new Promise((resolve) => {
+    // Detect the character encoding from the BOM, the charset parameter of the
+    // Content-Type header or the XML declaration. The default is UTF-8.
+    _decode(buf, content_type) {
+        let charset = '';
+        if (buf.length >= 3 && buf[0] === 0xEF && buf[1] === 0xBB && buf[2] === 0xBF) {
+            charset = 'utf-8';
+        } else if (buf.length >= 2 && buf[0] === 0xFF && buf[1] === 0xFE) {
+            charset = 'utf-16le';
+        } else if (buf.length >= 2 && buf[0] === 0xFE && buf[1] === 0xFF) {
+            charset = 'utf-16be';
+        }
+
+        if (!charset && content_type) {
+            const m = String(content_type).match(/charset\s*=\s*"?([^";\s]+)"?/i);
+            if (m) {
+                charset = m[1];
+            }
+        }
+
+        if (!charset) {
+            const head = buf.subarray(0, 200).toString('latin1');
+            const m = head.match(/^<\?xml[^>]+encoding\s*=\s*["']([^"']+)["']/);
+            if (m) {
+                charset = m[1];
+            }
+        }
+
+        try {
+            return new TextDecoder(charset || 'utf-8').decode(buf);
+        } catch (e) {
+            // Unsupported charset
+            return buf.toString('utf8');
+        }
+    }
+
+    /* ------------------------------------------------------------------
+    * parse(xml, url)
+    *
+    * This method parses the device description in the same way as the
+    * fetch(). If the xml2js module is not available, null is returned.
+    *
+    * [Arguments]
+    * - xml | String | Required | Device description (XML)
+    * - url | String | Required | URL of the description (used in errors)
+    *
+    * [Return value]
+    * - Promise object
+    * - In an `await` syntax, this method returns the parsed object.
+    *   If the XML is not well-formed, an XmlParseError is thrown.
+    * ---------------------------------------------------------------- */
+    async parse(xml, url) {
+        if (!mXml2js) {
+            return null;
+        }
+        return this._parseXml(xml, url);
+    }
+
+    _parseXml(xml, url) {
+        return new Promise((resolve, reject) => {
             const opts = { explicitRoot: false, explicitArray: false };
             mXml2js.parseString(xml, opts, (error, obj) => {
                 if (error) {
-                    resolve(null);
+                    reject(new mUpnpUtilsErrors.XmlParseError(`XML PARSE ERROR: url=${url}, message=${error.message}`, { url: url, cause: error }));
                 } else {
                     resolve(obj);
                 }
@@ -0,0 +1,388 @@
+/* ------------------------------------------------------------------
+* node-upnp-utils - upnp-utils-dial.js
+*
+* Copyright (c) 2017 - 2024, Futomi Hatano, All rights reserved.
+* Released under the MIT license
+* Date: 2024-07-06
+* ---------------------------------------------------------------- */
+'use strict';
+const mHttp = require('http');
+const mHttps = require('https');
+const mDgram = require('dgram');
+const mUpnpUtilsErrors = require('./upnp-utils-errors.js');
+
+let mXml2js = null;
+try {
+    mXml2js = require('xml2js');
+} catch (e) { }
+
+// The DIAL version sent as the `clientDialVer` query parameter
+const CLIENT_DIAL_VERSION = '2.1';
+
+// The `code` of the DialError for each HTTP status code
+const STATUS_CODES = {
+    403: 'FORBIDDEN',
+    404: 'NOT_FOUND',
+    411: 'LENGTH_REQUIRED',
+    413: 'PAYLOAD_TOO_LARGE',
+    501: 'NOT_IMPLEMENTED',
+    503: 'SERVICE_UNAVAILABLE'
+};
+
+class UPnPUtilsDial {
+    /* ------------------------------------------------------------------
+    * Constructor
+    *
+    * An `UPnPUtilsDial` object is a client of a DIAL (DIscovery And
+    * Launch) server (e.g., TVs and streaming sticks). It is created by the
+    * `createDialClient()` method of the `UPnPUtils`.
+    *
+    * [Arguments]
+    * - params           | Object   | Required |
+    *   - applicationUrl | String   | Required | Application-URL of the server
+    *   - wakeup         | String   | Optional | WAKEUP header value in the
+    *                    |          |          | M-SEARCH response (DIAL 2.1)
+    *   - friendlyName   | String   | Optional | Name of this client sent to
+    *                    |          |          | the server when launching apps
+    *   - timeout        | Integer  | Optional | Timeout of each request in msec.
+    *                    |          |          | The default value is 5000.
+    *   - createSocket   | Function | Optional | Factory function of the UDP
+    *                    |          |          | socket used by the wake()
+    * ---------------------------------------------------------------- */
+    constructor(params) {
+        this.applicationUrl = params['applicationUrl'].replace(/\/?$/, '/');
+        this.wakeup = this._parseWakeup(params['wakeup'] || '');
+        this._friendlyName = params['friendlyName'] || '';
+        this._timeout = params['timeout'] || 5000;
+        this._createUdpSocket = params['createSocket'] || ((opts) => {
+            return mDgram.createSocket(opts);
+        });
+    }
+
+    // Parses the WAKEUP header (e.g., "MAC=10:dd:b1:c9:00:e4;Timeout=10")
+    _parseWakeup(value) {
+        const params = {};
+        for (const pair of value.split(';')) {
+            const m = /^\s*([^=\s]+)\s*=\s*(.*?)\s*$/.exec(pair);
+            if (m) {
+                params[m[1].toUpperCase()] = m[2];
+            }
+        }
+        const mac = params['MAC'] || '';
+        if (!/^([0-9a-f]{2}[:\-]){5}[0-9a-f]{2}$/i.test(mac)) {
+            return null;
+        }
+        return {
+            mac: mac.toLowerCase().replace(/-/g, ':'),
+            timeout: parseInt(params['TIMEOUT'], 10) || 0
+        };
+    }
+
+    _getAppUrl(app_name) {
+        if (typeof (app_name) !== 'string' || app_name === '') {
+            throw new Error('The application name must be a non-empty string.');
+        }
+        return this.applicationUrl + encodeURIComponent(app_name);
+    }
+
+    /* ------------------------------------------------------------------
+    * getAppStatus(appName)
+    *
+    * [Arguments]
+    * - appName | String | Required | Application name (e.g., "YouTube")
+    *
+    * [Return value]
+    * - Promise object
+    * - In an `await` syntax, this method returns an object as follows.
+    *   If the application is not found, this method returns null.
+    *   - name           | String  | Application name
+    *   - state          | String  | "running", "stopped", "hidden" or
+    *                    |         | "installable"
+    *   - installUrl     | String  | URL to install the application (only
+    *                    |         | for "installable")
+    *   - allowStop      | Boolean | Whether the application can be stopped
+    *   - runUrl         | String  | Absolute URL of the running instance
+    *   - dialVer        | String  | DIAL version of the server
+    *   - additionalData | Object  | Elements in the `additionalData`
+    * ---------------------------------------------------------------- */
+    async getAppStatus(appName) {
+        const app_url = this._getAppUrl(appName);
+        const res = await this._request('GET', app_url + '?clientDialVer=' + CLIENT_DIAL_VERSION);
+        if (res.statusCode === 404) {
+            return null;
+        }
+        if (res.statusCode !== 200) {
+            throw this._createError(res, 'GET', app_url);
+        }
+        const obj = await this._parseXml(res.body);
+
+        const attrs = obj['$'] || {};
+        const options = (obj['options'] && obj['options']['$']) ? obj['options']['$'] : {};
+        const state = this._getText(obj['state']);
+        const links = Array.isArray(obj['link']) ? obj['link'] : (obj['link'] ? [obj['link']] : []);
+        const run_link = links.find((link) => link && link['$'] && link['$']['rel'] === 'run');
+
+        const additional_data = {};
+        if (obj['additionalData'] && typeof (obj['additionalData']) === 'object') {
+            for (const [name, value] of Object.entries(obj['additionalData'])) {
+                if (name !== '$') {
+                    additional_data[name] = this._getText(value);
+                }
+            }
+        }
+
+        return {
+            name: this._getText(obj['name']) || appName,
+            state: /^installable=/.test(state) ? 'installable' : state,
+            installUrl: /^installable=/.test(state) ? state.replace(/^installable=/, '') : '',
+            allowStop: /^true$/i.test(options['allowStop'] || ''),
+            runUrl: run_link ? this._resolveUrl(run_link['$']['href'], app_url + '/') : '',
+            dialVer: attrs['dialVer'] || '',
+            additionalData: additional_data
+        };
+    }
+
+    /* ------------------------------------------------------------------
+    * launch(appName, payload, params)
+    *
+    * [Arguments]
+    * - appName       | String | Required | Application name
+    * - payload       | String | Optional | Message body passed to the
+    *                 |        |          | application. The default value is "".
+    * - params        | Object | Optional |
+    *   - contentType | String | Optional | The default value is
+    *                 |        |          | 'text/plain; charset="utf-8"'.
+    *
+    * [Return value]
+    * - Promise object
+    * - In an `await` syntax, this method returns an object as follows:
+    *   - statusCode | Integer | 201 (launched) or 200 (already running)
+    *   - runUrl     | String  | Absolute URL of the running instance
+    *                |         | (LOCATION header). It may be "".
+    * ---------------------------------------------------------------- */
+    async launch(appName, payload = '', params = {}) {
+        const app_url = this._getAppUrl(appName);
+        if (typeof (payload) !== 'string') {
+            throw new Error('The 2nd argument must be a string.');
+        }
+        if (!params || typeof (params) !== 'object') {
+            throw new Error('The 3rd argument must be an object.');
+        }
+        const content_type = ('contentType' in params) ? params['contentType'] : 'text/plain; charset="utf-8"';
+        if (typeof (content_type) !== 'string' || content_type === '') {
+            throw new Error('The value of "contentType" is invalid. It must be a non-empty string.');
+        }
+
+        let url = app_url;
+        if (this._friendlyName) {
+            url += '?friendlyName=' + encodeURIComponent(this._friendlyName);
+        }
+        const headers = payload ? { 'Content-Type': content_type } : {};
+        const res = await this._request('POST', url, payload, headers);
+        if (res.statusCode !== 200 && res.statusCode !== 201) {
+            throw this._createError(res, 'POST', app_url);
+        }
+        const location = res.headers['location'] || '';
+        return {
+            statusCode: res.statusCode,
+            runUrl: location ? this._resolveUrl(location, app_url) : ''
+        };
+    }
+
+    /* ------------------------------------------------------------------
+    * stop(target)
+    *
+    * [Arguments]
+    * - target | String | Required | Application name or the URL of the
+    *          |        |          | running instance returned by the launch()
+    *
+    * If an application name is specified, the URL of the running instance
+    * is retrieved by the getAppStatus().
+    *
+    * [Return value]
+    * - Promise object
+    * - Nothing will be passed to the `resolve()`.
+    * ---------------------------------------------------------------- */
+    async stop(target) {
+        if (typeof (target) !== 'string' || target === '') {
+            throw new Error('The 1st argument must be a non-empty string.');
+        }
+        let run_url = target;
+        if (!/^https?:\/\//i.test(target)) {
+            const status = await this.getAppStatus(target);
+            if (!status) {
+                throw new mUpnpUtilsErrors.DialError('The application "' + target + '" is not found.', 'NOT_FOUND', {
+                    url: this._getAppUrl(target),
+                    statusCode: 404
+                });
+            }
+            if (!status.runUrl) {
+                throw new Error('The application "' + target + '" is not running or can not be stopped.');
+            }
+            run_url = status.runUrl;
+        }
+        const res = await this._request('DELETE', run_url);
+        if (res.statusCode !== 200) {
+            throw this._createError(res, 'DELETE', run_url);
+        }
+    }
+
+    /* ------------------------------------------------------------------
+    * wake(params)
+    *
+    * This method sends a Wake-on-LAN magic packet to the MAC address in
+    * the WAKEUP header (DIAL 2.1). The server is expected to be available
+    * within the `timeout` in the WAKEUP header.
+    *
+    * [Arguments]
+    * - params    | Object  | Optional |
+    *   - address | String  | Optional | Destination address. The default
+    *             |         |          | value is "255.255.255.255".
+    *   - port    | Integer | Optional | Destination port. The default value
+    *             |         |          | is 9.
+    *
+    * [Return value]
+    * - Promise object
+    * - In an `await` syntax, this method returns the `wakeup` object
+    *   ({ mac, timeout }).
+    * ---------------------------------------------------------------- */
+    async wake(params = {}) {
+        if (!this.wakeup) {
+            throw new Error('The server does not support the Wake-on-LAN (no WAKEUP header).');
+        }
+        if (!params || typeof (params) !== 'object') {
+            throw new Error('The 1st argument must be an object.');
+        }
+        const address = ('address' in params) ? params['address'] : '255.255.255.255';
+        if (typeof (address) !== 'string' || address === '') {
+            throw new Error('The value of "address" is invalid. It must be a non-empty string.');
+        }
+        const port = ('port' in params) ? params['port'] : 9;
+        if (typeof (port) !== 'number' || port % 1 !== 0 || port < 1 || port > 65535) {
+            throw new Error('The value of "port" is invalid. It must be an integer between 1 and 65535.');
+        }
+
+        const mac = Buffer.from(this.wakeup.mac.replace(/:/g, ''), 'hex');
+        const packet = Buffer.alloc(6 + 16 * 6, 0xff);
+        for (let i = 0; i < 16; i++) {
+            mac.copy(packet, 6 + i * 6);
+        }
+
+        const udp = this._createUdpSocket({ type: 'udp4' });
+        try {
+            await new Promise((resolve, reject) => {
+                udp.once('error', reject);
+                udp.bind(() => {
+                    udp.setBroadcast(true);
+                    udp.send(packet, port, address, (error) => {
+                        if (error) {
+                            reject(error);
+                        } else {
+                            resolve();
+                        }
+                    });
+                });
+            });
+        } finally {
+            // The socket may not be running if failed to bind it. Such an
+            // exception must not hide the original error.
+            try {
+                udp.close();
+            } catch (e) { }
+        }
+        return this.wakeup;
+    }
+
+    _request(method, url, body = '', headers = {}) {
+        return new Promise((resolve, reject) => {
+            const buf = Buffer.from(body, 'utf8');
+            const opts = {
+                method: method,
+                headers: Object.assign({}, headers)
+            };
+            if (method === 'POST') {
+                opts.headers['Content-Length'] = buf.length;
+            }
+
+            // The Application-URL and the URL of the running instance may
+            // be an HTTPS URL.
+            const mod = /^https\:/i.test(url) ? mHttps : mHttp;
+            let timer = null;
+            const req = mod.request(url, opts, (res) => {
+                res.setEncoding('utf8');
+                let text = '';
+                res.on('data', (chunk) => {
+                    text += chunk;
+                });
+                res.on('end', () => {
+                    clearTimeout(timer);
+                    resolve({ statusCode: res.statusCode, headers: res.headers, body: text });
+                });
+                res.on('error', (error) => {
+                    clearTimeout(timer);
+                    reject(error);
+                });
+            });
+
+            timer = setTimeout(() => {
+                req.destroy();
+                reject(new Error('TIMEOUT'));
+            }, this._timeout);
+
+            req.on('error', (error) => {
+                clearTimeout(timer);
+                reject(error);
+            });
+
+            if (method === 'POST') {
+                req.write(buf);
+            }
+            req.end();
+        });
+    }
+
+    _createError(res, method, url) {
+        const code = STATUS_CODES[res.statusCode] || 'HTTP_STATUS';
+        return new mUpnpUtilsErrors.DialError('DIAL REQUEST ERROR: method=' + method + ', url=' + url + ', statusCode=' + res.statusCode, code, {
+            url: url,
+            statusCode: res.statusCode
+        });
+    }
+
+    _parseXml(xml) {
+        if (!mXml2js) {
+            return Promise.reject(new Error('The xml2js module is required to use this method.'));
+        }
+        return new Promise((resolve, reject) => {
+            const opts = {
+                explicitRoot: false,
+                explicitArray: false,
+                tagNameProcessors: [mXml2js.processors.stripPrefix]
+            };
+            mXml2js.parseString(xml, opts, (error, obj) => {
+                if (error) {
+                    reject(new Error('Failed to parse the application status: ' + error.message));
+                } else {
+                    resolve(obj || {});
+                }
+            });
+        });
+    }
+
+    _getText(v) {
+        if (v && typeof (v) === 'object') {
+            v = v['_'];
+        }
+        return (v === undefined || v === null) ? '' : String(v).trim();
+    }
+
+    _resolveUrl(url, base_url) {
+        try {
+            return new URL(url, base_url).toString();
+        } catch (e) {
+            return url;
+        }
+    }
+}
+
+module.exports = UPnPUtilsDial;
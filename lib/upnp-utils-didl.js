@@ -0,0 +1,286 @@
+/* ------------------------------------------------------------------
+* node-upnp-utils - upnp-utils-didl.js
+*
+* Copyright (c) 2017 - 2024, Futomi Hatano, All rights reserved.
+* Released under the MIT license
+* Date: 2024-07-06
+* ---------------------------------------------------------------- */
+'use strict';
+
+let mXml2js = null;
+try {
+    mXml2js = require('xml2js');
+} catch (e) { }
+
+const DIDL_NAMESPACES = [
+    'xmlns="urn:schemas-upnp-org:metadata-1-0/DIDL-Lite/"',
+    'xmlns:dc="http://purl.org/dc/elements/1.1/"',
+    'xmlns:upnp="urn:schemas-upnp-org:metadata-1-0/upnp/"'
+];
+
+class UPnPUtilsDidl {
+    /* ------------------------------------------------------------------
+    * create(url, metadata)
+    *
+    * This method creates a DIDL-Lite XML document describing a single
+    * item, which is used for the `CurrentURIMetaData` of the AVTransport.
+    *
+    * [Arguments]
+    * - url             | String  | Required | URL of the content
+    * - metadata        | Object  | Optional |
+    *   - title         | String  | Optional | The default value is the file
+    *                   |         |          | name in the URL.
+    *   - creator       | String  | Optional |
+    *   - artist        | String  | Optional |
+    *   - album         | String  | Optional |
+    *   - genre         | String  | Optional |
+    *   - albumArtURI   | String  | Optional |
+    *   - mimetype      | String  | Optional | e.g., "audio/mpeg"
+    *   - protocolInfo  | String  | Optional | The default value is created from
+    *                   |         |          | the `mimetype` (e.g.,
+    *                   |         |          | "http-get:*:audio/mpeg:*").
+    *   - upnpClass     | String  | Optional | The default value is determined
+    *                   |         |          | by the `mimetype` (e.g.,
+    *                   |         |          | "object.item.audioItem.musicTrack").
+    *   - duration      | Number  | Optional | Duration in seconds
+    *   - size          | Integer | Optional | Size in bytes
+    *
+    * [Return value]
+    * - DIDL-Lite XML string
+    * ---------------------------------------------------------------- */
+    create(url, metadata = {}) {
+        if (typeof (url) !== 'string' || url === '') {
+            throw new Error('The 1st argument must be a URL string.');
+        }
+        if (!metadata || typeof (metadata) !== 'object') {
+            throw new Error('The 2nd argument must be an object.');
+        }
+        for (const name of ['title', 'creator', 'artist', 'album', 'genre', 'albumArtURI', 'mimetype', 'protocolInfo', 'upnpClass']) {
+            if (name in metadata && typeof (metadata[name]) !== 'string') {
+                throw new Error('The value of "' + name + '" is invalid. It must be a string.');
+            }
+        }
+        if ('duration' in metadata && (typeof (metadata['duration']) !== 'number' || !isFinite(metadata['duration']) || metadata['duration'] < 0)) {
+            throw new Error('The value of "duration" is invalid. It must be a number greater than or equal to 0.');
+        }
+        if ('size' in metadata && (typeof (metadata['size']) !== 'number' || metadata['size'] % 1 !== 0 || metadata['size'] < 0)) {
+            throw new Error('The value of "size" is invalid. It must be an integer greater than or equal to 0.');
+        }
+
+        const mimetype = metadata['mimetype'] || '';
+        const title = metadata['title'] || this._getFileName(url);
+        const protocol_info = metadata['protocolInfo'] || ('http-get:*:' + (mimetype || '*') + ':*');
+        const upnp_class = metadata['upnpClass'] || this._getUpnpClass(mimetype);
+
+        let xml = '<DIDL-Lite ' + DIDL_NAMESPACES.join(' ') + '>';
+        xml += '<item id="0" parentID="-1" restricted="1">';
+        xml += '<dc:title>' + this._escapeXml(title) + '</dc:title>';
+        if (metadata['creator']) {
+            xml += '<dc:creator>' + this._escapeXml(metadata['creator']) + '</dc:creator>';
+        }
+        if (metadata['artist']) {
+            xml += '<upnp:artist>' + this._escapeXml(metadata['artist']) + '</upnp:artist>';
+        }
+        if (metadata['album']) {
+            xml += '<upnp:album>' + this._escapeXml(metadata['album']) + '</upnp:album>';
+        }
+        if (metadata['genre']) {
+            xml += '<upnp:genre>' + this._escapeXml(metadata['genre']) + '</upnp:genre>';
+        }
+        if (metadata['albumArtURI']) {
+            xml += '<upnp:albumArtURI>' + this._escapeXml(metadata['albumArtURI']) + '</upnp:albumArtURI>';
+        }
+        xml += '<upnp:class>' + this._escapeXml(upnp_class) + '</upnp:class>';
+        xml += '<res protocolInfo="' + this._escapeXml(protocol_info) + '"';
+        if ('duration' in metadata) {
+            xml += ' duration="' + this.formatDuration(metadata['duration']) + '"';
+        }
+        if ('size' in metadata) {
+            xml += ' size="' + metadata['size'] + '"';
+        }
+        xml += '>' + this._escapeXml(url) + '</res>';
+        xml += '</item></DIDL-Lite>';
+        return xml;
+    }
+
+    /* ------------------------------------------------------------------
+    * parse(xml, baseUrl)
+    *
+    * This method parses a DIDL-Lite XML document (e.g., the `Result` of
+    * the Browse action of the ContentDirectory).
+    *
+    * [Arguments]
+    * - xml     | String | Required | DIDL-Lite XML string
+    * - baseUrl | String | Optional | Base URL used to resolve relative URLs
+    *
+    * [Return value]
+    * - Promise object
+    * - In an `await` syntax, this method returns an Array of the objects.
+    *   The containers come first, then the items. Each object has the
+    *   `type` property ("container" or "item").
+    * ---------------------------------------------------------------- */
+    async parse(xml, baseUrl = '') {
+        if (!mXml2js) {
+            throw new Error('The xml2js module is required to use this method.');
+        }
+        if (typeof (xml) !== 'string') {
+            throw new Error('The 1st argument must be a string.');
+        }
+        if (xml.trim() === '') {
+            return [];
+        }
+        const obj = await new Promise((resolve, reject) => {
+            const opts = {
+                explicitRoot: false,
+                explicitArray: true,
+                tagNameProcessors: [mXml2js.processors.stripPrefix]
+            };
+            mXml2js.parseString(xml, opts, (error, obj) => {
+                if (error) {
+                    reject(new Error('Failed to parse the DIDL-Lite: ' + error.message));
+                } else {
+                    resolve(obj);
+                }
+            });
+        });
+
+        const list = [];
+        for (const type of ['container', 'item']) {
+            for (const o of (obj && obj[type]) ? obj[type] : []) {
+                list.push(this._createObject(type, o, baseUrl));
+            }
+        }
+        return list;
+    }
+
+    _createObject(type, o, base_url) {
+        const attrs = o['$'] || {};
+        const text = (name) => {
+            return (o[name] && o[name].length > 0) ? this._getText(o[name][0]) : '';
+        };
+
+        const data = {
+            type: type,
+            id: attrs['id'] || '',
+            parentId: attrs['parentID'] || '',
+            restricted: /^(1|true)$/i.test(attrs['restricted'] || ''),
+            title: text('title'),
+            creator: text('creator'),
+            upnpClass: text('class')
+        };
+        if (type === 'container') {
+            data['childCount'] = ('childCount' in attrs) ? this._toNumber(attrs['childCount']) : null;
+            data['searchable'] = /^(1|true)$/i.test(attrs['searchable'] || '');
+        }
+        data['artist'] = text('artist');
+        data['album'] = text('album');
+        data['genre'] = text('genre');
+        data['date'] = text('date');
+        data['originalTrackNumber'] = text('originalTrackNumber') ? this._toNumber(text('originalTrackNumber')) : null;
+        data['albumArtURI'] = (o['albumArtURI'] || []).map((v) => {
+            return this._resolveUrl(this._getText(v), base_url);
+        }).filter((url) => url !== '');
+        data['res'] = (o['res'] || []).map((v) => {
+            const res_attrs = (v && typeof (v) === 'object' && v['$']) ? v['$'] : {};
+            const protocol_info = res_attrs['protocolInfo'] || '';
+            return {
+                url: this._resolveUrl(this._getText(v), base_url),
+                protocolInfo: protocol_info,
+                mimetype: protocol_info.split(':')[2] || '',
+                duration: ('duration' in res_attrs) ? this.parseDuration(res_attrs['duration']) : null,
+                size: ('size' in res_attrs) ? this._toNumber(res_attrs['size']) : null,
+                bitrate: ('bitrate' in res_attrs) ? this._toNumber(res_attrs['bitrate']) : null,
+                resolution: res_attrs['resolution'] || ''
+            };
+        });
+        return data;
+    }
+
+    _getText(v) {
+        if (v && typeof (v) === 'object') {
+            v = v['_'];
+        }
+        return (v === undefined || v === null) ? '' : String(v).trim();
+    }
+
+    _toNumber(v) {
+        const n = Number(v);
+        return (String(v).trim() === '' || isNaN(n)) ? null : n;
+    }
+
+    _resolveUrl(url, base_url) {
+        if (!url || !base_url) {
+            return url;
+        }
+        try {
+            return new URL(url, base_url).toString();
+        } catch (e) {
+            return url;
+        }
+    }
+
+    _getFileName(url) {
+        const path = url.replace(/[?#].*$/, '');
+        const name = path.substring(path.lastIndexOf('/') + 1);
+        try {
+            return decodeURIComponent(name) || url;
+        } catch (e) {
+            return name || url;
+        }
+    }
+
+    _getUpnpClass(mimetype) {
+        if (/^audio\//i.test(mimetype)) {
+            return 'object.item.audioItem.musicTrack';
+        } else if (/^video\//i.test(mimetype)) {
+            return 'object.item.videoItem';
+        } else if (/^image\//i.test(mimetype)) {
+            return 'object.item.imageItem.photo';
+        }
+        return 'object.item';
+    }
+
+    _escapeXml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+
+    /* ------------------------------------------------------------------
+    * formatDuration(sec)
+    *
+    * This method converts seconds to the "H+:MM:SS[.F+]" format used in
+    * the DIDL-Lite and the AVTransport (e.g., 3723.5 -> "1:02:03.500").
+    * ---------------------------------------------------------------- */
+    formatDuration(sec) {
+        const ms = Math.round(sec * 1000);
+        const h = Math.floor(ms / 3600000);
+        const m = Math.floor(ms / 60000) % 60;
+        const s = Math.floor(ms / 1000) % 60;
+        let text = h + ':' + String(m).padStart(2, '0') + ':' + String(s).padStart(2, '0');
+        if (ms % 1000 !== 0) {
+            text += '.' + String(ms % 1000).padStart(3, '0');
+        }
+        return text;
+    }
+
+    /* ------------------------------------------------------------------
+    * parseDuration(text)
+    *
+    * This method converts the "H+:MM:SS[.F+]" format to seconds. If the
+    * text is not in the format (e.g., "NOT_IMPLEMENTED"), this method
+    * returns null.
+    * ---------------------------------------------------------------- */
+    parseDuration(text) {
+        const m = /^\s*\+?(\d+):(\d{1,2}):(\d{1,2})(\.\d+)?\s*$/.exec(String(text));
+        if (!m) {
+            return null;
+        }
+        return parseInt(m[1], 10) * 3600 + parseInt(m[2], 10) * 60 + parseInt(m[3], 10) + (m[4] ? parseFloat(m[4]) : 0);
+    }
+}
+
+module.exports = new UPnPUtilsDidl();
@@ -0,0 +1,229 @@
+/* ------------------------------------------------------------------
+* node-upnp-utils - upnp-utils-errors.js
+*
+* Copyright (c) 2017 - 2024, Futomi Hatano, All rights reserved.
+* Released under the MIT license
+* Date: 2024-07-06
+* ---------------------------------------------------------------- */
+'use strict';
+
+/* ------------------------------------------------------------------
+* UPnPUtilsError
+*
+* The base class of the errors reported by the `error` event. The `code`
+* property is a string identifying the type of the error.
+* ---------------------------------------------------------------- */
+class UPnPUtilsError extends Error {
+    constructor(message, code, props = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = code;
+        Object.assign(this, props);
+    }
+
+    // Returns a plain object which can be serialized in JSON.
+    toJSON() {
+        const obj = { name: this.name, code: this.code, message: this.message };
+        for (const [k, v] of Object.entries(this)) {
+            if (k === 'cause') {
+                obj[k] = (v && v.message) ? v.message : String(v);
+            } else if (!(k in obj)) {
+                obj[k] = v;
+            }
+        }
+        return obj;
+    }
+}
+
+// Failed to bind a UDP socket (e.g., EADDRINUSE).
+// Properties: address, port, cause
+class SocketBindError extends UPnPUtilsError {
+    constructor(message, props) {
+        super(message, 'SOCKET_BIND', props);
+    }
+}
+
+// Failed to join or leave a multicast group.
+// Properties: multicastAddress, interfaceAddress, cause
+class MulticastJoinError extends UPnPUtilsError {
+    constructor(message, props) {
+        super(message, 'MULTICAST_JOIN', props);
+    }
+}
+
+// No response was received from the device in time.
+// Properties: url, timeout
+class DescriptionTimeoutError extends UPnPUtilsError {
+    constructor(message, props) {
+        super(message, 'DESCRIPTION_TIMEOUT', props);
+    }
+}
+
+// The device responded with a status code other than 200.
+// Properties: url, statusCode
+class HttpStatusError extends UPnPUtilsError {
+    constructor(message, props) {
+        super(message, 'HTTP_STATUS', props);
+    }
+}
+
+// The description is not a well-formed XML.
+// Properties: url, cause
+class XmlParseError extends UPnPUtilsError {
+    constructor(message, props) {
+        super(message, 'XML_PARSE', props);
+    }
+}
+
+// Any other failure of fetching a description (e.g., connection refused,
+// too many redirects or too large response).
+// Properties: url, cause
+class DescriptionFetchError extends UPnPUtilsError {
+    constructor(message, props) {
+        super(message, 'DESCRIPTION_FETCH', props);
+    }
+}
+
+// Failed to read or write the cache file, or the file is invalid.
+// Properties: path, cause
+class CacheFileError extends UPnPUtilsError {
+    constructor(message, props) {
+        super(message, 'CACHE_FILE', props);
+    }
+}
+
+// Failed to open, write or read the capture file, or the file is invalid.
+// Properties: path, cause
+class CaptureFileError extends UPnPUtilsError {
+    constructor(message, props) {
+        super(message, 'CAPTURE_FILE', props);
+    }
+}
+
+// The SSDP message is malformed. The `reason` property identifies the
+// problem (e.g., "INVALID_START_LINE", "MISSING_HEADER").
+// Properties: reason, header
+class SsdpMessageError extends UPnPUtilsError {
+    constructor(message, props) {
+        super(message, 'SSDP_MESSAGE', props);
+    }
+}
+
+// No response was received from the device for an action in time.
+// Properties: url, action, timeout
+class ActionTimeoutError extends UPnPUtilsError {
+    constructor(message, props) {
+        super(message, 'ACTION_TIMEOUT', props);
+    }
+}
+
+// The device returned a SOAP fault for an action.
+// Properties: errorCode, errorDescription
+class UPnPActionError extends UPnPUtilsError {
+    constructor(message, props) {
+        super(message, 'UPNP_ACTION', props);
+    }
+}
+
+// The IGD (Internet Gateway Device) returned a SOAP fault for an action.
+// The `code` is derived from the error name defined in the specification
+// (e.g., "CONFLICT_IN_MAPPING_ENTRY" for the errorCode 718). If the
+// errorCode is unknown, the `code` is "UPNP_ACTION".
+// Properties: action, errorCode, errorName, errorDescription
+class IgdError extends UPnPUtilsError {
+    constructor(message, code, props) {
+        super(message, code, props);
+    }
+}
+
+// The MediaRenderer returned a SOAP fault for an action of the AVTransport
+// or the RenderingControl. The `code` is derived from the error name in the
+// same way as the IgdError (e.g., "TRANSITION_NOT_AVAILABLE" for the
+// errorCode 701 of the AVTransport).
+// Properties: service, action, errorCode, errorName, errorDescription
+class RendererError extends UPnPUtilsError {
+    constructor(message, code, props) {
+        super(message, code, props);
+    }
+}
+
+// The MediaServer returned a SOAP fault for an action of the
+// ContentDirectory (e.g., "NO_SUCH_OBJECT" for the errorCode 701).
+// Properties: action, errorCode, errorName, errorDescription
+class ContentDirectoryError extends UPnPUtilsError {
+    constructor(message, code, props) {
+        super(message, code, props);
+    }
+}
+
+// The DIAL server responded with an unexpected status code. The `code` is
+// derived from the status code (e.g., "NOT_FOUND" for 404,
+// "SERVICE_UNAVAILABLE" for 503). Otherwise, it is "HTTP_STATUS".
+// Properties: url, statusCode
+class DialError extends UPnPUtilsError {
+    constructor(message, code, props) {
+        super(message, code, props);
+    }
+}
+
+/* ------------------------------------------------------------------
+* convertActionError(error, names, ErrorClass, props)
+*
+* Converts an UPnPActionError (a SOAP fault) to the error of the client
+* (e.g., IgdError). The `code` is derived from the error name looked up
+* in the `names` (e.g., "NO_SUCH_OBJECT" for "NoSuchObject"). If the
+* errorCode is not found, the `code` is "UPNP_ACTION". Any other error
+* is returned as it is.
+*
+* [Arguments]
+* - error      | Error    | Required | The error thrown by the invoke()
+* - names      | Object   | Required | Error names keyed by the errorCode
+* - ErrorClass | Function | Required | e.g., IgdError
+* - props      | Object   | Required |
+*   - action   | String   | Required | Action name
+*   - service  | String   | Optional | Service name (e.g., "AVTransport")
+*
+* [Return value]
+* - Error object
+* ---------------------------------------------------------------- */
+function convertActionError(error, names, ErrorClass, props) {
+    if (!(error instanceof UPnPActionError)) {
+        return error;
+    }
+    const name = names[error.errorCode] || '';
+    const code = name ? name.replace(/([a-z])([A-Z])/g, '$1_$2').toUpperCase() : 'UPNP_ACTION';
+    let msg = 'The action "' + props['action'] + '"';
+    if (props['service']) {
+        msg += ' of the ' + props['service'];
+    }
+    msg += ' failed: ' + (name ? name + ' (' + error.errorCode + ')' : 'errorCode=' + error.errorCode);
+    if (error.errorDescription) {
+        msg += ', ' + error.errorDescription;
+    }
+    return new ErrorClass(msg, code, Object.assign({}, props, {
+        errorCode: error.errorCode,
+        errorName: name,
+        errorDescription: error.errorDescription,
+        cause: error
+    }));
+}
+
+module.exports = {
+    UPnPUtilsError: UPnPUtilsError,
+    SocketBindError: SocketBindError,
+    MulticastJoinError: MulticastJoinError,
+    DescriptionTimeoutError: DescriptionTimeoutError,
+    HttpStatusError: HttpStatusError,
+    XmlParseError: XmlParseError,
+    DescriptionFetchError: DescriptionFetchError,
+    CacheFileError: CacheFileError,
+    CaptureFileError: CaptureFileError,
+    SsdpMessageError: SsdpMessageError,
+    ActionTimeoutError: ActionTimeoutError,
+    UPnPActionError: UPnPActionError,
+    IgdError: IgdError,
+    RendererError: RendererError,
+    ContentDirectoryError: ContentDirectoryError,
+    DialError: DialError,
+    convertActionError: convertActionError
+};
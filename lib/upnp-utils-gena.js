@@ -0,0 +1,554 @@
+/* ------------------------------------------------------------------
+* node-upnp-utils - upnp-utils-gena.js
+*
+* Copyright (c) 2017 - 2024, Futomi Hatano, All rights reserved.
+* Released under the MIT license
+* Date: 2024-07-06
+* ---------------------------------------------------------------- */
+'use strict';
+const mEventEmitter = require('events');
+const mHttp = require('http');
+const mOs = require('os');
+const mNet = require('net');
+const mCrypto = require('crypto');
+const mUpnpUtilsDd = require('./upnp-utils-dd.js');
+
+let mXml2js = null;
+try {
+    mXml2js = require('xml2js');
+} catch (e) { }
+
+class UPnPUtilsGena {
+    /* ------------------------------------------------------------------
+    * Constructor
+    *
+    * The `UPnPUtilsGena` object manages the GENA event subscriptions and
+    * the local HTTP server which receives the NOTIFY requests (event
+    * messages) from the devices.
+    * ---------------------------------------------------------------- */
+    constructor() {
+        this._server = null;
+        this._server_promise = null;
+        this._port = 0;
+        this._subscriptions = {};
+    }
+
+    /* ------------------------------------------------------------------
+    * subscribe(params)
+    *
+    * [Arguments]
+    * - params        | Object  | Required |
+    *   - eventSubURL | String  | Required | Absolute URL for the eventing
+    *   - serviceType | String  | Optional | Service type
+    *   - timeout     | Integer | Optional | Requested subscription duration
+    *                 |         |          | in seconds. The default is 1800.
+    *   - address     | String  | Optional | Local IP address used in the
+    *                 |         |          | CALLBACK URL.
+    *   - port        | Integer | Optional | Port number of the callback
+    *                 |         |          | server. This is applied only when
+    *                 |         |          | the server is not running.
+    *   - zone        | String  | Optional | Zone ID (interface name or index)
+    *                 |         |          | used if the host of the eventSubURL
+    *                 |         |          | is an IPv6 link-local address.
+    *
+    * [Return value]
+    * - Promise object
+    * - In an `await` syntax, this method returns an `UPnPUtilsSubscription`
+    *   object.
+    * ---------------------------------------------------------------- */
+    async subscribe(params) {
+        await this._startServer(params['port'] || 0);
+
+        const path = '/upnp-utils/' + mCrypto.randomBytes(8).toString('hex');
+        const subscription = new UPnPUtilsSubscription({
+            eventSubURL: params['eventSubURL'],
+            serviceType: params['serviceType'],
+            timeout: params['timeout'],
+            zone: params['zone'],
+            getCallbackUrl: () => {
+                const m = params['eventSubURL'].match(/^https?\:\/\/(?:\[([^\]]+)\]|([^\/\:]+))/);
+                const remote = m ? (m[1] || m[2]).replace(/%.*$/, '') : '';
+                const address = params['address'] || this._getLocalAddressFor(remote, params['zone'] || '');
+                const host = mNet.isIPv6(address) ? '[' + address + ']' : address;
+                return 'http://' + host + ':' + this._port + path;
+            },
+            onClose: () => {
+                delete this._subscriptions[path];
+                if (Object.keys(this._subscriptions).length === 0) {
+                    this._stopServer();
+                }
+            }
+        });
+        this._subscriptions[path] = subscription;
+
+        try {
+            await subscription._subscribe();
+        } catch (error) {
+            subscription._close();
+            throw error;
+        }
+        return subscription;
+    }
+
+    // The concurrent calls share the same server. The promise is kept
+    // while the server is running, and cleared if failed to start it.
+    _startServer(port) {
+        if (this._server_promise) {
+            return this._server_promise;
+        }
+        this._server_promise = new Promise((resolve, reject) => {
+            const server = mHttp.createServer((req, res) => {
+                this._handleRequest(req, res);
+            });
+            server.once('error', (error) => {
+                this._server_promise = null;
+                reject(error);
+            });
+            server.listen(port, () => {
+                server.removeAllListeners('error');
+                server.on('error', () => { });
+                this._server = server;
+                this._port = server.address().port;
+                resolve();
+            });
+        });
+        return this._server_promise;
+    }
+
+    _stopServer() {
+        this._server_promise = null;
+        if (this._server) {
+            this._server.close();
+            this._server.unref();
+            this._server = null;
+            this._port = 0;
+        }
+    }
+
+    // Select the local address in the same subnet as the device.
+    _getLocalAddressFor(remote, zone = '') {
+        if (mNet.isIPv6(remote)) {
+            return this._getLocalAddress6For(remote, zone);
+        }
+        if (/^127\./.test(remote) || remote === 'localhost') {
+            return '127.0.0.1';
+        }
+        let fallback = null;
+        for (const iflist of Object.values(mOs.networkInterfaces())) {
+            for (const info of iflist) {
+                if (info.internal || info.family !== 'IPv4') {
+                    continue;
+                }
+                if (!fallback) {
+                    fallback = info.address;
+                }
+                const a = this._toUint32(info.address);
+                const r = this._toUint32(remote);
+                const m = this._toUint32(info.netmask);
+                if (r !== null && ((a & m) >>> 0) === ((r & m) >>> 0)) {
+                    return info.address;
+                }
+            }
+        }
+        return fallback || '127.0.0.1';
+    }
+
+    // For a link-local device, the link-local address of the interface
+    // specified by the zone is selected. Otherwise, the address having the
+    // same prefix as the device is selected.
+    _getLocalAddress6For(remote, zone) {
+        if (remote === '::1') {
+            return '::1';
+        }
+        const r = this._toBytes6(remote);
+        const remote_link_local = (r[0] === 0xfe && (r[1] & 0xc0) === 0x80);
+        let fallback = null;
+        for (const [name, iflist] of Object.entries(mOs.networkInterfaces())) {
+            for (const info of iflist) {
+                if (info.internal || info.family !== 'IPv6') {
+                    continue;
+                }
+                const a = this._toBytes6(info.address);
+                const local_link_local = (a[0] === 0xfe && (a[1] & 0xc0) === 0x80);
+                if (remote_link_local) {
+                    if (!local_link_local) {
+                        continue;
+                    }
+                    if (!zone || name === zone || String(info.scopeid) === zone) {
+                        return info.address;
+                    }
+                    continue;
+                }
+                if (local_link_local) {
+                    continue;
+                }
+                if (!fallback) {
+                    fallback = info.address;
+                }
+                const prefix = parseInt(String(info.cidr).split('/')[1], 10) || 64;
+                if (this._matchPrefix6(a, r, prefix)) {
+                    return info.address;
+                }
+            }
+        }
+        return fallback || '::1';
+    }
+
+    _toBytes6(addr) {
+        const [head, tail] = addr.split('::');
+        const h = head ? head.split(':') : [];
+        const t = (tail !== undefined && tail !== '') ? tail.split(':') : [];
+        const groups = h.concat(new Array(8 - h.length - t.length).fill('0'), t);
+        const bytes = [];
+        for (const g of groups) {
+            const n = parseInt(g, 16) || 0;
+            bytes.push(n >> 8, n & 0xff);
+        }
+        return bytes;
+    }
+
+    _matchPrefix6(a, b, prefix) {
+        for (let i = 0; i < 16; i++) {
+            const bits = Math.min(Math.max(prefix - i * 8, 0), 8);
+            const mask = (0xff << (8 - bits)) & 0xff;
+            if ((a[i] & mask) !== (b[i] & mask)) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    _toUint32(addr) {
+        const parts = String(addr).split('.');
+        if (parts.length !== 4) {
+            return null;
+        }
+        return parts.reduce((n, p) => ((n << 8) + parseInt(p, 10)) >>> 0, 0);
+    }
+
+    _handleRequest(req, res) {
+        const subscription = this._subscriptions[req.url];
+        if (req.method !== 'NOTIFY' || !subscription) {
+            req.resume();
+            res.statusCode = (req.method !== 'NOTIFY') ? 405 : 412;
+            res.end();
+            return;
+        }
+
+        const chunks = [];
+        req.on('data', (chunk) => {
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            const headers = req.headers;
+            if (headers['nt'] !== 'upnp:event' || headers['nts'] !== 'upnp:propchange') {
+                res.statusCode = 400;
+                res.end();
+                return;
+            }
+            if (!headers['sid'] || (subscription.sid && headers['sid'] !== subscription.sid)) {
+                res.statusCode = 412;
+                res.end();
+                return;
+            }
+            res.statusCode = 200;
+            res.end();
+
+            const body = Buffer.concat(chunks).toString('utf8');
+            subscription._receiveNotify(headers['sid'], parseInt(headers['seq'], 10), body);
+        });
+    }
+}
+
+class UPnPUtilsSubscription extends mEventEmitter {
+    /* ------------------------------------------------------------------
+    * Constructor
+    *
+    * An `UPnPUtilsSubscription` object represents a GENA event
+    * subscription. It emits the `change` event whenever an event message
+    * is received, and it renews the subscription automatically before it
+    * expires. This object is created by the `UPnPUtilsGena` object.
+    * ---------------------------------------------------------------- */
+    constructor(params) {
+        super();
+        this.eventSubURL = params['eventSubURL'];
+        this.serviceType = params['serviceType'] || '';
+        this.sid = null;
+        this.timeout = 0;
+
+        this._requested_timeout = params['timeout'] || 1800;
+        this._zone = params['zone'] || '';
+        this._get_callback_url = params['getCallbackUrl'];
+        this._on_close = params['onClose'];
+        this._next_seq = 0;
+        this._renew_timer = null;
+        this._is_closed = false;
+        this._is_resubscribing = false;
+        this._pending = [];
+    }
+
+    async _subscribe() {
+        this.sid = null;
+        this._next_seq = 0;
+        const res = await this._request('SUBSCRIBE', {
+            'CALLBACK': '<' + this._get_callback_url() + '>',
+            'NT': 'upnp:event',
+            'TIMEOUT': 'Second-' + this._requested_timeout
+        });
+        if (res.statusCode !== 200 || !res.headers['sid']) {
+            throw new Error('SUBSCRIBE ERROR: url=' + this.eventSubURL + ', statusCode=' + res.statusCode);
+        }
+        this.sid = res.headers['sid'];
+        this._updateTimeout(res.headers['timeout']);
+
+        // The initial event message may arrive before the SUBSCRIBE response.
+        const pending = this._pending;
+        this._pending = [];
+        for (const p of pending) {
+            if (p.sid === this.sid) {
+                this._receiveNotify(p.sid, p.seq, p.body);
+            }
+        }
+    }
+
+    async _renew() {
+        const res = await this._request('SUBSCRIBE', {
+            'SID': this.sid,
+            'TIMEOUT': 'Second-' + this._requested_timeout
+        });
+        if (res.statusCode !== 200) {
+            throw new Error('SUBSCRIBE ERROR: url=' + this.eventSubURL + ', statusCode=' + res.statusCode);
+        }
+        this._updateTimeout(res.headers['timeout']);
+    }
+
+    _updateTimeout(value) {
+        const m = String(value || '').match(/Second\-(\d+|infinite)/i);
+        this.timeout = (m && /^\d+$/.test(m[1])) ? parseInt(m[1], 10) : this._requested_timeout;
+        this._scheduleRenewal();
+    }
+
+    // The subscription is renewed when 80% of the duration has passed.
+    _scheduleRenewal() {
+        this._clearRenewTimer();
+        if (this._is_closed) {
+            return;
+        }
+        const msec = Math.max(Math.floor(this.timeout * 1000 * 0.8), 1000);
+        this._renew_timer = setTimeout(async () => {
+            this._renew_timer = null;
+            try {
+                await this._renew();
+            } catch (error) {
+                // The subscription might be expired on the device.
+                await this._resubscribe(error);
+            }
+        }, msec);
+    }
+
+    _clearRenewTimer() {
+        if (this._renew_timer) {
+            clearTimeout(this._renew_timer);
+            this._renew_timer = null;
+        }
+    }
+
+    async _resubscribe(reason) {
+        if (this._is_closed || this._is_resubscribing) {
+            return;
+        }
+        this._is_resubscribing = true;
+        this._clearRenewTimer();
+        const old_sid = this.sid;
+        if (old_sid) {
+            this._request('UNSUBSCRIBE', { 'SID': old_sid }).catch(() => { });
+        }
+        try {
+            await this._subscribe();
+            this._is_resubscribing = false;
+            // The unsubscribe() might be called while subscribing. Then the
+            // new subscription is cancelled.
+            if (this._is_closed) {
+                this._request('UNSUBSCRIBE', { 'SID': this.sid }).catch(() => { });
+                return;
+            }
+            this.emit('resubscribed', { oldSid: old_sid, sid: this.sid, reason: reason.message });
+        } catch (error) {
+            this._is_resubscribing = false;
+            if (this._is_closed) {
+                return;
+            }
+            this._emitError(error);
+            // Retry later
+            this.timeout = 30;
+            this._renew_timer = setTimeout(() => {
+                this._resubscribe(error);
+            }, 30000);
+        }
+    }
+
+    _emitError(error) {
+        if (this.listenerCount('error') > 0) {
+            this.emit('error', error);
+        }
+    }
+
+    _request(method, headers) {
+        return new Promise((resolve, reject) => {
+            const opts = { method: method, headers: headers };
+            const ropts = mUpnpUtilsDd.createRequestOptions(this.eventSubURL, this._zone);
+            const callback = (res) => {
+                res.resume();
+                res.on('end', () => {
+                    clearTimeout(timer);
+                    resolve(res);
+                });
+            };
+            const req = (typeof (ropts) === 'string') ? mHttp.request(ropts, opts, callback) : mHttp.request(Object.assign(ropts, opts), callback);
+            const timer = setTimeout(() => {
+                req.destroy();
+                reject(new Error('TIMEOUT'));
+            }, 5000);
+            req.on('error', (error) => {
+                clearTimeout(timer);
+                reject(error);
+            });
+            req.end();
+        });
+    }
+
+    _receiveNotify(sid, seq, body) {
+        if (this._is_closed) {
+            return;
+        }
+        if (!this.sid) {
+            this._pending.push({ sid: sid, seq: seq, body: body });
+            return;
+        }
+
+        // The SEQ is incremented for each event message and it wraps to 1
+        // after 4294967295. A gap means that some messages were lost.
+        if (isNaN(seq) || seq !== this._next_seq) {
+            const error = new Error('Event messages were lost: expected SEQ=' + this._next_seq + ', received SEQ=' + seq);
+            this._resubscribe(error);
+            return;
+        }
+        this._next_seq = (seq >= 4294967295) ? 1 : seq + 1;
+
+        this._parsePropertySet(body).then((properties) => {
+            const data = {
+                sid: sid,
+                seq: seq,
+                properties: properties
+            };
+            if (typeof (properties['LastChange']) === 'string' && properties['LastChange'] !== '') {
+                return this._parseLastChange(properties['LastChange']).then((last_change) => {
+                    data['lastChange'] = last_change;
+                    return data;
+                });
+            }
+            return data;
+        }).then((data) => {
+            this.emit('change', data);
+        }).catch((error) => {
+            this._emitError(error);
+        });
+    }
+
+    _parseXml(xml, opts) {
+        return new Promise((resolve, reject) => {
+            mXml2js.parseString(xml, opts, (error, obj) => {
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve(obj);
+                }
+            });
+        });
+    }
+
+    async _parsePropertySet(xml) {
+        const obj = await this._parseXml(xml, {
+            explicitRoot: false,
+            explicitArray: true,
+            tagNameProcessors: [mXml2js.processors.stripPrefix]
+        });
+        const properties = {};
+        for (const prop of (obj && obj['property']) ? obj['property'] : []) {
+            for (const [name, values] of Object.entries(prop)) {
+                const v = values[0];
+                properties[name] = (v && typeof (v) === 'object') ? (v['_'] || '') : (v || '');
+            }
+        }
+        return properties;
+    }
+
+    // Parse the LastChange XML of the AVTransport and RenderingControl
+    // services. The result is an object whose keys are the InstanceIDs.
+    // A state variable having the `channel` attribute (e.g., Volume) is
+    // represented as an object whose keys are the channels.
+    async _parseLastChange(xml) {
+        const obj = await this._parseXml(xml, {
+            explicitRoot: false,
+            explicitArray: true,
+            tagNameProcessors: [mXml2js.processors.stripPrefix],
+            attrNameProcessors: [mXml2js.processors.stripPrefix]
+        });
+        const result = {};
+        for (const inst of (obj && obj['InstanceID']) ? obj['InstanceID'] : []) {
+            const id = (inst['$'] && inst['$']['val']) ? inst['$']['val'] : '0';
+            const vars = result[id] || {};
+            for (const [name, elems] of Object.entries(inst)) {
+                if (name === '$') {
+                    continue;
+                }
+                for (const el of elems) {
+                    const attrs = (el && el['$']) ? el['$'] : {};
+                    const val = ('val' in attrs) ? attrs['val'] : '';
+                    if ('channel' in attrs) {
+                        if (!vars[name] || typeof (vars[name]) !== 'object') {
+                            vars[name] = {};
+                        }
+                        vars[name][attrs['channel']] = val;
+                    } else {
+                        vars[name] = val;
+                    }
+                }
+            }
+            result[id] = vars;
+        }
+        return result;
+    }
+
+    /* ------------------------------------------------------------------
+    * unsubscribe()
+    *
+    * This method cancels the subscription. An UNSUBSCRIBE request is sent
+    * to the device and the renewal is stopped.
+    * ---------------------------------------------------------------- */
+    async unsubscribe() {
+        if (this._is_closed) {
+            return;
+        }
+        const sid = this.sid;
+        this._close();
+        if (sid) {
+            try {
+                await this._request('UNSUBSCRIBE', { 'SID': sid });
+            } catch (error) {
+                // Do nothing
+            }
+        }
+    }
+
+    _close() {
+        this._is_closed = true;
+        this._clearRenewTimer();
+        if (this._on_close) {
+            this._on_close();
+            this._on_close = null;
+        }
+    }
+}
+
+module.exports = UPnPUtilsGena;
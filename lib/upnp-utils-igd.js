@@ -0,0 +1,260 @@
+/* ------------------------------------------------------------------
+* node-upnp-utils - upnp-utils-igd.js
+*
+* Copyright (c) 2017 - 2024, Futomi Hatano, All rights reserved.
+* Released under the MIT license
+* Date: 2024-07-06
+* ---------------------------------------------------------------- */
+'use strict';
+const mUpnpUtilsErrors = require('./upnp-utils-errors.js');
+
+// Error names defined in the WANIPConnection and WANPPPConnection specs
+const ERROR_NAMES = {
+    401: 'InvalidAction',
+    402: 'InvalidArgs',
+    501: 'ActionFailed',
+    606: 'ActionNotAuthorized',
+    713: 'SpecifiedArrayIndexInvalid',
+    714: 'NoSuchEntryInArray',
+    715: 'WildCardNotPermittedInSrcIP',
+    716: 'WildCardNotPermittedInExtPort',
+    718: 'ConflictInMappingEntry',
+    724: 'SamePortValuesRequired',
+    725: 'OnlyPermanentLeasesSupported',
+    726: 'RemoteHostOnlySupportsWildcard',
+    727: 'ExternalPortOnlySupportsWildcard',
+    728: 'NoPortMapsAvailable',
+    729: 'ConflictWithOtherMechanisms',
+    732: 'WildCardNotPermittedInIntPort'
+};
+
+// The maximum number of port mapping entries (TCP and UDP for each port)
+const MAX_ENTRIES = 65536 * 2;
+
+class UPnPUtilsIgd {
+    /* ------------------------------------------------------------------
+    * Constructor
+    *
+    * An `UPnPUtilsIgd` object is a client of the WANIPConnection or the
+    * WANPPPConnection service of an IGD (Internet Gateway Device). It is
+    * created by the `createIgdClient()` method of the `UPnPUtils`.
+    *
+    * [Arguments]
+    * - params           | Object | Required |
+    *   - service        | Object | Required | `UPnPUtilsService` object of the
+    *                    |        |          | WANIPConnection or the WANPPPConnection
+    *   - internalClient | String | Optional | Default value of the `internalClient`
+    *                    |        |          | of the addPortMapping() and the
+    *                    |        |          | addAnyPortMapping()
+    * ---------------------------------------------------------------- */
+    constructor(params) {
+        this.service = params['service'];
+        this.serviceType = this.service.serviceType;
+        this._internalClient = params['internalClient'] || '';
+    }
+
+    /* ------------------------------------------------------------------
+    * getExternalIP()
+    *
+    * [Return value]
+    * - Promise object
+    * - In an `await` syntax, this method returns the external IP address
+    *   of the IGD (e.g., "203.0.113.5").
+    * ---------------------------------------------------------------- */
+    async getExternalIP() {
+        const res = await this._invoke('GetExternalIPAddress', {});
+        return String(res['NewExternalIPAddress']);
+    }
+
+    /* ------------------------------------------------------------------
+    * addPortMapping(params)
+    *
+    * [Arguments]
+    * - params           | Object  | Required |
+    *   - remoteHost     | String  | Optional | Remote host. The default value is
+    *                    |         |          | "" (wildcard).
+    *   - externalPort   | Integer | Required | External port (0 - 65535).
+    *                    |         |          | 0 means wildcard.
+    *   - protocol       | String  | Required | "TCP" or "UDP"
+    *   - internalPort   | Integer | Required | Internal port (1 - 65535)
+    *   - internalClient | String  | Optional | IP address of the internal client.
+    *                    |         |          | The default value is the local
+    *                    |         |          | address facing the IGD.
+    *   - enabled        | Boolean | Optional | The default value is true.
+    *   - description    | String  | Optional | The default value is "".
+    *   - leaseDuration  | Integer | Optional | Lease duration in seconds. The
+    *                    |         |          | default value is 0 (permanent).
+    *
+    * [Return value]
+    * - Promise object
+    * - Nothing will be passed to the `resolve()`.
+    * ---------------------------------------------------------------- */
+    async addPortMapping(params) {
+        const p = this._checkMappingParams(params);
+        await this._invoke('AddPortMapping', this._createMappingArgs(p));
+    }
+
+    /* ------------------------------------------------------------------
+    * addAnyPortMapping(params)
+    *
+    * This method is available only for the WANIPConnection:2. If the
+    * specified external port is not available, the IGD reserves another
+    * port.
+    *
+    * [Arguments]
+    * - params | Object | Required | Same as the addPortMapping()
+    *
+    * [Return value]
+    * - Promise object
+    * - In an `await` syntax, this method returns the reserved external port.
+    * ---------------------------------------------------------------- */
+    async addAnyPortMapping(params) {
+        if (!/:service:WANIPConnection:[2-9]$/.test(this.serviceType)) {
+            throw new Error('The AddAnyPortMapping is not supported by the service "' + this.serviceType + '".');
+        }
+        const p = this._checkMappingParams(params);
+        const res = await this._invoke('AddAnyPortMapping', this._createMappingArgs(p));
+        return Number(res['NewReservedPort']);
+    }
+
+    /* ------------------------------------------------------------------
+    * deletePortMapping(params)
+    *
+    * [Arguments]
+    * - params         | Object  | Required |
+    *   - remoteHost   | String  | Optional | The default value is "".
+    *   - externalPort | Integer | Required | External port (0 - 65535)
+    *   - protocol     | String  | Required | "TCP" or "UDP"
+    *
+    * [Return value]
+    * - Promise object
+    * - Nothing will be passed to the `resolve()`.
+    * ---------------------------------------------------------------- */
+    async deletePortMapping(params) {
+        const p = this._checkMappingParams(params, true);
+        await this._invoke('DeletePortMapping', {
+            NewRemoteHost: p.remoteHost,
+            NewExternalPort: p.externalPort,
+            NewProtocol: p.protocol
+        });
+    }
+
+    /* ------------------------------------------------------------------
+    * listPortMappings()
+    *
+    * This method retrieves all port mapping entries using the
+    * GetGenericPortMappingEntry action.
+    *
+    * [Return value]
+    * - Promise object
+    * - In an `await` syntax, this method returns an Array of the entries.
+    *   Each entry has the same properties as the `params` of the
+    *   addPortMapping().
+    * ---------------------------------------------------------------- */
+    async listPortMappings() {
+        const list = [];
+        for (let i = 0; i < MAX_ENTRIES; i++) {
+            let res = null;
+            try {
+                res = await this._invoke('GetGenericPortMappingEntry', { NewPortMappingIndex: i });
+            } catch (error) {
+                // The end of the list. Some IGDs return the 714 or the
+                // 501 instead of the 713.
+                if (error instanceof mUpnpUtilsErrors.IgdError && [713, 714, 501].includes(error.errorCode)) {
+                    break;
+                }
+                throw error;
+            }
+            list.push({
+                remoteHost: String(res['NewRemoteHost']),
+                externalPort: Number(res['NewExternalPort']),
+                protocol: String(res['NewProtocol']),
+                internalPort: Number(res['NewInternalPort']),
+                internalClient: String(res['NewInternalClient']),
+                enabled: /^(1|true|yes)$/i.test(String(res['NewEnabled'])),
+                description: String(res['NewPortMappingDescription']),
+                leaseDuration: Number(res['NewLeaseDuration'])
+            });
+        }
+        return list;
+    }
+
+    _checkMappingParams(params, key_only) {
+        if (!params || typeof (params) !== 'object') {
+            throw new Error('The 1st argument must be an object.');
+        }
+        const p = {};
+
+        p.remoteHost = ('remoteHost' in params) ? params['remoteHost'] : '';
+        if (typeof (p.remoteHost) !== 'string') {
+            throw new Error('The value of "remoteHost" is invalid. It must be a string.');
+        }
+
+        p.externalPort = params['externalPort'];
+        if (typeof (p.externalPort) !== 'number' || p.externalPort % 1 !== 0 || p.externalPort < 0 || p.externalPort > 65535) {
+            throw new Error('The value of "externalPort" is invalid. It must be an integer between 0 and 65535.');
+        }
+
+        p.protocol = (typeof (params['protocol']) === 'string') ? params['protocol'].toUpperCase() : '';
+        if (!['TCP', 'UDP'].includes(p.protocol)) {
+            throw new Error('The value of "protocol" is invalid. It must be "TCP" or "UDP".');
+        }
+
+        if (key_only) {
+            return p;
+        }
+
+        p.internalPort = params['internalPort'];
+        if (typeof (p.internalPort) !== 'number' || p.internalPort % 1 !== 0 || p.internalPort < 1 || p.internalPort > 65535) {
+            throw new Error('The value of "internalPort" is invalid. It must be an integer between 1 and 65535.');
+        }
+
+        p.internalClient = ('internalClient' in params) ? params['internalClient'] : this._internalClient;
+        if (typeof (p.internalClient) !== 'string' || p.internalClient === '') {
+            throw new Error('The value of "internalClient" is invalid. It must be a non-empty string.');
+        }
+
+        p.enabled = ('enabled' in params) ? params['enabled'] : true;
+        if (typeof (p.enabled) !== 'boolean') {
+            throw new Error('The value of "enabled" is invalid. It must be a boolean.');
+        }
+
+        p.description = ('description' in params) ? params['description'] : '';
+        if (typeof (p.description) !== 'string') {
+            throw new Error('The value of "description" is invalid. It must be a string.');
+        }
+
+        p.leaseDuration = ('leaseDuration' in params) ? params['leaseDuration'] : 0;
+        if (typeof (p.leaseDuration) !== 'number' || p.leaseDuration % 1 !== 0 || p.leaseDuration < 0 || p.leaseDuration > 4294967295) {
+            throw new Error('The value of "leaseDuration" is invalid. It must be an integer between 0 and 4294967295.');
+        }
+
+        return p;
+    }
+
+    _createMappingArgs(p) {
+        return {
+            NewRemoteHost: p.remoteHost,
+            NewExternalPort: p.externalPort,
+            NewProtocol: p.protocol,
+            NewInternalPort: p.internalPort,
+            NewInternalClient: p.internalClient,
+            NewEnabled: p.enabled ? 1 : 0,
+            NewPortMappingDescription: p.description,
+            NewLeaseDuration: p.leaseDuration
+        };
+    }
+
+    // Invokes the action. A SOAP fault is converted to an IgdError.
+    async _invoke(action_name, args) {
+        try {
+            return await this.service.invoke(action_name, args);
+        } catch (error) {
+            throw mUpnpUtilsErrors.convertActionError(error, ERROR_NAMES, mUpnpUtilsErrors.IgdError, {
+                action: action_name
+            });
+        }
+    }
+}
+
+module.exports = UPnPUtilsIgd;
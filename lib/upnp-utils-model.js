@@ -0,0 +1,199 @@
+/* ------------------------------------------------------------------
+* node-upnp-utils - upnp-utils-model.js
+*
+* Copyright (c) 2017 - 2024, Futomi Hatano, All rights reserved.
+* Released under the MIT license
+* Date: 2024-07-06
+* ---------------------------------------------------------------- */
+'use strict';
+
+const DEVICE_PROPERTIES = [
+    'deviceType', 'friendlyName', 'manufacturer', 'manufacturerURL',
+    'modelDescription', 'modelName', 'modelNumber', 'modelURL',
+    'serialNumber', 'UDN', 'UPC'
+];
+
+const SERVICE_PROPERTIES = ['serviceType', 'serviceId'];
+const SERVICE_URL_PROPERTIES = ['SCPDURL', 'controlURL', 'eventSubURL'];
+
+class UPnPUtilsModel {
+    /* ------------------------------------------------------------------
+    * create(description, location)
+    *
+    * This method creates a normalized device model from the device
+    * description parsed by the xml2js. In the model, the embedded devices,
+    * the services and the icons are always arrays, and all URLs are
+    * resolved to absolute URLs.
+    *
+    * [Arguments]
+    * - description | Object | Required | Device description parsed by the xml2js
+    * - location    | String | Required | LOCATION header value
+    *
+    * [Return value]
+    * - An object representing the root device. If the description is
+    *   invalid, this method returns null.
+    * ---------------------------------------------------------------- */
+    create(description, location) {
+        if (!description || typeof (description) !== 'object' || !description['device']) {
+            return null;
+        }
+        const base_url = this._getText(description['URLBase']) || location;
+        const model = this._createDevice(description['device'], base_url);
+        model['URLBase'] = base_url;
+        const spec = description['specVersion'];
+        if (spec && typeof (spec) === 'object') {
+            model['specVersion'] = {
+                major: parseInt(this._getText(spec['major']), 10) || 0,
+                minor: parseInt(this._getText(spec['minor']), 10) || 0
+            };
+        }
+        return model;
+    }
+
+    _toArray(v) {
+        if (v === undefined || v === null || v === '') {
+            return [];
+        }
+        return Array.isArray(v) ? v : [v];
+    }
+
+    _getText(v) {
+        if (v && typeof (v) === 'object') {
+            return ('_' in v) ? String(v['_']).trim() : '';
+        }
+        return (v === undefined || v === null) ? '' : String(v).trim();
+    }
+
+    _resolveUrl(url, base_url) {
+        if (!url) {
+            return '';
+        }
+        try {
+            return new URL(url, base_url).toString();
+        } catch (e) {
+            return url;
+        }
+    }
+
+    _createDevice(dev, base_url) {
+        const device = {};
+        for (const k of DEVICE_PROPERTIES) {
+            device[k] = this._getText(dev[k]);
+        }
+        device['presentationURL'] = this._resolveUrl(this._getText(dev['presentationURL']), base_url);
+
+        device['icons'] = [];
+        const icon_list = dev['iconList'] || {};
+        for (const icon of this._toArray(icon_list['icon'])) {
+            device['icons'].push({
+                mimetype: this._getText(icon['mimetype']),
+                width: parseInt(this._getText(icon['width']), 10) || 0,
+                height: parseInt(this._getText(icon['height']), 10) || 0,
+                depth: parseInt(this._getText(icon['depth']), 10) || 0,
+                url: this._resolveUrl(this._getText(icon['url']), base_url)
+            });
+        }
+
+        device['services'] = [];
+        const service_list = dev['serviceList'] || {};
+        for (const s of this._toArray(service_list['service'])) {
+            const service = {};
+            for (const k of SERVICE_PROPERTIES) {
+                service[k] = this._getText(s[k]);
+            }
+            for (const k of SERVICE_URL_PROPERTIES) {
+                service[k] = this._resolveUrl(this._getText(s[k]), base_url);
+            }
+            device['services'].push(service);
+        }
+
+        device['devices'] = [];
+        const device_list = dev['deviceList'] || {};
+        for (const d of this._toArray(device_list['device'])) {
+            if (d && typeof (d) === 'object') {
+                device['devices'].push(this._createDevice(d, base_url));
+            }
+        }
+        return device;
+    }
+
+    /* ------------------------------------------------------------------
+    * getAllDevices(model)
+    *
+    * This method returns a flat list of the root device and all embedded
+    * devices in the model (depth-first order).
+    * ---------------------------------------------------------------- */
+    getAllDevices(model) {
+        const list = [];
+        const walk = (dev) => {
+            if (!dev || typeof (dev) !== 'object') {
+                return;
+            }
+            list.push(dev);
+            for (const d of dev['devices'] || []) {
+                walk(d);
+            }
+        };
+        walk(model);
+        return list;
+    }
+
+    /* ------------------------------------------------------------------
+    * findDevice(model, deviceType)
+    *
+    * This method searches the device of the specified device type (or UDN)
+    * in the root device and all embedded devices. If the specified version
+    * is not found, a device of a higher version of the same type is
+    * returned. If no device is found, this method returns null.
+    * ---------------------------------------------------------------- */
+    findDevice(model, deviceType) {
+        const devices = this.getAllDevices(model);
+        const udn_matched = devices.find((d) => d['UDN'] === deviceType);
+        if (udn_matched) {
+            return udn_matched;
+        }
+        return this._findByType(devices, 'deviceType', deviceType);
+    }
+
+    /* ------------------------------------------------------------------
+    * findService(model, serviceType)
+    *
+    * This method searches the service of the specified service type (or
+    * service ID) in the root device and all embedded devices. If the
+    * specified version is not found, a service of a higher version of the
+    * same type is returned. If no service is found, this method returns
+    * null.
+    * ---------------------------------------------------------------- */
+    findService(model, serviceType) {
+        const services = [];
+        for (const dev of this.getAllDevices(model)) {
+            for (const s of dev['services'] || []) {
+                services.push(s);
+            }
+        }
+        const id_matched = services.find((s) => s['serviceId'] === serviceType);
+        if (id_matched) {
+            return id_matched;
+        }
+        return this._findByType(services, 'serviceType', serviceType);
+    }
+
+    _findByType(list, key, type) {
+        const exact = list.find((e) => e[key] === type);
+        if (exact) {
+            return exact;
+        }
+
+        // A device or service of a higher version is backward compatible.
+        const m = String(type).match(/^(.+)\:(\d+)$/);
+        if (!m) {
+            return null;
+        }
+        return list.find((e) => {
+            const em = String(e[key]).match(/^(.+)\:(\d+)$/);
+            return (em && em[1] === m[1] && parseInt(em[2], 10) >= parseInt(m[2], 10));
+        }) || null;
+    }
+}
+
+module.exports = new UPnPUtilsModel();
@@ -0,0 +1,281 @@
+/* ------------------------------------------------------------------
+* node-upnp-utils - upnp-utils-renderer.js
+*
+* Copyright (c) 2017 - 2024, Futomi Hatano, All rights reserved.
+* Released under the MIT license
+* Date: 2024-07-06
+* ---------------------------------------------------------------- */
+'use strict';
+const mUpnpUtilsDidl = require('./upnp-utils-didl.js');
+const mUpnpUtilsErrors = require('./upnp-utils-errors.js');
+
+// Error names defined in the UPnP Device Architecture
+const COMMON_ERROR_NAMES = {
+    401: 'InvalidAction',
+    402: 'InvalidArgs',
+    501: 'ActionFailed',
+    600: 'ArgumentValueInvalid',
+    601: 'ArgumentValueOutOfRange',
+    602: 'OptionalActionNotImplemented',
+    603: 'OutOfMemory',
+    604: 'HumanInterventionRequired',
+    605: 'StringArgumentTooLong'
+};
+
+// Error names defined in the AVTransport and the RenderingControl specs
+const SERVICE_ERROR_NAMES = {
+    AVTransport: {
+        701: 'TransitionNotAvailable',
+        702: 'NoContents',
+        703: 'ReadError',
+        704: 'FormatNotSupportedForPlayback',
+        705: 'TransportIsLocked',
+        706: 'WriteError',
+        707: 'MediaIsProtectedOrNotWritable',
+        708: 'FormatNotSupportedForRecording',
+        709: 'MediaIsFull',
+        710: 'SeekModeNotSupported',
+        711: 'IllegalSeekTarget',
+        712: 'PlayModeNotSupported',
+        713: 'RecordQualityNotSupported',
+        714: 'IllegalMimeType',
+        715: 'ContentBusy',
+        716: 'ResourceNotFound',
+        717: 'PlaySpeedNotSupported',
+        718: 'InvalidInstanceID'
+    },
+    RenderingControl: {
+        701: 'InvalidName',
+        702: 'InvalidInstanceID'
+    }
+};
+
+const SEEK_UNITS = ['ABS_TIME', 'REL_TIME', 'ABS_COUNT', 'REL_COUNT', 'TRACK_NR', 'CHANNEL_FREQ', 'TAPE-INDEX', 'FRAME'];
+
+class UPnPUtilsRenderer {
+    /* ------------------------------------------------------------------
+    * Constructor
+    *
+    * An `UPnPUtilsRenderer` object is a client of a DLNA MediaRenderer
+    * (e.g., TVs and speakers). It is created by the `createRendererClient()`
+    * method of the `UPnPUtils`.
+    *
+    * [Arguments]
+    * - params             | Object  | Required |
+    *   - avTransport      | Object  | Required | `UPnPUtilsService` object of the
+    *                      |         |          | AVTransport
+    *   - renderingControl | Object  | Optional | `UPnPUtilsService` object of the
+    *                      |         |          | RenderingControl
+    *   - instanceId       | Integer | Optional | The default value is 0.
+    * ---------------------------------------------------------------- */
+    constructor(params) {
+        this.avTransport = params['avTransport'];
+        this.renderingControl = params['renderingControl'] || null;
+        this.instanceId = params['instanceId'] || 0;
+    }
+
+    /* ------------------------------------------------------------------
+    * load(url, metadata)
+    *
+    * This method sets the content to be played using the SetAVTransportURI
+    * action. The playback is not started.
+    *
+    * [Arguments]
+    * - url      | String | Required | URL of the content
+    * - metadata | Mixed  | Optional | DIDL-Lite XML string, or an object
+    *            |        |          | passed to the `create()` of the
+    *            |        |          | upnp-utils-didl.js. If not specified,
+    *            |        |          | the DIDL-Lite is created from the URL.
+    *
+    * [Return value]
+    * - Promise object
+    * - Nothing will be passed to the `resolve()`.
+    * ---------------------------------------------------------------- */
+    async load(url, metadata = {}) {
+        if (typeof (url) !== 'string' || url === '') {
+            throw new Error('The 1st argument must be a URL string.');
+        }
+        let didl = '';
+        if (typeof (metadata) === 'string') {
+            didl = metadata;
+        } else if (metadata && typeof (metadata) === 'object') {
+            didl = mUpnpUtilsDidl.create(url, metadata);
+        } else {
+            throw new Error('The 2nd argument must be a DIDL-Lite string or an object.');
+        }
+        await this._invoke('AVTransport', 'SetAVTransportURI', {
+            CurrentURI: url,
+            CurrentURIMetaData: didl
+        });
+    }
+
+    /* ------------------------------------------------------------------
+    * play(speed)
+    *
+    * [Arguments]
+    * - speed | String | Optional | Playback speed. The default value is "1".
+    * ---------------------------------------------------------------- */
+    async play(speed = '1') {
+        if (typeof (speed) !== 'string' && typeof (speed) !== 'number') {
+            throw new Error('The 1st argument must be a string.');
+        }
+        await this._invoke('AVTransport', 'Play', { Speed: String(speed) });
+    }
+
+    async pause() {
+        await this._invoke('AVTransport', 'Pause', {});
+    }
+
+    async stop() {
+        await this._invoke('AVTransport', 'Stop', {});
+    }
+
+    /* ------------------------------------------------------------------
+    * seek(target, unit)
+    *
+    * [Arguments]
+    * - target | Mixed  | Required | Seek target. If the `unit` is a time
+    *          |        |          | unit, a number is treated as seconds.
+    *          |        |          | (e.g., 90 or "0:01:30")
+    * - unit   | String | Optional | The default value is "REL_TIME".
+    * ---------------------------------------------------------------- */
+    async seek(target, unit = 'REL_TIME') {
+        if (!SEEK_UNITS.includes(unit)) {
+            throw new Error('The 2nd argument must be one of ' + JSON.stringify(SEEK_UNITS) + '.');
+        }
+        let text = '';
+        if (typeof (target) === 'number' && isFinite(target) && target >= 0) {
+            text = /_TIME$/.test(unit) ? mUpnpUtilsDidl.formatDuration(target) : String(target);
+        } else if (typeof (target) === 'string' && target !== '') {
+            text = target;
+        } else {
+            throw new Error('The 1st argument must be a number greater than or equal to 0 or a string.');
+        }
+        await this._invoke('AVTransport', 'Seek', { Unit: unit, Target: text });
+    }
+
+    /* ------------------------------------------------------------------
+    * getPositionInfo()
+    *
+    * [Return value]
+    * - Promise object
+    * - In an `await` syntax, this method returns an object as follows:
+    *   - track         | Integer | Track number
+    *   - trackDuration | Number  | Duration of the track in seconds
+    *   - trackMetaData | String  | DIDL-Lite of the track
+    *   - trackURI      | String  | URL of the track
+    *   - relTime       | Number  | Position in the track in seconds
+    *   - absTime       | Number  | Position in the media in seconds
+    *   - relCount      | Integer |
+    *   - absCount      | Integer |
+    *   If a time is not available (e.g., "NOT_IMPLEMENTED"), it is null.
+    * ---------------------------------------------------------------- */
+    async getPositionInfo() {
+        const res = await this._invoke('AVTransport', 'GetPositionInfo', {});
+        return {
+            track: this._toInteger(res['Track']),
+            trackDuration: mUpnpUtilsDidl.parseDuration(res['TrackDuration']),
+            trackMetaData: this._toString(res['TrackMetaData']),
+            trackURI: this._toString(res['TrackURI']),
+            relTime: mUpnpUtilsDidl.parseDuration(res['RelTime']),
+            absTime: mUpnpUtilsDidl.parseDuration(res['AbsTime']),
+            relCount: this._toInteger(res['RelCount']),
+            absCount: this._toInteger(res['AbsCount'])
+        };
+    }
+
+    /* ------------------------------------------------------------------
+    * getTransportInfo()
+    *
+    * [Return value]
+    * - Promise object
+    * - In an `await` syntax, this method returns an object as follows:
+    *   - state  | String | e.g., "PLAYING", "PAUSED_PLAYBACK", "STOPPED"
+    *   - status | String | e.g., "OK", "ERROR_OCCURRED"
+    *   - speed  | String | e.g., "1"
+    * ---------------------------------------------------------------- */
+    async getTransportInfo() {
+        const res = await this._invoke('AVTransport', 'GetTransportInfo', {});
+        return {
+            state: this._toString(res['CurrentTransportState']),
+            status: this._toString(res['CurrentTransportStatus']),
+            speed: this._toString(res['CurrentSpeed'])
+        };
+    }
+
+    /* ------------------------------------------------------------------
+    * getVolume(channel)
+    *
+    * [Arguments]
+    * - channel | String | Optional | The default value is "Master".
+    *
+    * [Return value]
+    * - Promise object
+    * - In an `await` syntax, this method returns the volume (Integer).
+    * ---------------------------------------------------------------- */
+    async getVolume(channel = 'Master') {
+        const res = await this._invoke('RenderingControl', 'GetVolume', { Channel: this._checkChannel(channel) });
+        return this._toInteger(res['CurrentVolume']);
+    }
+
+    async setVolume(volume, channel = 'Master') {
+        if (typeof (volume) !== 'number' || volume % 1 !== 0 || volume < 0 || volume > 65535) {
+            throw new Error('The 1st argument must be an integer between 0 and 65535.');
+        }
+        await this._invoke('RenderingControl', 'SetVolume', {
+            Channel: this._checkChannel(channel),
+            DesiredVolume: volume
+        });
+    }
+
+    async getMute(channel = 'Master') {
+        const res = await this._invoke('RenderingControl', 'GetMute', { Channel: this._checkChannel(channel) });
+        return /^(1|true|yes)$/i.test(String(res['CurrentMute']));
+    }
+
+    async setMute(mute, channel = 'Master') {
+        if (typeof (mute) !== 'boolean') {
+            throw new Error('The 1st argument must be a boolean.');
+        }
+        await this._invoke('RenderingControl', 'SetMute', {
+            Channel: this._checkChannel(channel),
+            DesiredMute: mute ? 1 : 0
+        });
+    }
+
+    _checkChannel(channel) {
+        if (typeof (channel) !== 'string' || channel === '') {
+            throw new Error('The channel must be a non-empty string.');
+        }
+        return channel;
+    }
+
+    _toString(v) {
+        return (v === undefined || v === null) ? '' : String(v);
+    }
+
+    _toInteger(v) {
+        const n = parseInt(v, 10);
+        return isNaN(n) ? null : n;
+    }
+
+    // Invokes the action with the InstanceID. A SOAP fault is converted to
+    // a RendererError.
+    async _invoke(service_name, action_name, args) {
+        const service = (service_name === 'AVTransport') ? this.avTransport : this.renderingControl;
+        if (!service) {
+            throw new Error('The ' + service_name + ' service is not available in the device.');
+        }
+        try {
+            return await service.invoke(action_name, Object.assign({ InstanceID: this.instanceId }, args));
+        } catch (error) {
+            const names = Object.assign({}, COMMON_ERROR_NAMES, SERVICE_ERROR_NAMES[service_name]);
+            throw mUpnpUtilsErrors.convertActionError(error, names, mUpnpUtilsErrors.RendererError, {
+                service: service_name,
+                action: action_name
+            });
+        }
+    }
+}
+
+module.exports = UPnPUtilsRenderer;
@@ -0,0 +1,504 @@
+/* ------------------------------------------------------------------
+* node-upnp-utils - upnp-utils-service.js
+*
+* Copyright (c) 2017 - 2024, Futomi Hatano, All rights reserved.
+* Released under the MIT license
+* Date: 2024-07-06
+* ---------------------------------------------------------------- */
+'use strict';
+const mHttp = require('http');
+const mHttps = require('https');
+const mUpnpUtilsDd = require('./upnp-utils-dd.js');
+const mUpnpUtilsErrors = require('./upnp-utils-errors.js');
+
+let mXml2js = null;
+try {
+    mXml2js = require('xml2js');
+} catch (e) { }
+
+const INTEGER_RANGES = {
+    'ui1': [0, 255],
+    'ui2': [0, 65535],
+    'ui4': [0, 4294967295],
+    'i1': [-128, 127],
+    'i2': [-32768, 32767],
+    'i4': [-2147483648, 2147483647],
+    'int': [-2147483648, 2147483647]
+};
+
+// The 64-bit integers exceed the Number.MAX_SAFE_INTEGER, so they are
+// checked as BigInt and the out-arguments are returned as strings.
+const BIGINT_RANGES = {
+    'ui8': [0n, 18446744073709551615n],
+    'i8': [-9223372036854775808n, 9223372036854775807n]
+};
+
+const FLOAT_TYPES = ['r4', 'r8', 'number', 'fixed.14.4', 'float'];
+
+class UPnPUtilsService {
+    /* ------------------------------------------------------------------
+    * Constructor
+    *
+    * An `UPnPUtilsService` object is a proxy of a UPnP service. It has
+    * one async method per action defined in the SCPD (Service Control
+    * Protocol Description).
+    *
+    * [Arguments]
+    * - params        | Object  | Required |
+    *   - serviceType | String  | Required | Service type
+    *   - serviceId   | String  | Optional | Service ID
+    *   - controlURL  | String  | Required | Absolute URL for the control
+    *   - eventSubURL | String  | Optional | Absolute URL for the eventing
+    *   - SCPDURL     | String  | Optional | Absolute URL of the SCPD
+    *   - scpd        | Object  | Optional | SCPD parsed by the xml2js. If not
+    *                 |         |          | specified, any action can be invoked
+    *                 |         |          | by the invoke() method without any
+    *                 |         |          | validation (see the invoke()).
+    *   - timeout     | Integer | Optional | Timeout of an action in msec.
+    *                 |         |          | The default value is 5000.
+    *   - zone        | String  | Optional | Zone ID used if the host of the
+    *                 |         |          | controlURL is an IPv6 link-local
+    *                 |         |          | address without a zone ID.
+    *   - rejectUnauthorized | Boolean | Optional | If false, the certificate
+    *                 |         |          | of an HTTPS server is not verified.
+    *                 |         |          | The default value is true.
+    * ---------------------------------------------------------------- */
+    constructor(params) {
+        this.serviceType = params['serviceType'];
+        this.serviceId = params['serviceId'] || '';
+        this.controlURL = params['controlURL'];
+        this.eventSubURL = params['eventSubURL'] || '';
+        this.SCPDURL = params['SCPDURL'] || '';
+
+        this._timeout = params['timeout'] || 5000;
+        this._zone = params['zone'] || '';
+        this._reject_unauthorized = (params['rejectUnauthorized'] !== false);
+
+        // Without the SCPD, the arguments can not be validated.
+        this._untyped = (params['scpd'] === undefined || params['scpd'] === null);
+
+        const { actions, stateVariables } = this._untyped ? { actions: {}, stateVariables: {} } : this._parseScpd(params['scpd']);
+        this.actions = actions;
+        this.stateVariables = stateVariables;
+
+        for (const name of Object.keys(this.actions)) {
+            if (name in this) {
+                continue;
+            }
+            this[name] = (args) => {
+                return this.invoke(name, args);
+            };
+        }
+    }
+
+    _toArray(v) {
+        if (v === undefined || v === null || v === '') {
+            return [];
+        }
+        return Array.isArray(v) ? v : [v];
+    }
+
+    _getText(v) {
+        if (v && typeof (v) === 'object') {
+            return ('_' in v) ? String(v['_']).trim() : '';
+        }
+        return (v === undefined || v === null) ? '' : String(v).trim();
+    }
+
+    _parseScpd(scpd) {
+        if (!scpd || typeof (scpd) !== 'object') {
+            throw new Error('The SCPD is invalid.');
+        }
+
+        const stateVariables = {};
+        const table = scpd['serviceStateTable'] || {};
+        for (const sv of this._toArray(table['stateVariable'])) {
+            const name = this._getText(sv['name']);
+            if (!name) {
+                continue;
+            }
+            const variable = {
+                name: name,
+                dataType: this._getText(sv['dataType']) || 'string',
+                sendEvents: !(sv['$'] && sv['$']['sendEvents'] === 'no')
+            };
+            if ('defaultValue' in sv) {
+                variable['defaultValue'] = this._getText(sv['defaultValue']);
+            }
+            if (sv['allowedValueList']) {
+                variable['allowedValueList'] = this._toArray(sv['allowedValueList']['allowedValue']).map((v) => {
+                    return this._getText(v);
+                });
+            }
+            if (sv['allowedValueRange']) {
+                const range = {};
+                for (const k of ['minimum', 'maximum', 'step']) {
+                    const v = this._getText(sv['allowedValueRange'][k]);
+                    if (v !== '') {
+                        range[k] = Number(v);
+                    }
+                }
+                variable['allowedValueRange'] = range;
+            }
+            stateVariables[name] = variable;
+        }
+
+        const actions = {};
+        const action_list = scpd['actionList'] || {};
+        for (const act of this._toArray(action_list['action'])) {
+            const name = this._getText(act['name']);
+            if (!name) {
+                continue;
+            }
+            const action = { name: name, in: [], out: [] };
+            const arg_list = act['argumentList'] || {};
+            for (const arg of this._toArray(arg_list['argument'])) {
+                const a = {
+                    name: this._getText(arg['name']),
+                    relatedStateVariable: this._getText(arg['relatedStateVariable'])
+                };
+                if (this._getText(arg['direction']) === 'out') {
+                    action.out.push(a);
+                } else {
+                    action.in.push(a);
+                }
+            }
+            actions[name] = action;
+        }
+
+        return { actions: actions, stateVariables: stateVariables };
+    }
+
+    /* ------------------------------------------------------------------
+    * invoke(action_name, args)
+    *
+    * This method invokes the specified action of the service.
+    * Note that every action defined in the SCPD can be invoked as a method
+    * of this object as well (e.g., `await service.Play(args)`).
+    *
+    * [Arguments]
+    * - action_name | String | Required | Action name
+    * - args        | Object | Optional | In-arguments. The keys are the
+    *               |        |          | argument names.
+    *
+    * [Return value]
+    * - Promise object
+    * - In an `await` syntax, this method returns an object containing the
+    *   out-arguments converted to the JavaScript types corresponding to
+    *   their data types.
+    *
+    * If the device returns a SOAP fault, the Promise is rejected with an
+    * UPnPActionError object having the `errorCode` and `errorDescription`
+    * properties.
+    *
+    * If the SCPD was not specified to the constructor, the in-arguments are
+    * sent as strings in the order of the keys, and all elements in the
+    * response are returned as strings.
+    * ---------------------------------------------------------------- */
+    async invoke(action_name, args = {}) {
+        if (this._untyped) {
+            return this._invokeUntyped(action_name, args);
+        }
+        const action = this.actions[action_name];
+        if (!action) {
+            throw new Error('The action "' + action_name + '" is not defined in the service "' + this.serviceType + '".');
+        }
+        if (!args || typeof (args) !== 'object') {
+            throw new Error('The arguments of the action "' + action_name + '" must be an object.');
+        }
+
+        for (const name of Object.keys(args)) {
+            if (!action.in.some((a) => a.name === name)) {
+                throw new Error('The argument "' + name + '" is not an in-argument of the action "' + action_name + '".');
+            }
+        }
+
+        const in_args = [];
+        for (const arg of action.in) {
+            if (!(arg.name in args)) {
+                throw new Error('The argument "' + arg.name + '" of the action "' + action_name + '" is required.');
+            }
+            const sv = this.stateVariables[arg.relatedStateVariable];
+            in_args.push([arg.name, this._serializeValue(arg.name, args[arg.name], sv)]);
+        }
+
+        const soap = this._createSoapEnvelope(action_name, in_args);
+        const xml = await this._postSoap(action_name, soap);
+        const res = await this._parseSoapResponse(action_name, xml);
+
+        const out = {};
+        for (const arg of action.out) {
+            const sv = this.stateVariables[arg.relatedStateVariable];
+            const text = (res && arg.name in res) ? this._getText(res[arg.name]) : '';
+            out[arg.name] = this._deserializeValue(text, sv);
+        }
+        return out;
+    }
+
+    async _invokeUntyped(action_name, args) {
+        if (typeof (action_name) !== 'string' || !/^[A-Za-z_][\w\.\-]*$/.test(action_name)) {
+            throw new Error('The action name "' + action_name + '" is invalid.');
+        }
+        if (!args || typeof (args) !== 'object') {
+            throw new Error('The arguments of the action "' + action_name + '" must be an object.');
+        }
+        const in_args = Object.entries(args).map(([name, value]) => {
+            if (!/^[A-Za-z_][\w\.\-]*$/.test(name)) {
+                throw new Error('The argument name "' + name + '" is invalid.');
+            }
+            return [name, this._serializeValue(name, value, null)];
+        });
+
+        const soap = this._createSoapEnvelope(action_name, in_args);
+        const xml = await this._postSoap(action_name, soap);
+        const res = await this._parseSoapResponse(action_name, xml);
+
+        const out = {};
+        for (const [name, value] of Object.entries(res)) {
+            if (name !== '$') {
+                out[name] = this._getText(value);
+            }
+        }
+        return out;
+    }
+
+    _serializeValue(name, value, sv) {
+        const type = sv ? sv.dataType : 'string';
+        let text = '';
+
+        if (type in BIGINT_RANGES) {
+            text = this._serializeBigInt(name, value, sv);
+        } else if (type in INTEGER_RANGES || FLOAT_TYPES.includes(type)) {
+            const n = (typeof (value) === 'string' && value.trim() !== '') ? Number(value) : value;
+            if (typeof (n) !== 'number' || !isFinite(n)) {
+                throw new Error('The argument "' + name + '" must be a number (' + type + ').');
+            }
+            if (type in INTEGER_RANGES) {
+                const [min, max] = INTEGER_RANGES[type];
+                if (n % 1 !== 0 || n < min || n > max) {
+                    throw new Error('The argument "' + name + '" must be an integer between ' + min + ' and ' + max + ' (' + type + ').');
+                }
+            }
+            if (sv && sv.allowedValueRange) {
+                const range = sv.allowedValueRange;
+                if (('minimum' in range && n < range.minimum) || ('maximum' in range && n > range.maximum)) {
+                    throw new Error('The argument "' + name + '" is out of the allowed range (' + range.minimum + ' - ' + range.maximum + ').');
+                }
+                const q = (range.step && 'minimum' in range) ? (n - range.minimum) / range.step : 0;
+                if (Math.abs(q - Math.round(q)) > 1e-9) {
+                    throw new Error('The argument "' + name + '" must be a multiple of the step ' + range.step + ' from ' + range.minimum + '.');
+                }
+            }
+            text = String(n);
+        } else if (type === 'boolean') {
+            if (value === true || value === 1 || /^(1|true|yes)$/i.test(String(value))) {
+                text = '1';
+            } else if (value === false || value === 0 || /^(0|false|no)$/i.test(String(value))) {
+                text = '0';
+            } else {
+                throw new Error('The argument "' + name + '" must be a boolean.');
+            }
+        } else if (type === 'bin.base64' && Buffer.isBuffer(value)) {
+            text = value.toString('base64');
+        } else if (type === 'bin.hex' && Buffer.isBuffer(value)) {
+            text = value.toString('hex');
+        } else if (/^(date|dateTime|dateTime\.tz)$/.test(type) && value instanceof Date) {
+            text = (type === 'date') ? value.toISOString().substring(0, 10) : value.toISOString();
+        } else {
+            if (typeof (value) !== 'string' && typeof (value) !== 'number') {
+                throw new Error('The argument "' + name + '" must be a string (' + type + ').');
+            }
+            text = String(value);
+            if (type === 'char' && text.length !== 1) {
+                throw new Error('The argument "' + name + '" must be a single character.');
+            }
+        }
+
+        if (sv && sv.allowedValueList && sv.allowedValueList.length > 0) {
+            if (!sv.allowedValueList.includes(text)) {
+                throw new Error('The argument "' + name + '" must be one of ' + JSON.stringify(sv.allowedValueList) + '.');
+            }
+        }
+        return text;
+    }
+
+    _serializeBigInt(name, value, sv) {
+        const type = sv.dataType;
+        const [min, max] = BIGINT_RANGES[type];
+        let n = null;
+        if (typeof (value) === 'bigint') {
+            n = value;
+        } else if (typeof (value) === 'number' && Number.isSafeInteger(value)) {
+            n = BigInt(value);
+        } else if (typeof (value) === 'string' && /^\s*[\+\-]?\d+\s*$/.test(value)) {
+            n = BigInt(value.trim());
+        }
+        if (n === null || n < min || n > max) {
+            throw new Error('The argument "' + name + '" must be an integer between ' + min + ' and ' + max + ' (' + type + '). ' +
+                'Pass a BigInt or a string for a value beyond the Number.MAX_SAFE_INTEGER.');
+        }
+        if (sv.allowedValueRange) {
+            const range = sv.allowedValueRange;
+            if (('minimum' in range && n < range.minimum) || ('maximum' in range && n > range.maximum)) {
+                throw new Error('The argument "' + name + '" is out of the allowed range (' + range.minimum + ' - ' + range.maximum + ').');
+            }
+            if (range.step && Number.isInteger(range.step) && Number.isInteger(range.minimum)) {
+                if ((n - BigInt(range.minimum)) % BigInt(range.step) !== 0n) {
+                    throw new Error('The argument "' + name + '" must be a multiple of the step ' + range.step + ' from ' + range.minimum + '.');
+                }
+            }
+        }
+        return n.toString();
+    }
+
+    _deserializeValue(text, sv) {
+        const type = sv ? sv.dataType : 'string';
+        if (type in BIGINT_RANGES) {
+            return (text === '') ? null : text;
+        } else if (type in INTEGER_RANGES || FLOAT_TYPES.includes(type)) {
+            return (text === '') ? null : Number(text);
+        } else if (type === 'boolean') {
+            return /^(1|true|yes)$/i.test(text);
+        } else if (type === 'bin.base64') {
+            return Buffer.from(text, 'base64');
+        } else if (type === 'bin.hex') {
+            return Buffer.from(text, 'hex');
+        }
+        return text;
+    }
+
+    _escapeXml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+
+    _createSoapEnvelope(action_name, in_args) {
+        let soap = '';
+        soap += '<?xml version="1.0" encoding="utf-8"?>\n';
+        soap += '<s:Envelope xmlns:s="http://schemas.xmlsoap.org/soap/envelope/" s:encodingStyle="http://schemas.xmlsoap.org/soap/encoding/">';
+        soap += '<s:Body>';
+        soap += '<u:' + action_name + ' xmlns:u="' + this._escapeXml(this.serviceType) + '">';
+        for (const [name, value] of in_args) {
+            soap += '<' + name + '>' + this._escapeXml(value) + '</' + name + '>';
+        }
+        soap += '</u:' + action_name + '>';
+        soap += '</s:Body>';
+        soap += '</s:Envelope>';
+        return soap;
+    }
+
+    _postSoap(action_name, soap) {
+        return new Promise((resolve, reject) => {
+            const url = this.controlURL;
+            const body = Buffer.from(soap, 'utf8');
+            const opts = {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'text/xml; charset="utf-8"',
+                    'Content-Length': body.length,
+                    'SOAPACTION': '"' + this.serviceType + '#' + action_name + '"'
+                }
+            };
+            const mod = /^https\:/.test(url) ? mHttps : mHttp;
+            if (mod === mHttps) {
+                opts['rejectUnauthorized'] = this._reject_unauthorized;
+            }
+
+            let timer = null;
+            const callback = (res) => {
+                res.setEncoding('utf8');
+                let xml = '';
+                res.on('data', (chunk) => {
+                    xml += chunk;
+                });
+                res.on('end', () => {
+                    clearTimeout(timer);
+                    // A SOAP fault is returned with the status code 500.
+                    if (res.statusCode === 200 || res.statusCode === 500) {
+                        resolve(xml);
+                    } else {
+                        const msg = 'HTTP RESPONSE ERROR: url=' + url + ', statusCode=' + res.statusCode;
+                        reject(new mUpnpUtilsErrors.HttpStatusError(msg, { url: url, statusCode: res.statusCode }));
+                    }
+                });
+            };
+
+            const ropts = mUpnpUtilsDd.createRequestOptions(url, this._zone);
+            let req = null;
+            if (typeof (ropts) === 'string') {
+                req = mod.request(ropts, opts, callback);
+            } else {
+                req = mod.request(Object.assign(ropts, opts), callback);
+            }
+
+            timer = setTimeout(() => {
+                req.destroy();
+                const msg = 'TIMEOUT: url=' + url + ', action=' + action_name;
+                reject(new mUpnpUtilsErrors.ActionTimeoutError(msg, { url: url, action: action_name, timeout: this._timeout }));
+            }, this._timeout);
+
+            req.on('error', (error) => {
+                clearTimeout(timer);
+                reject(error);
+            });
+
+            req.write(body);
+            req.end();
+        });
+    }
+
+    _parseSoapResponse(action_name, xml) {
+        return new Promise((resolve, reject) => {
+            const opts = {
+                explicitRoot: false,
+                explicitArray: false,
+                tagNameProcessors: [mXml2js.processors.stripPrefix]
+            };
+            mXml2js.parseString(xml, opts, (error, obj) => {
+                if (error) {
+                    reject(new Error('Failed to parse the SOAP response: ' + error.message));
+                    return;
+                }
+                const body = (obj && obj['Body']) ? obj['Body'] : null;
+                if (!body) {
+                    reject(new Error('The SOAP response does not have a Body.'));
+                    return;
+                }
+                if (body['Fault']) {
+                    reject(this._createFaultError(body['Fault']));
+                    return;
+                }
+                const res = body[action_name + 'Response'];
+                resolve((res && typeof (res) === 'object') ? res : {});
+            });
+        });
+    }
+
+    _createFaultError(fault) {
+        let code = null;
+        let desc = '';
+        const detail = fault['detail'];
+        const upnp_error = (detail && typeof (detail) === 'object') ? detail['UPnPError'] : null;
+        if (upnp_error) {
+            code = parseInt(this._getText(upnp_error['errorCode']), 10);
+            desc = this._getText(upnp_error['errorDescription']);
+        }
+        let msg = 'UPnP ERROR: ';
+        if (code === null || isNaN(code)) {
+            code = null;
+            msg += this._getText(fault['faultstring']) || 'Unknown SOAP fault';
+        } else {
+            msg += 'errorCode=' + code + (desc ? ', errorDescription=' + desc : '');
+        }
+        return new mUpnpUtilsErrors.UPnPActionError(msg, {
+            errorCode: code,
+            errorDescription: desc
+        });
+    }
+}
+
+module.exports = UPnPUtilsService;
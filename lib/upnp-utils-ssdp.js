@@ -0,0 +1,342 @@
+/* ------------------------------------------------------------------
+* node-upnp-utils - upnp-utils-ssdp.js
+*
+* Copyright (c) 2017 - 2024, Futomi Hatano, All rights reserved.
+* Released under the MIT license
+* Date: 2024-07-06
+* ---------------------------------------------------------------- */
+'use strict';
+const mHttp = require('http');
+const mUpnpUtilsErrors = require('./upnp-utils-errors.js');
+
+// Headers which must not appear more than once with different values
+const SINGLE_HEADERS = [
+    'HOST', 'MAN', 'MX', 'ST', 'NT', 'NTS', 'USN', 'LOCATION', 'CACHE-CONTROL',
+    'BOOTID.UPNP.ORG', 'CONFIGID.UPNP.ORG', 'NEXTBOOTID.UPNP.ORG', 'SEARCHPORT.UPNP.ORG'
+];
+
+// Headers required for each message type
+const REQUIRED_HEADERS = {
+    search: ['MAN', 'ST'],
+    response: ['ST', 'USN', 'LOCATION'],
+    notify: ['NT', 'NTS', 'USN']
+};
+
+const NTS_VALUES = ['ssdp:alive', 'ssdp:byebye', 'ssdp:update'];
+
+class UPnPUtilsSsdp {
+    /* ------------------------------------------------------------------
+    * parse(buffer, params)
+    *
+    * This method parses an SSDP message. Both CRLF and bare LF line
+    * endings are accepted, folded header lines are unfolded, and the
+    * header names are converted to upper case. If a header appears more
+    * than once, the values are joined with ", " (RFC 7230). For the
+    * headers which must have a single value (e.g., USN, LOCATION), the
+    * message is rejected if the values are different.
+    *
+    * [Arguments]
+    * - buffer    | Buffer  | Required | SSDP message (a string is also
+    *             |         |          | accepted)
+    * - params    | Object  | Optional |
+    *   - lenient | Boolean | Optional | If true, an invalid integer header
+    *             |         |          | (e.g., BOOTID.UPNP.ORG) is set to
+    *             |         |          | null and a CACHE-CONTROL without the
+    *             |         |          | max-age is ignored instead of
+    *             |         |          | rejecting the message. This is used
+    *             |         |          | for the discovery, where such
+    *             |         |          | devices are common. The default
+    *             |         |          | value is false.
+    *
+    * [Return value]
+    * - An object as follows:
+    *   - type          | String  | "search", "response", or "notify"
+    *   - startLine     | String  | e.g., "HTTP/1.1 200 OK"
+    *   - version       | String  | e.g., "1.1"
+    *   - statusCode    | Integer | Only for the "response", otherwise null.
+    *   - statusMessage | String  | Only for the "response", otherwise null.
+    *   - headers       | Object  | Header values keyed by the upper-cased name
+    *   - rawHeaders    | Array   | List of [name, value] in the received order
+    *   - host, man, st, nt, nts, usn, location, server
+    *                   | String  | Header values. null if not present.
+    *   - mx            | Integer | MX
+    *   - maxAge        | Integer | max-age in the CACHE-CONTROL
+    *   - ext           | Boolean | true if the EXT header is present
+    *   - opt           | String  | OPT
+    *   - nls           | String  | NLS header of the namespace in the OPT
+    *                   |         | (e.g., "01-NLS")
+    *   - bootId, configId, nextBootId, searchPort
+    *                   | Integer | BOOTID.UPNP.ORG, CONFIGID.UPNP.ORG,
+    *                   |         | NEXTBOOTID.UPNP.ORG, SEARCHPORT.UPNP.ORG
+    *   The integer properties are null if the header is not present.
+    * - If the message is malformed, a `SsdpMessageError` is thrown. Its
+    *   `reason` property is one of "EMPTY", "INVALID_START_LINE",
+    *   "UNSUPPORTED_METHOD", "UNSUPPORTED_VERSION", "INVALID_HEADER_LINE",
+    *   "DUPLICATE_HEADER", "MISSING_HEADER", and "INVALID_HEADER_VALUE".
+    * ---------------------------------------------------------------- */
+    parse(buffer, params = {}) {
+        let text = '';
+        if (Buffer.isBuffer(buffer)) {
+            text = buffer.toString('utf8');
+        } else if (typeof (buffer) === 'string') {
+            text = buffer;
+        } else {
+            throw new Error('The 1st argument must be a Buffer or a string.');
+        }
+
+        // The body (if any) after the empty line is ignored.
+        const lines = text.split(/\r?\n/);
+        const end = lines.indexOf('');
+        if (end >= 0) {
+            lines.splice(end);
+        }
+        if (lines.length === 0) {
+            this._reject('EMPTY', 'The message is empty.');
+        }
+
+        const msg = this._parseStartLine(lines.shift());
+        msg.rawHeaders = this._parseHeaderLines(lines);
+        msg.headers = this._combineHeaders(msg.rawHeaders);
+        this._setHeaderProperties(msg, params['lenient'] === true);
+        this._checkMessage(msg);
+        return msg;
+    }
+
+    _parseStartLine(line) {
+        const msg = {
+            type: '',
+            startLine: line,
+            version: '',
+            statusCode: null,
+            statusMessage: null
+        };
+        let m = line.match(/^HTTP\/(\d+\.\d+)[ \t]+(\d{3})(?:[ \t]+(.*))?$/);
+        if (m) {
+            msg.type = 'response';
+            msg.version = m[1];
+            msg.statusCode = parseInt(m[2], 10);
+            msg.statusMessage = m[3] ? m[3].trim() : '';
+        } else if ((m = line.match(/^([A-Z\-]+)[ \t]+(\S+)[ \t]+HTTP\/(\d+\.\d+)$/))) {
+            if (m[1] === 'M-SEARCH') {
+                msg.type = 'search';
+            } else if (m[1] === 'NOTIFY') {
+                msg.type = 'notify';
+            } else {
+                this._reject('UNSUPPORTED_METHOD', 'The method "' + m[1] + '" is not supported.');
+            }
+            if (m[2] !== '*') {
+                this._reject('INVALID_START_LINE', 'The request target must be "*": ' + line);
+            }
+            msg.version = m[3];
+        } else {
+            this._reject('INVALID_START_LINE', 'The start line is invalid: ' + line);
+        }
+        if (!/^1\./.test(msg.version)) {
+            this._reject('UNSUPPORTED_VERSION', 'The HTTP version "' + msg.version + '" is not supported.');
+        }
+        return msg;
+    }
+
+    _parseHeaderLines(lines) {
+        const list = [];
+        for (const ln of lines) {
+            // A line starting with a white space is a continuation of the
+            // previous header (obsolete line folding).
+            if (/^[ \t]/.test(ln)) {
+                if (list.length === 0) {
+                    this._reject('INVALID_HEADER_LINE', 'The first header line must not start with a white space.');
+                }
+                const last = list[list.length - 1];
+                last[1] = (last[1] + ' ' + ln.trim()).trim();
+                continue;
+            }
+            const m = ln.match(/^([!#$%&'*+\-.^_`|~0-9A-Za-z]+)[ \t]*:(.*)$/);
+            if (!m) {
+                this._reject('INVALID_HEADER_LINE', 'The header line is invalid: ' + ln);
+            }
+            list.push([m[1], m[2].trim()]);
+        }
+        return list;
+    }
+
+    _combineHeaders(raw_headers) {
+        const headers = {};
+        for (const [name, value] of raw_headers) {
+            const k = name.toUpperCase();
+            if (!(k in headers)) {
+                headers[k] = value;
+            } else if (SINGLE_HEADERS.includes(k)) {
+                if (headers[k] !== value) {
+                    this._reject('DUPLICATE_HEADER', 'The header "' + k + '" appears more than once with different values.', k);
+                }
+            } else if (value !== '') {
+                headers[k] = (headers[k] === '') ? value : headers[k] + ', ' + value;
+            }
+        }
+        return headers;
+    }
+
+    _setHeaderProperties(msg, lenient) {
+        const h = msg.headers;
+        const get = (k) => {
+            return (k in h) ? h[k] : null;
+        };
+        for (const [prop, k] of [['host', 'HOST'], ['man', 'MAN'], ['st', 'ST'], ['nt', 'NT'], ['nts', 'NTS'], ['usn', 'USN'], ['location', 'LOCATION'], ['server', 'SERVER'], ['opt', 'OPT']]) {
+            msg[prop] = get(k);
+        }
+        msg.ext = ('EXT' in h);
+
+        msg.mx = this._getInteger(h, 'MX', 0, 2147483647, lenient);
+        msg.bootId = this._getInteger(h, 'BOOTID.UPNP.ORG', 0, 2147483647, lenient);
+        msg.configId = this._getInteger(h, 'CONFIGID.UPNP.ORG', 0, 16777215, lenient);
+        msg.nextBootId = this._getInteger(h, 'NEXTBOOTID.UPNP.ORG', 0, 2147483647, lenient);
+        msg.searchPort = this._getInteger(h, 'SEARCHPORT.UPNP.ORG', 49152, 65535, lenient);
+
+        msg.maxAge = null;
+        if ('CACHE-CONTROL' in h) {
+            const m = h['CACHE-CONTROL'].match(/(?:^|[,\s])max-age[ \t]*=[ \t]*"?(\d+)"?/i);
+            if (m) {
+                msg.maxAge = parseInt(m[1], 10);
+            } else if (!lenient) {
+                this._reject('INVALID_HEADER_VALUE', 'The header "CACHE-CONTROL" does not have the max-age.', 'CACHE-CONTROL');
+            }
+        }
+
+        // The NLS header is prefixed with the namespace declared in the OPT
+        // header (e.g., OPT: "http://schemas.upnp.org/upnp/1/0/"; ns=01).
+        let ns = '01';
+        if (msg.opt) {
+            const m = msg.opt.match(/;[ \t]*ns[ \t]*=[ \t]*([0-9A-Za-z]+)/);
+            if (m) {
+                ns = m[1];
+            }
+        }
+        msg.nls = get(ns.toUpperCase() + '-NLS');
+    }
+
+    _getInteger(headers, k, min, max, lenient) {
+        if (!(k in headers)) {
+            return null;
+        }
+        const v = headers[k];
+        if (!/^\d+$/.test(v) || parseInt(v, 10) < min || parseInt(v, 10) > max) {
+            if (lenient) {
+                return null;
+            }
+            this._reject('INVALID_HEADER_VALUE', 'The value of the header "' + k + '" must be an integer between ' + min + ' and ' + max + ': ' + v, k);
+        }
+        return parseInt(v, 10);
+    }
+
+    _checkMessage(msg) {
+        // The headers are not checked for error responses.
+        if (msg.type === 'response' && msg.statusCode !== 200) {
+            return;
+        }
+        const check_required = (list) => {
+            for (const k of list) {
+                if (!(k in msg.headers) || msg.headers[k] === '') {
+                    this._reject('MISSING_HEADER', 'The header "' + k + '" is required for the ' + msg.type + ' message.', k);
+                }
+            }
+        };
+        check_required(REQUIRED_HEADERS[msg.type]);
+        if (msg.type === 'search' && msg.man !== '"ssdp:discover"') {
+            this._reject('INVALID_HEADER_VALUE', 'The value of the header "MAN" must be "ssdp:discover" (quoted): ' + msg.man, 'MAN');
+        }
+        if (msg.type === 'notify') {
+            if (!NTS_VALUES.includes(msg.nts)) {
+                this._reject('INVALID_HEADER_VALUE', 'The value of the header "NTS" is unknown: ' + msg.nts, 'NTS');
+            }
+            if (msg.nts !== 'ssdp:byebye') {
+                check_required(['LOCATION']);
+            }
+        }
+    }
+
+    _reject(reason, message, header) {
+        const props = { reason: reason };
+        if (header) {
+            props['header'] = header;
+        }
+        throw new mUpnpUtilsErrors.SsdpMessageError(message, props);
+    }
+
+    /* ------------------------------------------------------------------
+    * build(obj)
+    *
+    * This method creates an SSDP message. The created message is checked
+    * with the parse(), so a message missing a required header is not
+    * created.
+    *
+    * [Arguments]
+    * - obj             | Object  | Required |
+    *   - type          | String  | Required | "search", "response", or "notify"
+    *   - statusCode    | Integer | Optional | Only for the "response". The
+    *                   |         |          | default value is 200.
+    *   - statusMessage | String  | Optional | Only for the "response". The
+    *                   |         |          | default value is the standard
+    *                   |         |          | reason phrase (e.g., "OK").
+    *   - headers       | Mixed   | Required | An object (e.g., `{ ST: "ssdp:all" }`)
+    *                   |         |          | or an Array of [name, value]. An
+    *                   |         |          | empty string creates a header
+    *                   |         |          | without value (e.g., "EXT:").
+    *
+    * [Return value]
+    * - Buffer object of the message
+    * - If the message is malformed, a `SsdpMessageError` is thrown.
+    * ---------------------------------------------------------------- */
+    build(obj) {
+        if (!obj || typeof (obj) !== 'object') {
+            throw new Error('The 1st argument must be an object.');
+        }
+
+        let text = '';
+        const type = obj['type'];
+        if (type === 'search') {
+            text += 'M-SEARCH * HTTP/1.1\r\n';
+        } else if (type === 'notify') {
+            text += 'NOTIFY * HTTP/1.1\r\n';
+        } else if (type === 'response') {
+            const code = ('statusCode' in obj) ? obj['statusCode'] : 200;
+            if (typeof (code) !== 'number' || code % 1 !== 0 || code < 100 || code > 599) {
+                throw new Error('The value of "statusCode" is invalid. It must be an integer between 100 and 599.');
+            }
+            const message = ('statusMessage' in obj) ? obj['statusMessage'] : (mHttp.STATUS_CODES[code] || '');
+            if (typeof (message) !== 'string' || /[\r\n]/.test(message)) {
+                throw new Error('The value of "statusMessage" is invalid. It must be a string without line breaks.');
+            }
+            text += 'HTTP/1.1 ' + code + ' ' + message + '\r\n';
+        } else {
+            throw new Error('The value of "type" is invalid. It must be "search", "response", or "notify".');
+        }
+
+        let headers = obj['headers'];
+        if (headers && typeof (headers) === 'object' && !Array.isArray(headers)) {
+            headers = Object.entries(headers);
+        }
+        if (!Array.isArray(headers)) {
+            throw new Error('The value of "headers" is invalid. It must be an object or an Array.');
+        }
+        for (const pair of headers) {
+            if (!Array.isArray(pair) || pair.length !== 2) {
+                throw new Error('Each element of "headers" must be an Array of [name, value].');
+            }
+            const [name, value] = pair;
+            if (typeof (name) !== 'string' || !/^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/.test(name)) {
+                throw new Error('The header name is invalid: ' + name);
+            }
+            if ((typeof (value) !== 'string' && typeof (value) !== 'number') || /[\r\n]/.test(String(value))) {
+                throw new Error('The value of the header "' + name + '" is invalid. It must be a string without line breaks or a number.');
+            }
+            text += name + ':' + ((String(value) === '') ? '' : ' ' + value) + '\r\n';
+        }
+        text += '\r\n';
+
+        const buf = Buffer.from(text, 'utf8');
+        this.parse(buf);
+        return buf;
+    }
+}
+
+module.exports = new UPnPUtilsSsdp();
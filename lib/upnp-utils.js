@@ -11,7 +11,21 @@ const mDgram = require('dgram');
 const mHttp = require('http');
 const mUrl = require('url');
 const mOs = require('os');
+const mNet = require('net');
+const mDns = require('dns');
+const mFs = require('fs');
+const mPath = require('path');
 const mUpnpUtilsDd = require('./upnp-utils-dd.js');
+const mUpnpUtilsModel = require('./upnp-utils-model.js');
+const UPnPUtilsAdvertiser = require('./upnp-utils-advertiser.js');
+const UPnPUtilsService = require('./upnp-utils-service.js');
+const UPnPUtilsGena = require('./upnp-utils-gena.js');
+const UPnPUtilsIgd = require('./upnp-utils-igd.js');
+const UPnPUtilsRenderer = require('./upnp-utils-renderer.js');
+const UPnPUtilsContentDirectory = require('./upnp-utils-content-directory.js');
+const UPnPUtilsDial = require('./upnp-utils-dial.js');
+const mUpnpUtilsSsdp = require('./upnp-utils-ssdp.js');
+const mUpnpUtilsErrors = require('./upnp-utils-errors.js');
 
 let mXml2js = null;
 try {
@@ -19,20 +33,109 @@ try {
 } catch (e) { }
 
 class UPnPUtils extends mEventEmitter {
-    constructor() {
+    /* -----------------------------------------------------------------------------
+    * Constructor
+    *
+    * This module exports an instance of this class created with the default
+    * parameters. If you want to run multiple discovery processes independently,
+    * create instances using the `UPnPUtils` class exported as a property of the
+    * module (e.g., `new (require('node-upnp-utils').UPnPUtils)(params)`).
+    *
+    * [Arguments]
+    * - params             | Object   | Optional |
+    *   - multicastAddress | String   | Optional | IPv4 multicast address for SSDP.
+    *                      |          |          | The default value is "239.255.255.250".
+    *   - ssdpPort         | Integer  | Optional | Port number for SSDP.
+    *                      |          |          | The default value is 1900.
+    *   - bindAddress      | String   | Optional | Local IP address to which the UDP
+    *                      |          |          | sockets are bound. The default is all
+    *                      |          |          | addresses.
+    *   - createSocket     | Function | Optional | Factory function which creates a UDP
+    *                      |          |          | socket. It is called with the options
+    *                      |          |          | for the `dgram.createSocket()`, and it
+    *                      |          |          | must return an object compatible with
+    *                      |          |          | the `dgram.Socket`.
+    *   - cacheFile        | String   | Optional | Path of the file in which the found
+    *                      |          |          | devices are saved when the discovery
+    *                      |          |          | process stops. They are restored when
+    *                      |          |          | the discovery process starts next time.
+    *   - logger           | Object   | Optional | Object which has the `debug`, `info`,
+    *                      |          |          | `warn` and `error` methods (e.g.,
+    *                      |          |          | `console`). Each method is optional.
+    *                      |          |          | By default, nothing is logged.
+    * -------------------------------------------------------------------------- */
+    constructor(params = {}) {
         super();
 
-        this._MULTICAST_ADDR = '239.255.255.250';
-        this._SSDP_PORT = 1900;
+        if (!params || typeof (params) !== 'object') {
+            throw new Error('The 1st argument must be an object.');
+        }
+
+        const multicast_addr = ('multicastAddress' in params) ? params['multicastAddress'] : '239.255.255.250';
+        if (!mNet.isIPv4(multicast_addr)) {
+            throw new Error('The value of "multicastAddress" is invalid. It must be an IPv4 address.');
+        }
+
+        const ssdp_port = ('ssdpPort' in params) ? params['ssdpPort'] : 1900;
+        if (typeof (ssdp_port) !== 'number' || ssdp_port % 1 !== 0 || ssdp_port < 1 || ssdp_port > 65535) {
+            throw new Error('The value of "ssdpPort" is invalid. It must be an integer between 1 and 65535.');
+        }
+
+        const bind_addr = ('bindAddress' in params) ? params['bindAddress'] : '';
+        if (bind_addr !== '' && !mNet.isIP(bind_addr)) {
+            throw new Error('The value of "bindAddress" is invalid. It must be an IP address.');
+        }
+
+        const create_socket = ('createSocket' in params) ? params['createSocket'] : (opts) => {
+            return mDgram.createSocket(opts);
+        };
+        if (typeof (create_socket) !== 'function') {
+            throw new Error('The value of "createSocket" is invalid. It must be a function.');
+        }
+
+        const cache_file = ('cacheFile' in params) ? params['cacheFile'] : '';
+        if (typeof (cache_file) !== 'string') {
+            throw new Error('The value of "cacheFile" is invalid. It must be a string.');
+        }
+
+        const logger = ('logger' in params) ? params['logger'] : null;
+        if (logger !== null && typeof (logger) !== 'object') {
+            throw new Error('The value of "logger" is invalid. It must be an object.');
+        }
+
+        this._MULTICAST_ADDR = multicast_addr;
+        this._MULTICAST_ADDR6_LIST = ['FF02::C', 'FF05::C']; // link-local, site-local
+        this._SSDP_PORT = ssdp_port;
+        this._BIND_ADDR = bind_addr;
+        this._createUdpSocket = create_socket;
+        this._logger = logger;
+        this._cache_file = cache_file;
 
+        this._netif_list = [];
         this._netif_address_list = [];
+        this._netif6_list = [];
         this._udp = null;
+        this._udp6 = null;
+        this._search_udp = null;
+        this._search_udp6 = null;
+        this._target_list = [];
 
         this._devices = {};
         this._is_discovering = false;
+        this._is_starting = false;
+        this._is_searching = false;
         this._expiration_check_timer = null;
+        this._search_timer = null;
+        this._search_interval = 0;
+        this._search_signature = '';
+        this._missed_check_timers = [];
+        this._seen = {};
+        this._families = {};
         this._params = {};
+        this._capture = null;
+        this._replay = null;
 
+        this._gena = new UPnPUtilsGena();
     }
 
     /* -----------------------------------------------------------------------------
@@ -53,6 +156,58 @@ class UPnPUtils extends mEventEmitter {
         });
     }
 
+    /* ------------------------------------------------------------------
+    * checkDiscoveryParams(params)
+    *
+    * This method validates the parameters for the startDiscovery() (and
+    * the discover(), the watch() and so on) without starting anything.
+    *
+    * [Arguments]
+    * - params | Object | Optional | Same as the startDiscovery()
+    *
+    * [Return value]
+    * - None
+    * - If a parameter is invalid, an Error is thrown.
+    * ---------------------------------------------------------------- */
+    checkDiscoveryParams(params = {}) {
+        this._checkMSearchParams(params);
+    }
+
+    /* ------------------------------------------------------------------
+    * parseSsdpMessage(buffer)
+    *
+    * This method parses an SSDP message (M-SEARCH, response, or NOTIFY).
+    * See the `parse()` of the upnp-utils-ssdp.js for the details.
+    *
+    * [Arguments]
+    * - buffer | Buffer | Required | SSDP message
+    *
+    * [Return value]
+    * - An object whose `type` is "search", "response", or "notify"
+    * - If the message is malformed, a `SsdpMessageError` is thrown.
+    * ---------------------------------------------------------------- */
+    parseSsdpMessage(buffer) {
+        return mUpnpUtilsSsdp.parse(buffer);
+    }
+
+    /* ------------------------------------------------------------------
+    * buildSsdpMessage(obj)
+    *
+    * This method creates an SSDP message. See the `build()` of the
+    * upnp-utils-ssdp.js for the details.
+    *
+    * [Arguments]
+    * - obj       | Object | Required |
+    *   - type    | String | Required | "search", "response", or "notify"
+    *   - headers | Mixed  | Required | An object or an Array of [name, value]
+    *
+    * [Return value]
+    * - Buffer object of the message
+    * ---------------------------------------------------------------- */
+    buildSsdpMessage(obj) {
+        return mUpnpUtilsSsdp.build(obj);
+    }
+
     /* ------------------------------------------------------------------
     * getActiveDeviceList()
     *
@@ -82,6 +237,226 @@ class UPnPUtils extends mEventEmitter {
         return list;
     }
 
+    /* ------------------------------------------------------------------
+    * findDevices(query)
+    *
+    * This method returns an array object representing the list of active
+    * devices matching the query. The elements are the same as the ones
+    * of the getActiveDeviceList().
+    *
+    * [Arguments]
+    * - query          | Object   | Required |
+    *   - deviceType   | String   | Optional | Device type of the root device or
+    *                  | RegExp   |          | any embedded device.
+    *   - serviceType  | String   | Optional | Service type of any service in the
+    *                  | RegExp   |          | device.
+    *   - udn          | String   | Optional | UDN of the root device or any
+    *                  | RegExp   |          | embedded device.
+    *   - manufacturer | String   | Optional | Manufacturer of the root device.
+    *                  | RegExp   |          |
+    *   - modelName    | String   | Optional | Model name of the root device.
+    *                  | RegExp   |          |
+    *   - friendlyName | String   | Optional | Friendly name of the root device.
+    *                  | RegExp   |          |
+    *   - address      | String   | Optional | IP address of the device.
+    *                  | RegExp   |          |
+    *   - filter       | Function | Optional | Predicate called with the device
+    *                  |          |          | object. The device matches if it
+    *                  |          |          | returns true.
+    *
+    * A string matches only the exactly same value, and a version of a type
+    * also matches the higher versions of the same type. All specified
+    * conditions must be satisfied. A function can be specified as the
+    * query instead of an object. It is treated as the `filter`.
+    * ---------------------------------------------------------------- */
+    findDevices(query) {
+        const q = this._checkDeviceQuery(query);
+        return this.getActiveDeviceList().filter((device) => {
+            return this._matchDevice(device, q);
+        });
+    }
+
+    /* ------------------------------------------------------------------
+    * waitForDevice(query, params)
+    *
+    * This method waits until a device matching the query is found. If a
+    * matching device is already found, this method returns it immediately.
+    * Note that the discovery process must be started by the
+    * startDiscovery() method separately.
+    *
+    * [Arguments]
+    * - query     | Object  | Required | See the findDevices().
+    * - params    | Object  | Optional |
+    *   - timeout | Integer | Optional | Timeout in msec. If no device is found
+    *             |         |          | within this period, the promise is
+    *             |         |          | rejected. By default, this method
+    *             |         |          | waits forever.
+    *
+    * [Return value]
+    * - Promise object
+    * - In an `await` syntax, this method returns an object representing the
+    *   matched device.
+    * ---------------------------------------------------------------- */
+    waitForDevice(query, params = {}) {
+        const q = this._checkDeviceQuery(query);
+        if (!params || typeof (params) !== 'object') {
+            throw new Error('The 2nd argument must be an object.');
+        }
+        const timeout = ('timeout' in params) ? params['timeout'] : 0;
+        if (typeof (timeout) !== 'number' || timeout % 1 !== 0 || timeout < 0) {
+            throw new Error('The value of "timeout" is invalid. It must be an integer greater than or equal to 0.');
+        }
+
+        return new Promise((resolve, reject) => {
+            const device = this.getActiveDeviceList().find((d) => this._matchDevice(d, q));
+            if (device) {
+                resolve(device);
+                return;
+            }
+
+            let timer = null;
+            // A device may match after its description is fetched again.
+            const listener = (d) => {
+                if (this._matchDevice(d, q)) {
+                    finish();
+                    resolve(d);
+                }
+            };
+            const finish = () => {
+                if (timer) {
+                    clearTimeout(timer);
+                    timer = null;
+                }
+                this.removeListener('added', listener);
+                this.removeListener('updated', listener);
+            };
+            this.on('added', listener);
+            this.on('updated', listener);
+
+            if (timeout > 0) {
+                timer = setTimeout(() => {
+                    timer = null;
+                    finish();
+                    reject(new Error('No device matching the query was found within ' + timeout + ' msec.'));
+                }, timeout);
+            }
+        });
+    }
+
+    _checkDeviceQuery(query) {
+        if (typeof (query) === 'function') {
+            return { filter: query };
+        }
+        if (!query || typeof (query) !== 'object') {
+            throw new Error('The query must be an object or a function.');
+        }
+        const keys = ['deviceType', 'serviceType', 'udn', 'manufacturer', 'modelName', 'friendlyName', 'address'];
+        for (const [k, v] of Object.entries(query)) {
+            if (k === 'filter') {
+                if (typeof (v) !== 'function') {
+                    throw new Error('The value of "filter" is invalid. It must be a function.');
+                }
+            } else if (keys.includes(k)) {
+                if (typeof (v) !== 'string' && !(v instanceof RegExp)) {
+                    throw new Error('The value of "' + k + '" is invalid. It must be a string or a RegExp.');
+                }
+            } else {
+                throw new Error('The query "' + k + '" is unknown.');
+            }
+        }
+        return query;
+    }
+
+    _matchDevice(device, query) {
+        const test = (cond, value) => {
+            if (typeof (value) !== 'string') {
+                return false;
+            }
+            if (cond instanceof RegExp) {
+                cond.lastIndex = 0;
+                return cond.test(value);
+            }
+            return cond === value;
+        };
+        const testType = (cond, value) => {
+            if (test(cond, value)) {
+                return true;
+            }
+            // A device or service of a higher version is backward compatible.
+            if (typeof (cond) === 'string' && typeof (value) === 'string') {
+                const m = cond.match(/^(.+)\:(\d+)$/);
+                const vm = value.match(/^(.+)\:(\d+)$/);
+                return !!(m && vm && m[1] === vm[1] && parseInt(vm[2], 10) >= parseInt(m[2], 10));
+            }
+            return false;
+        };
+
+        const model = device['model'];
+        const devices = model ? mUpnpUtilsModel.getAllDevices(model) : [];
+        const services = [];
+        for (const d of devices) {
+            for (const s of d['services']) {
+                services.push(s);
+            }
+        }
+        // The STs of the M-SEARCH responses and the NOTIFY messages are also
+        // checked, so that a device can match even if its description is
+        // not available.
+        const st_list = (device['usnList'] || []).map((e) => e['st']);
+
+        if ('deviceType' in query) {
+            const types = devices.map((d) => d['deviceType']).concat(st_list);
+            if (!types.some((t) => testType(query['deviceType'], t))) {
+                return false;
+            }
+        }
+        if ('serviceType' in query) {
+            const types = services.map((s) => s['serviceType']).concat(st_list);
+            if (!types.some((t) => testType(query['serviceType'], t))) {
+                return false;
+            }
+        }
+        if ('udn' in query) {
+            const udns = devices.map((d) => d['UDN']).concat([device['udn']]);
+            if (!udns.some((u) => test(query['udn'], u))) {
+                return false;
+            }
+        }
+        for (const k of ['manufacturer', 'modelName', 'friendlyName']) {
+            if ((k in query) && !(model && test(query[k], model[k]))) {
+                return false;
+            }
+        }
+        if ('address' in query) {
+            const addr = device['address'];
+            if (!test(query['address'], addr) && !test(query['address'], addr.replace(/%.+$/, ''))) {
+                return false;
+            }
+        }
+        if (('filter' in query) && query['filter'](device) !== true) {
+            return false;
+        }
+        return true;
+    }
+
+    /* ------------------------------------------------------------------
+    * getActiveInterfaceList()
+    *
+    * This method returns an array object representing the list of the
+    * network interface addresses used by the current (or the last)
+    * discovery process. Each element is an object containing the `name`,
+    * `family`, `address`, `netmask`, `cidr` and `scopeid` properties.
+    *
+    * Before the startDiscovery() is invoked, this method will return an
+    * empty array.
+    *
+    * [Arguments]
+    * - None
+    * ---------------------------------------------------------------- */
+    getActiveInterfaceList() {
+        return JSON.parse(JSON.stringify(this._netif_list));
+    }
+
     /* -----------------------------------------------------------------------------
     * discover(params)
     *
@@ -94,7 +469,15 @@ class UPnPUtils extends mEventEmitter {
     *          |         |          | This value must be an integer in the range of 1 to 120.
     *          |         |          | The default value is 3 (seconds).
     *   - st   | String  | Optional | ST header of M-Search.
-    *          |         |          | The default value is "upnp:rootdevice".
+    *          | Array   |          | The default value is "upnp:rootdevice".
+    *          |         |          | See the startDiscovery().
+    *   - family | String | Optional | IP version used for the discovery.
+    *          |         |          | "IPv4", "IPv6" or "both".
+    *          |         |          | The default value is "IPv4".
+    *   - target | String | Optional | Host to which an unicast M-SEARCH is sent
+    *          | Array   |          | (e.g., "10.1.2.3:1900"). See the startDiscovery().
+    *   - fetch | Object | Optional | Options for fetching the device descriptions.
+    *          |         |          | See the startDiscovery().
     *   - wait | Integer | Optional | This method waits the M-Search responses
     *          |         |          | for the specified number of seconds.
     *          |         |          | The value must be in the range of 1 to 120.
@@ -105,7 +488,7 @@ class UPnPUtils extends mEventEmitter {
     * -  
     * -------------------------------------------------------------------------- */
     async discover(params = {}) {
-        if (this._is_discovering === true) {
+        if (this._is_discovering === true || this._is_starting === true) {
             throw new Error('The discovery process is running.');
         }
 
@@ -138,6 +521,9 @@ class UPnPUtils extends mEventEmitter {
     * Whenever a root device is newly found, this method emits 'added' event
     * on this instance until the stopDiscovery() method is called.
     *
+    * Whenever a known device is rebooted, moved or reconfigured, this method
+    * fetches the description again, then emits 'updated' event.
+    *
     * If this method is called again during this discovery process is ongoing,
     * the call is ignored.
     * 
@@ -148,152 +534,1176 @@ class UPnPUtils extends mEventEmitter {
     *          |         |          | This value must be an integer in the range of 1 to 120.
     *          |         |          | The default value is 3 (seconds).
     *   - st   | String  | Optional | ST header of M-Search.
-    *          |         |          | The default value is "upnp:rootdevice".
+    *          | Array   |          | The default value is "upnp:rootdevice".
+    *          |         |          | If an array is specified, a M-SEARCH is sent
+    *          |         |          | for each ST. The results are grouped by the
+    *          |         |          | UDN, so each device is listed only once.
+    *   - family | String | Optional | IP version used for the discovery.
+    *          |         |          | "IPv4", "IPv6" or "both".
+    *          |         |          | The default value is "IPv4".
+    *          |         |          | For IPv6, the link-local (FF02::C) and the
+    *          |         |          | site-local (FF05::C) scopes are used.
+    *   - searchSocket | String | Optional | "shared" or "separate".
+    *          |         |          | If "shared", M-SEARCH messages are sent from the
+    *          |         |          | socket bound to the SSDP port (1900), which
+    *          |         |          | monitors NOTIFY messages as well.
+    *          |         |          | If "separate", M-SEARCH messages are sent from
+    *          |         |          | another socket bound to an ephemeral port, which
+    *          |         |          | receives the M-SEARCH responses. In this mode,
+    *          |         |          | the discovery continues even if the SSDP port
+    *          |         |          | can not be bound (NOTIFY messages are not
+    *          |         |          | monitored in that case).
+    *          |         |          | The default value is "shared".
+    *   - notify | Boolean | Optional | If false, NOTIFY messages are not monitored
+    *          |         |          | and the SSDP port is not bound. The
+    *          |         |          | `searchSocket` is treated as "separate".
+    *          |         |          | The default value is true (false if the
+    *          |         |          | `target` is specified).
+    *   - target | String | Optional | Host to which an unicast M-SEARCH is sent
+    *          | Array   |          | instead of the multicast M-SEARCH. The value
+    *          |         |          | is "host:port" (e.g., "10.1.2.3:1900",
+    *          |         |          | "[fe80::1%eth0]:1900") or an array of them.
+    *          |         |          | If the port is omitted, the SSDP port is used.
+    *          |         |          | If the `family` is not specified, it is
+    *          |         |          | determined from the addresses of the hosts.
+    *   - interfaces | Array | Optional | Names of the network interfaces used for
+    *          |         |          | the discovery (e.g., ["eth0"]).
+    *          |         |          | The default is all interfaces.
+    *   - excludeInterfaces | Array | Optional | Names of the network interfaces
+    *          |         |          | which are not used for the discovery.
+    *   - cidr | Array   | Optional | Allow-list of the CIDR blocks of the local
+    *          |         |          | addresses (e.g., ["100.64.0.0/10"]). If no CIDR
+    *          |         |          | block of an IP version is specified, only the
+    *          |         |          | private IPv4 addresses (RFC 1918) and all IPv6
+    *          |         |          | addresses are used.
+    *   - loopback | Boolean | Optional | If true, the loopback addresses are used.
+    *          |         |          | The default value is false.
+    *   - addresses | Array | Optional | Explicit list of the local addresses used
+    *          |         |          | for the discovery. If specified, the `cidr`
+    *          |         |          | and the `loopback` are ignored.
+    *   - searchInterval | Integer | Optional | Interval of the periodic M-SEARCH
+    *          |         |          | in seconds. If 0, M-SEARCH messages are sent
+    *          |         |          | only once at the start. The value must be 0 or
+    *          |         |          | in the range of 5 to 86400. The default is 0.
+    *   - searchIntervalMax | Integer | Optional | While the set of the devices
+    *          |         |          | is stable, the interval is doubled up to this
+    *          |         |          | value (in seconds). The default value is the
+    *          |         |          | same as the `searchInterval` (no backoff).
+    *   - searchJitter | Number | Optional | Ratio of the random variation of the
+    *          |         |          | interval (0 to 0.5). The default value is 0.1.
+    *   - maxMissedSearches | Integer | Optional | If a device does not answer
+    *          |         |          | this number of M-SEARCHes in a row, it is
+    *          |         |          | deleted before its max-age expires. If 0,
+    *          |         |          | this feature is disabled. The default is 0.
+    *   - fetch | Object | Optional | Options for fetching the device descriptions.
+    *          |         |          | `timeout`, `retries`, `retryDelay`,
+    *          |         |          | `concurrency`, `maxRedirects`, `maxSize`,
+    *          |         |          | `cacheTtl` and `rejectUnauthorized` are
+    *          |         |          | available. See the README for details.
+    *   - capture | String | Optional | Path of the file to which every received
+    *          |         |          | datagram and every fetched description are
+    *          |         |          | appended in the NDJSON format. The file can
+    *          |         |          | be passed to the replay() method.
     * -------------------------------------------------------------------------- */
     async startDiscovery(params = {}) {
-        if (this._is_discovering === true) {
+        if (this._is_discovering === true || this._is_starting === true) {
             throw new Error('The startDiscovery() method can not be invoked simultaneously.');
         }
 
+        // The flag is set before the first `await`, so that an overlapping
+        // call is rejected while the targets are resolved and so on.
+        this._is_starting = true;
+        try {
+            await this._startDiscovery(params);
+        } finally {
+            this._is_starting = false;
+        }
+    }
+
+    async _startDiscovery(params) {
         // Check the parameters
         this._params = this._checkMSearchParams(params);
+        this._target_list = await this._resolveTargets(this._params['targets'], ('family' in params));
+        if (this._target_list.length > 0 && !('family' in params)) {
+            const v6 = this._target_list.some((t) => t.family === 6);
+            const v4 = this._target_list.some((t) => t.family === 4);
+            this._params['family'] = (v4 && v6) ? 'both' : (v6 ? 'IPv6' : 'IPv4');
+        }
 
         // Update the list of network interface IP address
-        this._netif_address_list = this._getNetifAddressList();
+        const family = this._params['family'];
+        this._netif_list = this._getNetifList(this._params['netif']).filter((netif) => {
+            return (family === 'both' || netif.family === family);
+        });
+        this._netif_address_list = this._netif_list.filter((netif) => {
+            return netif.family === 'IPv4';
+        }).map((netif) => {
+            return netif.address;
+        });
+        this._netif6_list = this._getNetif6List(this._netif_list);
 
-        this._devices = {};
+        await this._restoreDevices();
+        if (this._params['capture']) {
+            await this._openCaptureFile(this._params['capture']);
+        }
         this._is_discovering = true;
 
         try {
             await this._startListening();
-            await this._startMsearch();
+            await this._search();
         } catch (error) {
+            await this._stopListening();
+            this._is_discovering = false;
             throw error;
         }
         this._startExpirationCheck();
+        this._search_interval = this._params['search']['interval'];
+        this._search_signature = this._getDeviceSignature();
+        this._scheduleSearch();
     }
 
-    _checkMSearchParams(params = {}) {
-        if (typeof (params) !== 'object') {
+    /* -----------------------------------------------------------------------------
+    * watch(params)
+    *
+    * This method returns an async iterator which yields the discovery events.
+    * Each event is an object containing the `type` ("added", "deleted" or
+    * "updated") and the `device` properties. For the "updated" event, the
+    * `diff` property is also available.
+    *
+    * If the discovery process is not running, this method starts it with the
+    * `params`, and stops it when the iteration ends. Otherwise, the `params`
+    * except the `signal` are ignored.
+    *
+    * The devices which have already been found are yielded as "added" events
+    * before any live event.
+    *
+    * [Arguments]
+    * - params   | Object      | Optional |
+    *   - signal | AbortSignal | Optional | If aborted, the iteration ends.
+    *   - The parameters of the startDiscovery() are also available.
+    *
+    * [Usage]
+    *   for await (const ev of upnp.watch({ st: 'upnp:rootdevice' })) {
+    *       console.log(ev.type, ev.device.address);
+    *   }
+    * -------------------------------------------------------------------------- */
+    async *watch(params = {}) {
+        if (!params || typeof (params) !== 'object') {
             throw new Error('The 1st argument must be an object.');
         }
-        const mx = ('mx' in params) ? params['mx'] : 3;
-        const st = ('st' in params) ? params['st'] : 'upnp:rootdevice';
-        if (typeof (mx) !== 'number' || mx < 1 || mx > 120 || mx % 1 !== 0) {
-            throw new Error('The value of "mx" is invalid. It must be an integer between 1 and 120.');
+        const signal = params['signal'];
+        if (signal !== undefined && (!signal || typeof (signal.addEventListener) !== 'function' || typeof (signal.aborted) !== 'boolean')) {
+            throw new Error('The value of "signal" is invalid. It must be an AbortSignal.');
         }
-        if (typeof (st) !== 'string') {
-            throw new Error('The value of "st" is invalid. It must be string.');
+        if (signal && signal.aborted) {
+            return;
         }
-        return { mx: mx, st: st };
-    }
 
-    _startListening() {
-        return new Promise((resolve, reject) => {
-            // Set up a UDP tranceiver
-            this._udp = mDgram.createSocket({
-                type: 'udp4',
-                reuseAddr: true
-            });
+        const disc_params = Object.assign({}, params);
+        delete disc_params['signal'];
+
+        const queue = [];
+        let wake = null;
+        let aborted = false;
+        const notify = () => {
+            if (wake) {
+                wake();
+                wake = null;
+            }
+        };
+        const listeners = {
+            added: (device) => {
+                queue.push({ type: 'added', device: device });
+                notify();
+            },
+            deleted: (device) => {
+                queue.push({ type: 'deleted', device: device });
+                notify();
+            },
+            updated: (device, diff) => {
+                queue.push({ type: 'updated', device: device, diff: diff });
+                notify();
+            }
+        };
+        const onAbort = () => {
+            aborted = true;
+            notify();
+        };
 
-            this._udp.once('error', (error) => {
-                reject(error);
+        let started = false;
+        try {
+            // The signal may be aborted while the discovery is starting.
+            if (signal) {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+            if (this._is_discovering !== true) {
+                await this.startDiscovery(disc_params);
+                started = true;
+            }
+            if (aborted) {
                 return;
-            });
+            }
 
-            this._udp.once('listening', () => {
-                this._addMembership();
-                setTimeout(() => {
-                    resolve();
-                }, 100);
-            });
+            // The snapshot is taken and the listeners are registered in the
+            // same tick, so that no event is lost or duplicated.
+            for (const device of this.getActiveDeviceList()) {
+                queue.push({ type: 'added', device: device });
+            }
+            for (const [name, listener] of Object.entries(listeners)) {
+                this.on(name, listener);
+            }
 
-            this._udp.on('message', (buf, rinfo) => {
-                this._receivePacket(buf, rinfo);
-            });
+            while (true) {
+                if (aborted) {
+                    break;
+                }
+                if (queue.length > 0) {
+                    yield queue.shift();
+                    continue;
+                }
+                await new Promise((resolve) => {
+                    wake = resolve;
+                });
+            }
+        } finally {
+            for (const [name, listener] of Object.entries(listeners)) {
+                this.removeListener(name, listener);
+            }
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+            if (started) {
+                await this.stopDiscovery();
+            }
+        }
+    }
 
-            this._udp.bind({ port: this._SSDP_PORT }, () => {
-                this._udp.removeAllListeners('error');
-            });
-        });
+    /* -----------------------------------------------------------------------------
+    * exportState()
+    *
+    * This method returns an object representing the devices found so far,
+    * including the headers, the descriptions and the expiration times. The
+    * object can be serialized in JSON, and can be restored by the
+    * importState() method.
+    *
+    * [Arguments]
+    * - None
+    * -------------------------------------------------------------------------- */
+    exportState() {
+        return {
+            version: 1,
+            savedAt: Date.now(),
+            devices: this.getActiveDeviceList()
+        };
     }
 
-    _addMembership() {
-        for (const netif_address of this._netif_address_list) {
-            try {
-                this._udp.addMembership(this._MULTICAST_ADDR, netif_address);
-            } catch (e) {
-                console.log(`Catching error on address already in use: ${JSON.stringify(e)}`);
-            }
+    /* -----------------------------------------------------------------------------
+    * importState(state)
+    *
+    * This method restores the devices from the object returned by the
+    * exportState() method. The restored devices are marked as unverified
+    * (the `verified` property is false) until they are confirmed by a
+    * M-SEARCH response or a NOTIFY message. The devices which have already
+    * expired or which have already been found are skipped. No event is
+    * emitted for the restored devices.
+    *
+    * The restored devices are kept by the startDiscovery() if they match
+    * the `st`, and they expire normally.
+    *
+    * [Arguments]
+    * - state | Object | Required | Object returned by the exportState()
+    *
+    * [Return value]
+    * - The number of the restored devices.
+    * -------------------------------------------------------------------------- */
+    importState(state) {
+        if (!state || typeof (state) !== 'object' || !Array.isArray(state['devices'])) {
+            throw new Error('The 1st argument must be an object returned by the exportState().');
+        }
+        if (state['version'] !== 1) {
+            throw new Error('The version of the state is not supported.');
         }
-    }
 
-    _dropMembership() {
-        for (const netif_address of this._netif_address_list) {
-            try {
-                this._udp.dropMembership(this._MULTICAST_ADDR, netif_address);
-            } catch (e) {
-                console.log(`Catching error on dropMembership: ${JSON.stringify(e)}`);
+        const now = Date.now();
+        let num = 0;
+        for (const dev of state['devices']) {
+            if (!dev || typeof (dev) !== 'object' || typeof (dev['udn']) !== 'string' ||
+                !dev['headers'] || typeof (dev['headers']) !== 'object' ||
+                typeof (dev['address']) !== 'string' || !Array.isArray(dev['usnList'])) {
+                continue;
+            }
+            if (this._devices[dev['udn']]) {
+                continue;
+            }
+            const usn_list = dev['usnList'].filter((e) => {
+                return (e && typeof (e['usn']) === 'string' && typeof (e['expire']) === 'number' && e['expire'] > now);
+            });
+            if (usn_list.length === 0) {
+                continue;
+            }
+
+            const device = JSON.parse(JSON.stringify(dev));
+            device['usnList'] = usn_list;
+            device['expire'] = Math.max(...usn_list.map((e) => e['expire']));
+            device['verified'] = false;
+            if (!('descriptionError' in device)) {
+                device['descriptionError'] = null;
+            }
+            if (device['description'] && !device['model']) {
+                device['model'] = mUpnpUtilsModel.create(device['description'], device['headers']['LOCATION']);
             }
+            this._devices[device['udn']] = device;
+            num++;
         }
+        return num;
     }
 
-    _getNetifAddressList() {
-        const list = [];
-        const netifs = mOs.networkInterfaces();
-        for (const iflist of Object.values(netifs)) {
-            for (const info of iflist) {
-                // Exclude a loopback address
-                if (info.internal) {
-                    continue;
-                }
-                // Exclude a non-IPv4 address
-                if (info.family !== 'IPv4') {
-                    continue;
-                }
-                // Exclude a link-local address
-                if (/^169\.254\./.test(info.address)) {
-                    continue;
-                }
+    // Only the devices restored by the importState() or from the cache file
+    // are kept over the discovery processes, if they match the STs.
+    async _restoreDevices() {
+        const devices = {};
+        for (const [udn, device] of Object.entries(this._devices)) {
+            if (device['verified'] === false) {
+                devices[udn] = device;
+            }
+        }
+        this._devices = devices;
 
-                // Exclude a global address
-                if (!this._isPrivateAddress(info.address)) {
-                    continue;
-                }
+        if (this._cache_file) {
+            await this._loadCacheFile();
+        }
 
-                list.push(info.address);
+        const st_list = this._params['st'];
+        this._seen = {};
+        this._families = {};
+        for (const [udn, device] of Object.entries(this._devices)) {
+            const matched = st_list.includes('ssdp:all') || device['usnList'].some((e) => st_list.includes(e['st']));
+            if (matched) {
+                // Counted as missed until confirmed (see the maxMissedSearches)
+                this._seen[udn] = { time: 0, missed: 0 };
+            } else {
+                delete this._devices[udn];
             }
         }
-        return list;
     }
 
-    _isPrivateAddress(addr) {
-        const cidr_list = ['10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16'];
-        let included = false;
-        for (let i = 0, len = cidr_list.length; i < len; i++) {
-            if (this._isAddressInCidr(addr, cidr_list[i])) {
-                included = true;
-                break;
+    async _loadCacheFile() {
+        let state = null;
+        try {
+            const json = await mFs.promises.readFile(this._cache_file, 'utf8');
+            state = JSON.parse(json);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                this._emitError(new mUpnpUtilsErrors.CacheFileError('Failed to read the cache file: ' + error.message, { path: this._cache_file, cause: error }));
             }
+            return;
+        }
+        try {
+            const num = this.importState(state);
+            this._log('debug', num + ' devices were restored from ' + this._cache_file);
+        } catch (error) {
+            this._emitError(new mUpnpUtilsErrors.CacheFileError('The cache file is invalid: ' + error.message, { path: this._cache_file, cause: error }));
         }
-        return included;
     }
 
-    _isAddressInCidr(addr, cidr) {
-        let [netaddr, mask] = cidr.split('/');
-        mask = parseInt(mask, 10);
-        let host_bit_num = 32 - parseInt(mask, 10);
-
-        let netaddr_buf = this._getAddressBuffer(netaddr);
-        let netaddr_n = netaddr_buf.readUInt32BE(0) >>> host_bit_num;
-
-        let addr_buf = this._getAddressBuffer(addr);
-        let addr_n = addr_buf.readUInt32BE(0) >>> host_bit_num;
-
-        return (netaddr_n === addr_n) ? true : false;
+    async _saveCacheFile() {
+        // The file is replaced atomically, so that a reader never sees a
+        // partially written file.
+        const tmp_path = mPath.join(mPath.dirname(this._cache_file), '.' + mPath.basename(this._cache_file) + '.' + process.pid + '.tmp');
+        try {
+            await mFs.promises.writeFile(tmp_path, JSON.stringify(this.exportState()), 'utf8');
+            await mFs.promises.rename(tmp_path, this._cache_file);
+        } catch (error) {
+            mFs.promises.unlink(tmp_path).catch(() => { });
+            this._emitError(new mUpnpUtilsErrors.CacheFileError('Failed to write the cache file: ' + error.message, { path: this._cache_file, cause: error }));
+        }
+    }
+
+    async _openCaptureFile(path) {
+        const stream = mFs.createWriteStream(path, { flags: 'a' });
+        try {
+            await new Promise((resolve, reject) => {
+                stream.once('open', resolve);
+                stream.once('error', reject);
+            });
+        } catch (error) {
+            throw new mUpnpUtilsErrors.CaptureFileError('Failed to open the capture file: ' + error.message, { path: path, cause: error });
+        }
+        stream.removeAllListeners('error');
+        stream.on('error', (error) => {
+            this._emitError(new mUpnpUtilsErrors.CaptureFileError('Failed to write the capture file: ' + error.message, { path: path, cause: error }));
+        });
+        this._capture = stream;
+    }
+
+    _writeCapture(record) {
+        if (this._capture) {
+            this._capture.write(JSON.stringify(record) + '\n');
+        }
+    }
+
+    _closeCaptureFile() {
+        return new Promise((resolve) => {
+            if (this._capture) {
+                this._capture.end(resolve);
+                this._capture = null;
+            } else {
+                resolve();
+            }
+        });
+    }
+
+    /* -----------------------------------------------------------------------------
+    * replay(source, params)
+    *
+    * This method feeds the records captured by the `capture` parameter of the
+    * startDiscovery() to the same logic as the discovery process. The devices
+    * found so far are cleared beforehand. No packet is sent and no description
+    * is fetched from the network: the captured descriptions are used instead.
+    * The `added`, `updated` and `deleted` events are emitted as well as in the
+    * discovery process.
+    *
+    * [Arguments]
+    * - source | String | Required | Path of the capture file (NDJSON)
+    *          | Array  |          | or an array of the records
+    * - params | Object | Optional | Parameters of the startDiscovery(). Only
+    *          |        |          | the `st` is meaningful (NOTIFY messages
+    *          |        |          | are filtered by it).
+    *
+    * [Return value]
+    * - Promise object
+    * - In an `await` syntax, this method returns the list of the devices
+    *   same as the getActiveDeviceList().
+    * -------------------------------------------------------------------------- */
+    async replay(source, params = {}) {
+        if (this._is_discovering === true || this._is_starting === true || this._replay) {
+            throw new Error('The replay() method can not be invoked during the discovery process or another replay.');
+        }
+        let records = null;
+        if (typeof (source) === 'string') {
+            records = await this._readCaptureFile(source);
+        } else if (Array.isArray(source)) {
+            records = source;
+        } else {
+            throw new Error('The 1st argument must be a path of the capture file or an array of the records.');
+        }
+
+        this._params = this._checkMSearchParams(params);
+        this._devices = {};
+        this._seen = {};
+        this._families = {};
+
+        const replay = { responses: {}, netifs: {} };
+        for (const rec of records) {
+            if (!rec || typeof (rec) !== 'object') {
+                continue;
+            }
+            if (rec['type'] === 'description' && typeof (rec['url']) === 'string') {
+                if (!replay.responses[rec['url']]) {
+                    replay.responses[rec['url']] = [];
+                }
+                replay.responses[rec['url']].push(rec);
+            } else if (rec['type'] === 'ssdp' && typeof (rec['address']) === 'string' && rec['interface']) {
+                replay.netifs[rec['address']] = rec['interface'];
+            }
+        }
+
+        this._replay = replay;
+        try {
+            for (const rec of records) {
+                if (!rec || rec['type'] !== 'ssdp' || typeof (rec['text']) !== 'string' || typeof (rec['address']) !== 'string') {
+                    continue;
+                }
+                const buf = Buffer.from(rec['text'], 'utf8');
+                await this._receivePacket(buf, {
+                    address: rec['address'],
+                    port: rec['port'] || 0,
+                    family: (mNet.isIP(rec['address'].replace(/%.*$/, '')) === 6) ? 'IPv6' : 'IPv4',
+                    size: buf.length
+                });
+            }
+        } finally {
+            this._replay = null;
+        }
+        return this.getActiveDeviceList();
+    }
+
+    async _readCaptureFile(path) {
+        let text = '';
+        try {
+            text = await mFs.promises.readFile(path, 'utf8');
+        } catch (error) {
+            throw new mUpnpUtilsErrors.CaptureFileError('Failed to read the capture file: ' + error.message, { path: path, cause: error });
+        }
+        const records = [];
+        const lines = text.split(/\r?\n/);
+        for (let i = 0; i < lines.length; i++) {
+            if (lines[i].trim() === '') {
+                continue;
+            }
+            try {
+                records.push(JSON.parse(lines[i]));
+            } catch (error) {
+                throw new mUpnpUtilsErrors.CaptureFileError('The capture file is invalid at line ' + (i + 1) + ': ' + error.message, { path: path, cause: error });
+            }
+        }
+        return records;
+    }
+
+    // Returns the next captured description of the URL. The last one is
+    // used repeatedly if the description is requested more times than
+    // captured.
+    async _getReplayDescription(url) {
+        const list = this._replay.responses[url];
+        if (!list || list.length === 0) {
+            throw new mUpnpUtilsErrors.DescriptionFetchError('No captured description: url=' + url, { url: url });
+        }
+        const rec = (list.length > 1) ? list.shift() : list[0];
+        if (rec['error']) {
+            const e = rec['error'];
+            const props = Object.assign({}, e);
+            delete props['name'];
+            delete props['code'];
+            delete props['message'];
+            // Only the errors of fetching a description take the (message,
+            // props). Any other error is replayed as a DescriptionFetchError.
+            const names = ['DescriptionTimeoutError', 'HttpStatusError', 'XmlParseError', 'DescriptionFetchError'];
+            const ErrorClass = names.includes(e['name']) ? mUpnpUtilsErrors[e['name']] : mUpnpUtilsErrors.DescriptionFetchError;
+            throw new ErrorClass(e['message'], props);
+        }
+        const xml = String(rec['body'] || '');
+        const res = { dheaders: rec['headers'] || {}, xml: xml, obj: null, error: null };
+        try {
+            res['obj'] = await mUpnpUtilsDd.parse(xml, url);
+        } catch (error) {
+            res['error'] = error;
+        }
+        return res;
+    }
+
+    /* -----------------------------------------------------------------------------
+    * searchNow()
+    *
+    * This method sends M-SEARCH messages immediately during the discovery
+    * process. The interval of the periodic search is reset to the value of
+    * the `searchInterval`.
+    *
+    * This method returns a Promise object. If the discovery process is not
+    * active, an exception will be thrown.
+    *
+    * [Arguments]
+    * - None
+    * -------------------------------------------------------------------------- */
+    async searchNow() {
+        if (this._is_discovering !== true) {
+            throw new Error('The discovery process is not running.');
+        }
+        this._stopSearchTimer();
+        try {
+            await this._search();
+        } finally {
+            if (this._is_discovering === true) {
+                this._search_interval = this._params['search']['interval'];
+                this._scheduleSearch();
+            }
+        }
+    }
+
+    // Sends M-SEARCH messages, then checks the devices which did not answer
+    // after the responses are expected to arrive.
+    async _search() {
+        if (this._is_searching === true) {
+            return;
+        }
+        this._is_searching = true;
+        const started = Date.now();
+        try {
+            await this._startMsearch();
+        } finally {
+            this._is_searching = false;
+        }
+
+        if (this._params['search']['maxMissed'] > 0) {
+            const timer = setTimeout(() => {
+                this._missed_check_timers = this._missed_check_timers.filter((t) => t !== timer);
+                this._checkMissedDevices(started);
+            }, (this._params['mx'] + 1) * 1000);
+            this._missed_check_timers.push(timer);
+        }
+    }
+
+    _scheduleSearch() {
+        const params = this._params['search'];
+        if (params['interval'] === 0) {
+            return;
+        }
+        const jitter = 1 + (Math.random() * 2 - 1) * params['jitter'];
+        const msec = Math.round(this._search_interval * 1000 * jitter);
+        this._search_timer = setTimeout(async () => {
+            this._search_timer = null;
+            try {
+                await this._search();
+            } catch (error) {
+                if (this._is_discovering === true) {
+                    this._emitError(error);
+                }
+            }
+            if (this._is_discovering !== true) {
+                return;
+            }
+            // While the set of the devices is stable, the interval is doubled
+            // up to the `searchIntervalMax`.
+            const signature = this._getDeviceSignature();
+            if (signature === this._search_signature) {
+                this._search_interval = Math.min(this._search_interval * 2, params['intervalMax']);
+            } else {
+                this._search_interval = params['interval'];
+            }
+            this._search_signature = signature;
+            this._scheduleSearch();
+        }, msec);
+    }
+
+    _stopSearchTimer() {
+        if (this._search_timer) {
+            clearTimeout(this._search_timer);
+            this._search_timer = null;
+        }
+    }
+
+    _getDeviceSignature() {
+        return Object.keys(this._devices).sort().join(',');
+    }
+
+    // A device which has not sent any packet since the search started is
+    // deleted if it has missed the `maxMissedSearches` searches in a row.
+    _checkMissedDevices(started) {
+        if (this._is_discovering !== true) {
+            return;
+        }
+        for (const udn of Object.keys(this._devices)) {
+            const seen = this._seen[udn];
+            if (!seen) {
+                continue;
+            }
+            if (seen['time'] >= started) {
+                seen['missed'] = 0;
+                continue;
+            }
+            seen['missed']++;
+            if (seen['missed'] >= this._params['search']['maxMissed']) {
+                const device = this._devices[udn];
+                delete this._devices[udn];
+                delete this._seen[udn];
+                delete this._families[udn];
+                this._log('debug', 'Device expired (no response to M-SEARCH): ' + udn);
+                this.emit('deleted', JSON.parse(JSON.stringify(device)));
+            }
+        }
+    }
+
+    _checkMSearchParams(params = {}) {
+        if (typeof (params) !== 'object') {
+            throw new Error('The 1st argument must be an object.');
+        }
+        const mx = ('mx' in params) ? params['mx'] : 3;
+        const st = ('st' in params) ? params['st'] : 'upnp:rootdevice';
+        const family = ('family' in params) ? params['family'] : 'IPv4';
+        if (typeof (mx) !== 'number' || mx < 1 || mx > 120 || mx % 1 !== 0) {
+            throw new Error('The value of "mx" is invalid. It must be an integer between 1 and 120.');
+        }
+        const st_list = Array.isArray(st) ? st : [st];
+        if (st_list.length === 0 || !st_list.every((v) => typeof (v) === 'string' && v !== '')) {
+            throw new Error('The value of "st" is invalid. It must be a string or an array of strings.');
+        }
+        if (!['IPv4', 'IPv6', 'both'].includes(family)) {
+            throw new Error('The value of "family" is invalid. It must be "IPv4", "IPv6" or "both".');
+        }
+        const targets = this._parseTargets(('target' in params) ? params['target'] : []);
+        const notify = ('notify' in params) ? params['notify'] : (targets.length === 0);
+        if (typeof (notify) !== 'boolean') {
+            throw new Error('The value of "notify" is invalid. It must be a boolean.');
+        }
+        let search_socket = ('searchSocket' in params) ? params['searchSocket'] : 'shared';
+        if (!['shared', 'separate'].includes(search_socket)) {
+            throw new Error('The value of "searchSocket" is invalid. It must be "shared" or "separate".');
+        }
+        if (notify === false) {
+            search_socket = 'separate';
+        }
+        return {
+            mx: mx,
+            st: st_list.filter((v, i) => st_list.indexOf(v) === i),
+            family: family,
+            notify: notify,
+            searchSocket: search_socket,
+            targets: targets,
+            netif: this._checkNetifParams(params),
+            fetch: mUpnpUtilsDd.checkParams(('fetch' in params) ? params['fetch'] : {}),
+            search: this._checkSearchParams(params),
+            capture: this._checkCaptureParam(params)
+        };
+    }
+
+    _checkCaptureParam(params) {
+        const capture = ('capture' in params) ? params['capture'] : '';
+        if (typeof (capture) !== 'string') {
+            throw new Error('The value of "capture" is invalid. It must be a string.');
+        }
+        return capture;
+    }
+
+    _checkSearchParams(params) {
+        const interval = ('searchInterval' in params) ? params['searchInterval'] : 0;
+        if (typeof (interval) !== 'number' || interval % 1 !== 0 || (interval !== 0 && (interval < 5 || interval > 86400))) {
+            throw new Error('The value of "searchInterval" is invalid. It must be 0 or an integer between 5 and 86400.');
+        }
+        const interval_max = ('searchIntervalMax' in params) ? params['searchIntervalMax'] : interval;
+        if (typeof (interval_max) !== 'number' || interval_max % 1 !== 0 || interval_max < interval || interval_max > 86400) {
+            throw new Error('The value of "searchIntervalMax" is invalid. It must be an integer between the "searchInterval" and 86400.');
+        }
+        const jitter = ('searchJitter' in params) ? params['searchJitter'] : 0.1;
+        if (typeof (jitter) !== 'number' || jitter < 0 || jitter > 0.5) {
+            throw new Error('The value of "searchJitter" is invalid. It must be a number between 0 and 0.5.');
+        }
+        const max_missed = ('maxMissedSearches' in params) ? params['maxMissedSearches'] : 0;
+        if (typeof (max_missed) !== 'number' || max_missed % 1 !== 0 || max_missed < 0 || max_missed > 100) {
+            throw new Error('The value of "maxMissedSearches" is invalid. It must be an integer between 0 and 100.');
+        }
+        return {
+            interval: interval,
+            intervalMax: interval_max,
+            jitter: jitter,
+            maxMissed: max_missed
+        };
+    }
+
+    _checkNetifParams(params) {
+        const opts = {};
+        for (const k of ['interfaces', 'excludeInterfaces', 'cidr', 'addresses']) {
+            if (!(k in params)) {
+                continue;
+            }
+            const v = params[k];
+            if (!Array.isArray(v) || v.some((e) => typeof (e) !== 'string')) {
+                throw new Error('The value of "' + k + '" is invalid. It must be an array of strings.');
+            }
+            opts[k] = v;
+        }
+        for (const cidr of opts['cidr'] || []) {
+            const m = cidr.match(/^([^\/]+)\/(\d+)$/);
+            const ver = m ? mNet.isIP(m[1]) : 0;
+            if (!ver || parseInt(m[2], 10) > ((ver === 4) ? 32 : 128)) {
+                throw new Error('The value of "cidr" is invalid: ' + cidr);
+            }
+        }
+        for (const addr of opts['addresses'] || []) {
+            if (!mNet.isIP(addr)) {
+                throw new Error('The value of "addresses" is invalid: ' + addr);
+            }
+        }
+        if ('loopback' in params) {
+            if (typeof (params['loopback']) !== 'boolean') {
+                throw new Error('The value of "loopback" is invalid. It must be a boolean.');
+            }
+            opts['loopback'] = params['loopback'];
+        }
+        return opts;
+    }
+
+    _parseTargets(target) {
+        const list = Array.isArray(target) ? target : [target];
+        const targets = [];
+        for (const t of list) {
+            if (typeof (t) !== 'string' || t === '') {
+                throw new Error('The value of "target" is invalid. It must be a string like "10.1.2.3:1900" or an array of them.');
+            }
+            // "[fe80::1%eth0]:1900", "[fe80::1]", "10.1.2.3:1900", "host", "fe80::1"
+            const m = t.match(/^\[([^\]]+)\](?:\:(\d+))?$/) || t.match(/^([^\:]+)(?:\:(\d+))?$/);
+            const host = m ? m[1] : (mNet.isIPv6(t.replace(/%.+$/, '')) ? t : null);
+            const port = (m && m[2]) ? parseInt(m[2], 10) : this._SSDP_PORT;
+            if (!host || port < 1 || port > 65535) {
+                throw new Error('The value of "target" is invalid: ' + t);
+            }
+            targets.push({ host: host, port: port });
+        }
+        return targets;
+    }
+
+    // Resolve the host names of the unicast M-SEARCH targets.
+    async _resolveTargets(targets, family_specified) {
+        const list = [];
+        for (const t of targets) {
+            let address = t.host;
+            if (!mNet.isIP(address.replace(/%.+$/, ''))) {
+                const res = await mDns.promises.lookup(address);
+                address = res.address;
+            }
+            const family = mNet.isIP(address.replace(/%.+$/, ''));
+            if (family_specified) {
+                const f = this._params['family'];
+                if ((f === 'IPv4' && family !== 4) || (f === 'IPv6' && family !== 6)) {
+                    throw new Error('The address of the target "' + t.host + '" does not match the "family".');
+                }
+            }
+            const host = (family === 6) ? '[' + address.replace(/%.+$/, '') + ']' : address;
+            list.push({
+                address: address,
+                port: t.port,
+                family: family,
+                host: host + ':' + t.port
+            });
+        }
+        return list;
+    }
+
+    async _startListening() {
+        const family = this._params['family'];
+        const separate = (this._params['searchSocket'] === 'separate');
+
+        if (this._params['notify'] === true) {
+            // In the "separate" mode, the search works without the socket
+            // bound to the SSDP port (e.g., another SSDP stack owns it).
+            if (family !== 'IPv6') {
+                try {
+                    this._udp = await this._createSocket('udp4', this._SSDP_PORT);
+                    this._addMembership();
+                } catch (error) {
+                    if (!separate) {
+                        throw error;
+                    }
+                    this._emitError(error);
+                }
+            }
+            if (family !== 'IPv4') {
+                try {
+                    this._udp6 = await this._createSocket('udp6', this._SSDP_PORT);
+                    this._addMembership6();
+                } catch (error) {
+                    if (!separate) {
+                        throw error;
+                    }
+                    this._emitError(error);
+                }
+            }
+        }
+
+        if (separate) {
+            if (family !== 'IPv6') {
+                this._search_udp = await this._createSocket('udp4', 0);
+            }
+            if (family !== 'IPv4') {
+                this._search_udp6 = await this._createSocket('udp6', 0);
+            }
+        }
+        await this.wait(100);
+    }
+
+    _log(level, message, error) {
+        if (!this._logger || typeof (this._logger[level]) !== 'function') {
+            return;
+        }
+        try {
+            if (error) {
+                this._logger[level](message, error);
+            } else {
+                this._logger[level](message);
+            }
+        } catch (e) { }
+    }
+
+    // Reports a non-fatal error. The `error` event is emitted only if any
+    // listener is registered, so that the process is not terminated.
+    _emitError(error) {
+        this._log('warn', error.message, error);
+        if (this.listenerCount('error') > 0) {
+            this.emit('error', error);
+        }
+    }
+
+    _getSearchSocket(type) {
+        if (type === 'udp6') {
+            return this._search_udp6 || this._udp6;
+        } else {
+            return this._search_udp || this._udp;
+        }
+    }
+
+    _createSocket(type, port) {
+        return new Promise((resolve, reject) => {
+            // Set up a UDP tranceiver
+            const opts = {
+                type: type,
+                reuseAddr: true
+            };
+            if (type === 'udp6') {
+                opts['ipv6Only'] = true;
+            }
+            const udp = this._createUdpSocket(opts);
+
+            const bind_opts = { port: port };
+            if (this._BIND_ADDR && mNet.isIP(this._BIND_ADDR) === ((type === 'udp6') ? 6 : 4)) {
+                bind_opts['address'] = this._BIND_ADDR;
+            }
+
+            udp.once('error', (error) => {
+                const addr = bind_opts['address'] || ((type === 'udp6') ? '::' : '0.0.0.0');
+                const msg = 'Failed to bind the UDP socket to ' + addr + ':' + port + ': ' + error.message;
+                reject(new mUpnpUtilsErrors.SocketBindError(msg, { address: addr, port: port, cause: error }));
+                return;
+            });
+
+            udp.once('listening', () => {
+                resolve(udp);
+            });
+
+            udp.on('message', (buf, rinfo) => {
+                this._receivePacket(buf, rinfo);
+            });
+
+            udp.bind(bind_opts, () => {
+                udp.removeAllListeners('error');
+            });
+        });
+    }
+
+    _addMembership() {
+        for (const netif_address of this._netif_address_list) {
+            try {
+                this._udp.addMembership(this._MULTICAST_ADDR, netif_address);
+            } catch (e) {
+                this._emitMembershipError('join', this._MULTICAST_ADDR, netif_address, e);
+            }
+        }
+    }
+
+    _dropMembership() {
+        if (!this._udp) {
+            return;
+        }
+        for (const netif_address of this._netif_address_list) {
+            try {
+                this._udp.dropMembership(this._MULTICAST_ADDR, netif_address);
+            } catch (e) {
+                this._emitMembershipError('leave', this._MULTICAST_ADDR, netif_address, e);
+            }
+        }
+    }
+
+    _addMembership6() {
+        for (const netif of this._netif6_list) {
+            for (const mcast_addr of this._MULTICAST_ADDR6_LIST) {
+                try {
+                    this._udp6.addMembership(mcast_addr, '::%' + netif.scope);
+                } catch (e) {
+                    this._emitMembershipError('join', mcast_addr, '::%' + netif.scope, e);
+                }
+            }
+        }
+    }
+
+    _dropMembership6() {
+        if (!this._udp6) {
+            return;
+        }
+        for (const netif of this._netif6_list) {
+            for (const mcast_addr of this._MULTICAST_ADDR6_LIST) {
+                try {
+                    this._udp6.dropMembership(mcast_addr, '::%' + netif.scope);
+                } catch (e) {
+                    this._emitMembershipError('leave', mcast_addr, '::%' + netif.scope, e);
+                }
+            }
+        }
+    }
+
+    _emitMembershipError(action, mcast_addr, netif_address, error) {
+        const msg = 'Failed to ' + action + ' the multicast group ' + mcast_addr + ' on ' + netif_address + ': ' + error.message;
+        this._emitError(new mUpnpUtilsErrors.MulticastJoinError(msg, {
+            multicastAddress: mcast_addr,
+            interfaceAddress: netif_address,
+            cause: error
+        }));
+    }
+
+    // Returns the list of the network interface addresses used for the
+    // discovery. By default, the loopback addresses, the IPv4 link-local
+    // addresses and the IPv4 global addresses are excluded.
+    _getNetifList(opts = {}) {
+        const list = [];
+        const netifs = mOs.networkInterfaces();
+        for (const [name, iflist] of Object.entries(netifs)) {
+            if (opts.interfaces && !opts.interfaces.includes(name)) {
+                continue;
+            }
+            if (opts.excludeInterfaces && opts.excludeInterfaces.includes(name)) {
+                continue;
+            }
+            for (const info of iflist) {
+                if (opts.addresses) {
+                    if (!opts.addresses.includes(info.address)) {
+                        continue;
+                    }
+                } else {
+                    // Exclude a loopback address
+                    if (info.internal && !opts.loopback) {
+                        continue;
+                    }
+                    if (!info.internal && !this._isAllowedAddress(info.address, info.family, opts.cidr)) {
+                        continue;
+                    }
+                }
+                list.push({
+                    name: name,
+                    family: info.family,
+                    address: info.address,
+                    netmask: info.netmask,
+                    cidr: info.cidr,
+                    scopeid: info.scopeid || 0
+                });
+            }
+        }
+
+        if (opts.addresses) {
+            for (const addr of opts.addresses) {
+                if (!list.some((netif) => netif.address === addr)) {
+                    throw new Error('The address "' + addr + '" is not assigned to any available network interface.');
+                }
+            }
+        }
+        return list;
+    }
+
+    _isAllowedAddress(addr, family, cidr_list) {
+        const list = (cidr_list || []).filter((cidr) => {
+            return mNet.isIP(cidr.split('/')[0]) === ((family === 'IPv6') ? 6 : 4);
+        });
+        if (list.length > 0) {
+            return list.some((cidr) => this._isAddressInCidr(addr, cidr));
+        }
+
+        // Default rules
+        if (family === 'IPv6') {
+            return true;
+        }
+        // Exclude a link-local address
+        if (/^169\.254\./.test(addr)) {
+            return false;
+        }
+        // Exclude a global address
+        return this._isPrivateAddress(addr);
+    }
+
+    // Returns the list of the network interfaces having any IPv6 address.
+    // The `scope` is the zone index used for the scoped IPv6 addresses
+    // (e.g., "FF02::C%eth0"). On Windows, the interface index is used
+    // instead of the interface name.
+    _getNetif6List(netif_list) {
+        const list = [];
+        for (const netif of netif_list) {
+            if (netif.family !== 'IPv6') {
+                continue;
+            }
+            let item = list.find((i) => i.name === netif.name);
+            if (!item) {
+                item = { name: netif.name, scope: netif.name, scopeid: 0 };
+                list.push(item);
+            }
+            if (netif.scopeid) {
+                item.scopeid = netif.scopeid;
+            }
+        }
+        for (const item of list) {
+            if (process.platform === 'win32') {
+                item.scope = String(item.scopeid);
+            }
+            delete item.scopeid;
+        }
+        return list;
+    }
+
+    // Find the local network interface which is in the same subnet as the
+    // specified remote address.
+    _findNetifFor(address) {
+        // In the replay, the interfaces recorded in the capture are used.
+        if (this._replay) {
+            return this._replay.netifs[address] || null;
+        }
+        const zone = this._getZone(address);
+        const addr = address.replace(/%.*$/, '');
+        const family = (mNet.isIP(addr) === 6) ? 'IPv6' : 'IPv4';
+        const candidates = this._netif_list.filter((netif) => netif.family === family);
+
+        let found = null;
+        if (zone) {
+            found = candidates.find((netif) => {
+                return (netif.name === zone || String(netif.scopeid) === zone) && /^fe[89ab]/i.test(netif.address);
+            });
+        }
+        if (!found) {
+            found = candidates.find((netif) => {
+                const prefix = this._getPrefixLength(netif.netmask);
+                return this._isAddressInCidr(addr, netif.address + '/' + prefix);
+            });
+        }
+        if (!found && candidates.length === 1) {
+            found = candidates[0];
+        }
+        return found ? { name: found.name, address: found.address } : null;
+    }
+
+    _getPrefixLength(netmask) {
+        let len = 0;
+        for (const byte of this._getAddressBuffer(netmask)) {
+            for (let b = 7; b >= 0; b--) {
+                if (byte & (1 << b)) {
+                    len++;
+                }
+            }
+        }
+        return len;
+    }
+
+    _isPrivateAddress(addr) {
+        const cidr_list = ['10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16'];
+        let included = false;
+        for (let i = 0, len = cidr_list.length; i < len; i++) {
+            if (this._isAddressInCidr(addr, cidr_list[i])) {
+                included = true;
+                break;
+            }
+        }
+        return included;
+    }
+
+    _isAddressInCidr(addr, cidr) {
+        let [netaddr, mask] = cidr.split('/');
+        mask = parseInt(mask, 10);
+
+        const netaddr_buf = this._getAddressBuffer(netaddr);
+        const addr_buf = this._getAddressBuffer(addr);
+        if (netaddr_buf.length !== addr_buf.length) {
+            return false;
+        }
+
+        for (let i = 0; i < addr_buf.length; i++) {
+            const bits = Math.max(0, Math.min(8, mask - i * 8));
+            const m = (0xff << (8 - bits)) & 0xff;
+            if ((netaddr_buf[i] & m) !== (addr_buf[i] & m)) {
+                return false;
+            }
+        }
+        return true;
     }
 
     _getAddressBuffer(addr) {
+        if (mNet.isIPv6(addr)) {
+            const buf = Buffer.alloc(16);
+            this._expandIPv6(addr.toLowerCase()).split(':').forEach((g, i) => {
+                buf.writeUInt16BE(parseInt(g, 16), i * 2);
+            });
+            return buf;
+        }
         let buf = Buffer.alloc(4);
         addr.split('.').forEach((n, i) => {
             buf.writeUInt8(parseInt(n, 10), i);
@@ -301,146 +1711,391 @@ class UPnPUtils extends mEventEmitter {
         return buf;
     }
 
-    async _startMsearch() {
-        let ssdp_string = '';
-        ssdp_string += 'M-SEARCH * HTTP/1.1\r\n';
-        ssdp_string += 'HOST: ' + this._MULTICAST_ADDR + ':' + this._SSDP_PORT + '\r\n';
-        ssdp_string += 'ST: ' + this._params['st'] + '\r\n';
-        ssdp_string += 'MAN: "ssdp:discover"\r\n';
-        ssdp_string += 'MX: ' + this._params['mx'] + '\r\n';
-        ssdp_string += '\r\n';
-        const buf = Buffer.from(ssdp_string, 'utf8');
+    _createMsearchMessage(host, st, unicast = false) {
+        const headers = [
+            ['HOST', host],
+            ['ST', st],
+            ['MAN', '"ssdp:discover"']
+        ];
+        // The MX header is not used for an unicast M-SEARCH (UDA 1.1 or later).
+        if (!unicast) {
+            headers.push(['MX', this._params['mx']]);
+        }
+        return mUpnpUtilsSsdp.build({ type: 'search', headers: headers });
+    }
+
+    async _startMsearch() {
+        if (this._target_list.length > 0) {
+            await this._startUnicastMsearch();
+            return;
+        }
+
+        const st_list = this._params['st'];
+
+        const udp = this._getSearchSocket('udp4');
+        for (const netif_address of this._netif_address_list) {
+            udp.setMulticastInterface(netif_address);
+            await this.wait(200);
+            for (let i = 0; i < 3; i++) {
+                for (const st of st_list) {
+                    const buf = this._createMsearchMessage(this._MULTICAST_ADDR + ':' + this._SSDP_PORT, st);
+                    await this._udpSend(buf, this._SSDP_PORT, this._MULTICAST_ADDR);
+                }
+                await this.wait(100);
+            }
+        }
+
+        const udp6 = this._getSearchSocket('udp6');
+        for (const netif of this._netif6_list) {
+            try {
+                udp6.setMulticastInterface('::%' + netif.scope);
+            } catch (e) {
+                continue;
+            }
+            await this.wait(200);
+            for (const mcast_addr of this._MULTICAST_ADDR6_LIST) {
+                for (let i = 0; i < 3; i++) {
+                    for (const st of st_list) {
+                        const buf6 = this._createMsearchMessage('[' + mcast_addr + ']:' + this._SSDP_PORT, st);
+                        await this._udpSend(buf6, this._SSDP_PORT, mcast_addr + '%' + netif.scope);
+                    }
+                    await this.wait(100);
+                }
+            }
+        }
+    }
+
+    async _startUnicastMsearch() {
+        for (const target of this._target_list) {
+            for (let i = 0; i < 3; i++) {
+                for (const st of this._params['st']) {
+                    const buf = this._createMsearchMessage(target.host, st, true);
+                    await this._udpSend(buf, target.port, target.address);
+                }
+                await this.wait(100);
+            }
+        }
+    }
+
+    _udpSend(buf, port, addr) {
+        const udp = this._getSearchSocket(mNet.isIPv6(addr.replace(/%.+$/, '')) ? 'udp6' : 'udp4');
+        return new Promise((resolve, reject) => {
+            udp.send(buf, 0, buf.length, port, addr, (error) => {
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve();
+                }
+            });
+        });
+    }
+
+    async _receivePacket(buffer, rinfo) {
+        const text = buffer.toString('utf8');
+        if (this._capture) {
+            this._writeCapture({
+                time: Date.now(),
+                type: 'ssdp',
+                address: rinfo.address,
+                port: rinfo.port,
+                interface: this._findNetifFor(rinfo.address),
+                text: text
+            });
+        }
+        // Malformed messages are ignored. However, an invalid optional
+        // header (e.g., a CACHE-CONTROL without the max-age) is tolerated,
+        // then the default max-age (1800) is applied.
+        let msg = null;
+        try {
+            msg = mUpnpUtilsSsdp.parse(buffer, { lenient: true });
+        } catch (error) {
+            return;
+        }
+        if (msg.type === 'search' || (msg.type === 'response' && msg.statusCode !== 200)) {
+            return;
+        }
+
+        const headers = Object.assign({ '$': msg.startLine }, msg.headers);
+        const max_age = (msg.maxAge === null) ? 1800 : msg.maxAge;
+        const usn = msg.usn;
+        const now = Date.now();
+        const expire = now + (max_age * 1000);
+
+        if (msg.type === 'response') {
+            await this._addDevice(usn, msg.st, headers, rinfo, expire);
+        } else if (msg.nts === 'ssdp:alive') {
+            if (this._params['st'].includes(msg.nt)) {
+                await this._addDevice(usn, msg.nt, headers, rinfo, expire);
+            }
+        } else if (msg.nts === 'ssdp:update') {
+            const device = this._devices[this._getUdn(usn)];
+            if (device) {
+                await this._updateDevice(device, headers, rinfo);
+            }
+        } else if (msg.nts === 'ssdp:byebye') {
+            this._removeUsn(usn);
+        }
+    }
+
+    // Returns the UDN part of the USN (e.g., "uuid:abc" for
+    // "uuid:abc::upnp:rootdevice").
+    _getUdn(usn) {
+        return usn.split('::')[0];
+    }
+
+    // The responses and the notifications are grouped by the UDN, so that
+    // a device which matches several STs is listed only once.
+    async _addDevice(usn, st, headers, rinfo, expire) {
+        const udn = this._getUdn(usn);
+        this._seen[udn] = { time: Date.now(), missed: 0 };
+        const device = this._devices[udn];
+        if (device) {
+            const entry = device['usnList'].find((e) => e.usn === usn);
+            if (entry) {
+                entry['expire'] = expire;
+            } else {
+                device['usnList'].push({ usn: usn, st: st, expire: expire });
+            }
+            if (expire > device['expire']) {
+                device['expire'] = expire;
+            }
+            await this._updateDevice(device, headers, rinfo);
+            return;
+        }
+
+        const new_device = {
+            address: rinfo.address,
+            interface: this._findNetifFor(rinfo.address),
+            udn: udn,
+            usnList: [{ usn: usn, st: st, expire: expire }],
+            headers: headers,
+            expire: expire,
+            verified: true,
+            descriptionError: null
+        };
+        this._devices[udn] = new_device;
+
+        await this._fetchDescription(new_device);
+        if (this._devices[udn] === new_device) {
+            this._log('debug', 'Device added: ' + udn);
+            this.emit('added', JSON.parse(JSON.stringify(new_device)));
+        }
+    }
+
+    // Fetches the description of the device from the LOCATION. If failed,
+    // the error is set to the `descriptionError` of the device and reported
+    // by the `error` event.
+    async _fetchDescription(device, force = false) {
+        const loc = device['headers']['LOCATION'];
+        if (!this._isLocationHost(loc, device['address'])) {
+            return;
+        }
+        try {
+            if (force) {
+                mUpnpUtilsDd.clearCache(loc);
+            }
+            const { dheaders, xml, obj, error } = this._replay ? await this._getReplayDescription(loc) : await mUpnpUtilsDd.fetch(loc, Object.assign({ zone: this._getZone(device['address']) }, this._params['fetch']));
+            this._writeCapture({ time: Date.now(), type: 'description', url: loc, headers: dheaders, body: xml });
+            device['dheaders'] = dheaders;
+            device['description'] = obj;
+            device['descriptionXML'] = xml;
+            device['model'] = mUpnpUtilsModel.create(obj, loc);
+            device['descriptionError'] = error ? error.toJSON() : null;
+            if (error) {
+                this._emitError(error);
+            }
+        } catch (error) {
+            const err = (error instanceof mUpnpUtilsErrors.UPnPUtilsError) ? error : new mUpnpUtilsErrors.DescriptionFetchError(error.message, { url: loc, cause: error });
+            this._writeCapture({ time: Date.now(), type: 'description', url: loc, error: err.toJSON() });
+            device['descriptionError'] = err.toJSON();
+            this._emitError(err);
+        }
+    }
+
+    // Checks if the device was rebooted, moved or reconfigured, comparing the
+    // BOOTID.UPNP.ORG, CONFIGID.UPNP.ORG and LOCATION headers and the source
+    // address with the known values. For the ssdp:update notification, the
+    // NEXTBOOTID.UPNP.ORG header is the new BOOTID. If anything is changed,
+    // the description is fetched again and the `updated` event is emitted.
+    //
+    // A dual-stack device answers over both IPv4 and IPv6, so the address
+    // and the LOCATION are compared with the last ones of the same family.
+    // The first packet from another family is not a change.
+    async _updateDevice(device, headers, rinfo) {
+        const udn = device['udn'];
+        if (!this._families[udn]) {
+            this._families[udn] = {};
+            this._families[udn][this._getAddressFamily(device['address'])] = {
+                'address': device['address'],
+                'LOCATION': device['headers']['LOCATION']
+            };
+        }
+        const family = this._getAddressFamily(rinfo.address);
+        const last = this._families[udn][family] || {
+            'address': rinfo.address,
+            'LOCATION': headers['LOCATION']
+        };
 
-        for (const netif_address of this._netif_address_list) {
-            this._udp.setMulticastInterface(netif_address);
-            await this.wait(200);
-            for (let i = 0; i < 3; i++) {
-                await this._udpSend(buf, this._SSDP_PORT, this._MULTICAST_ADDR);
-                await this.wait(100);
-            }
+        const current = {
+            'address': last['address'],
+            'LOCATION': last['LOCATION'],
+            'BOOTID.UPNP.ORG': device['headers']['BOOTID.UPNP.ORG'],
+            'CONFIGID.UPNP.ORG': device['headers']['CONFIGID.UPNP.ORG']
+        };
+        const latest = {
+            'address': rinfo.address,
+            'LOCATION': headers['LOCATION'],
+            'BOOTID.UPNP.ORG': headers['BOOTID.UPNP.ORG'],
+            'CONFIGID.UPNP.ORG': headers['CONFIGID.UPNP.ORG']
+        };
+        if (headers['NTS'] === 'ssdp:update') {
+            latest['BOOTID.UPNP.ORG'] = headers['NEXTBOOTID.UPNP.ORG'];
         }
-    }
 
-    _udpSend(buf, port, addr) {
-        return new Promise((resolve, reject) => {
-            this._udp.send(buf, 0, buf.length, port, addr, (error) => {
-                if (error) {
-                    reject(error);
-                } else {
-                    resolve();
-                }
-            });
-        });
-    }
+        const diff = {};
+        for (const k of Object.keys(latest)) {
+            if (latest[k] !== undefined && latest[k] !== current[k]) {
+                diff[k] = { oldValue: current[k], newValue: latest[k] };
+            }
+        }
+        const changed = (Object.keys(diff).length > 0);
+        this._families[udn][family] = {
+            'address': latest['address'],
+            'LOCATION': (latest['LOCATION'] === undefined) ? last['LOCATION'] : latest['LOCATION']
+        };
 
-    async _receivePacket(buffer, rinfo) {
-        const text = buffer.toString('utf8');
-        if (text.match(/^M\-SEARCH/)) {
+        // A device restored by the importState() is confirmed.
+        if (device['verified'] === false) {
+            device['verified'] = true;
+            diff['verified'] = { oldValue: false, newValue: true };
+        }
+        if (Object.keys(diff).length === 0) {
             return;
         }
 
-        const headers = this._parseSdpResponseHeader(text);
-        if (!headers || !headers['USN']) {
-            return;
+        if (diff['address']) {
+            device['address'] = latest['address'];
+            device['interface'] = this._findNetifFor(latest['address']);
+        }
+        for (const k of ['LOCATION', 'BOOTID.UPNP.ORG', 'CONFIGID.UPNP.ORG']) {
+            if (diff[k]) {
+                device['headers'][k] = latest[k];
+            }
         }
 
-        let max_age = 1800;
-        let m = null;
-        if (headers['CACHE-CONTROL']) {
-            m = headers['CACHE-CONTROL'].match(/max\-age\=(\d+)/);
+        if (changed || !device['description']) {
+            const old_model = device['model'];
+            await this._fetchDescription(device, changed);
+            Object.assign(diff, this._diffModel(old_model, device['model']));
         }
-        if (m) {
-            max_age = parseInt(m[1], 10);
+
+        if (this._devices[device['udn']] === device) {
+            this._log('debug', 'Device updated: ' + device['udn']);
+            this.emit('updated', JSON.parse(JSON.stringify(device)), diff);
         }
+    }
 
-        const loc = headers['LOCATION'];
-        const usn = headers['USN'];
-        const nts = headers['NTS'];
-        const nt = headers['NT'];
-        const now = Date.now();
-        const expire = now + (max_age * 1000);
+    // Returns "IPv6" or "IPv4" for the address (a zone index is allowed).
+    _getAddressFamily(address) {
+        return (mNet.isIP(String(address).replace(/%.*$/, '')) === 6) ? 'IPv6' : 'IPv4';
+    }
 
-        if (headers['$'].match(/^HTTP\/[\d\.]+\s+200\s+OK/)) {
-            if (!this._devices[usn]) {
-                this._devices[usn] = {
-                    address: rinfo.address,
-                    headers: headers,
-                    expire: expire
-                };
-
-                const ourl = new URL(loc);
-                if (ourl.hostname === rinfo.address) {
-                    try {
-                        const { dheaders, xml, obj } = await mUpnpUtilsDd.fetch(loc);
-                        this._devices[usn]['dheaders'] = dheaders;
-                        this._devices[usn]['description'] = obj;
-                        this._devices[usn]['descriptionXML'] = xml;
-                    } catch (error) {
-                        //const msg = 'HTTP_ERROR: url=' + loc + ', message=' + error.message;
-                        //this.emit('error', new Error(msg));
-                    }
-                }
-                this.emit('added', JSON.parse(JSON.stringify(this._devices[usn])));
-            }
-        } else if (headers['$'].match(/^NOTIFY/)) {
-            if (!nt) {
-                return;
+    // Compares the properties of the root devices and the service types in
+    // the models. The keys of the result are prefixed with "model.".
+    _diffModel(old_model, new_model) {
+        const diff = {};
+        if (!old_model || !new_model) {
+            return diff;
+        }
+        const keys = Object.keys(new_model).filter((k) => typeof (new_model[k]) === 'string');
+        for (const k of keys) {
+            if (old_model[k] !== new_model[k]) {
+                diff['model.' + k] = { oldValue: old_model[k], newValue: new_model[k] };
             }
-            if (nts === 'ssdp:alive' && nt === this._params['st']) {
-                if (this._devices[usn]) {
-                    this._devices[usn]['expire'] = expire;
-                } else {
-                    this._devices[usn] = {
-                        address: rinfo.address,
-                        headers: headers,
-                        expire: expire
-                    };
-                    try {
-                        const { dheaders, xml, obj } = await mUpnpUtilsDd.fetch(loc);
-                        this._devices[usn]['dheaders'] = dheaders;
-                        this._devices[usn]['description'] = obj;
-                        this._devices[usn]['descriptionXML'] = xml;
-                    } catch (error) {
-                        //const msg = 'HTTP_ERROR: url=' + loc + ', message=' + error.message;
-                        //this.emit('error', new Error(msg));
-                    }
-                    this.emit('added', JSON.parse(JSON.stringify(this._devices[usn])));
-                }
-            } else if (nts === 'ssdp:byebye') {
-                if (this._devices[usn]) {
-                    this.emit('deleted', JSON.parse(JSON.stringify(this._devices[usn])));
-                    delete this._devices[usn];
+        }
+        const getServiceTypes = (model) => {
+            const list = [];
+            for (const dev of mUpnpUtilsModel.getAllDevices(model)) {
+                for (const service of dev['services']) {
+                    list.push(service['serviceType']);
                 }
             }
+            return list.sort();
+        };
+        const old_types = getServiceTypes(old_model);
+        const new_types = getServiceTypes(new_model);
+        if (old_types.join(',') !== new_types.join(',')) {
+            diff['model.services'] = { oldValue: old_types, newValue: new_types };
         }
+        return diff;
     }
 
-    _parseSdpResponseHeader(text) {
-        const lines = text.split('\r\n');
-        const first = lines.shift();
-        if (!first.match(/^(NOTIFY|HTTP)/)) {
-            return null;
+    // Removes the USN from the device. If no USN remains, the device is
+    // deleted.
+    _removeUsn(usn) {
+        const udn = this._getUdn(usn);
+        const device = this._devices[udn];
+        if (!device) {
+            return;
         }
-        const h = {};
-        h['$'] = first;
-        lines.forEach((ln) => {
-            const m = ln.match(/^([^\:\s\t]+)[\s\t]*\:[\s\t]*(.+)/);
-            if (m) {
-                const k = m[1].toUpperCase();
-                h[k] = m[2];
-            }
-        });
-        return h;
+        const usn_list = device['usnList'].filter((e) => e.usn !== usn);
+        if (usn_list.length === 0) {
+            this.emit('deleted', JSON.parse(JSON.stringify(device)));
+            delete this._devices[udn];
+            delete this._seen[udn];
+            delete this._families[udn];
+        } else {
+            device['usnList'] = usn_list;
+        }
+    }
+
+    // Check if the host of the LOCATION URL is the same as the source address
+    // of the packet. A bracketed IPv6 address and a zone ID are also handled
+    // (e.g., "http://[fe80::1%25eth0]:8080/desc.xml" and "fe80::1%eth0").
+    _isLocationHost(loc, address) {
+        const m = String(loc).match(/^https?\:\/\/(?:\[([^\]]+)\]|([^\/\:]+))/);
+        if (!m) {
+            return false;
+        }
+        const host = (m[1] || m[2]).replace(/%.*$/, '').toLowerCase();
+        const addr = address.replace(/%.*$/, '').toLowerCase();
+        if (host === addr) {
+            return true;
+        }
+        if (mNet.isIPv6(host) && mNet.isIPv6(addr)) {
+            return this._expandIPv6(host) === this._expandIPv6(addr);
+        }
+        return false;
+    }
+
+    _expandIPv6(addr) {
+        const [head, tail] = addr.split('::');
+        const h = head ? head.split(':') : [];
+        const t = (tail !== undefined && tail !== '') ? tail.split(':') : [];
+        const fill = (tail !== undefined) ? new Array(8 - h.length - t.length).fill('0') : [];
+        return h.concat(fill, t).map((g) => parseInt(g, 16).toString(16)).join(':');
+    }
+
+    // Returns the zone ID of the scoped IPv6 address (e.g., "eth0" for
+    // "fe80::1%eth0"). If the address is not scoped, returns an empty string.
+    _getZone(address) {
+        const m = String(address).match(/%(.+)$/);
+        return m ? m[1] : '';
     }
 
     _startExpirationCheck() {
         const now = Date.now();
         for (const id of Object.keys(this._devices)) {
             const device = this._devices[id];
-            if (device['expire'] < now) {
+            const usn_list = device['usnList'].filter((e) => e.expire >= now);
+            if (usn_list.length === 0) {
                 const dev = JSON.parse(JSON.stringify(device));
                 delete this._devices[id];
+                delete this._seen[id];
+                delete this._families[id];
                 this.emit('deleted', dev);
+            } else {
+                device['usnList'] = usn_list;
             }
         }
         this._expiration_check_timer = setTimeout(() => {
@@ -478,31 +2133,615 @@ class UPnPUtils extends mEventEmitter {
         } catch (error) {
             // Do nothing
         }
+        if (this._is_discovering === true && this._cache_file) {
+            await this._saveCacheFile();
+        }
         this._is_discovering = false;
         callback();
     }
 
-    _stopListening() {
+    async _stopListening() {
+        this._dropMembership();
+        this._dropMembership6();
+        this._stopExpirationCheck();
+        this._stopSearchTimer();
+        for (const timer of this._missed_check_timers) {
+            clearTimeout(timer);
+        }
+        this._missed_check_timers = [];
+
+        await this._closeSocket(this._udp);
+        this._udp = null;
+        await this._closeSocket(this._udp6);
+        this._udp6 = null;
+        await this._closeSocket(this._search_udp);
+        this._search_udp = null;
+        await this._closeSocket(this._search_udp6);
+        this._search_udp6 = null;
+        await this._closeCaptureFile();
+    }
+
+    _closeSocket(udp) {
         return new Promise((resolve) => {
-            this._dropMembership();
-            this._stopExpirationCheck();
-
-            if (this._udp) {
-                this._udp.removeAllListeners('message');
-                this._udp.removeAllListeners('error');
-                this._udp.removeAllListeners('listening');
-                this._udp.close(() => {
-                    this._udp.unref();
-                    this._udp = null;
+            if (udp) {
+                udp.removeAllListeners('message');
+                udp.removeAllListeners('error');
+                udp.removeAllListeners('listening');
+                udp.close(() => {
+                    udp.unref();
                     resolve();
                 });
             } else {
                 resolve();
             }
+        });
+    }
+
+    /* -----------------------------------------------------------------------------
+    * createAdvertiser(params)
+    *
+    * This method creates an `UPnPUtilsAdvertiser` object which advertises your
+    * own UPnP root devices and services using SSDP. The advertiser sends
+    * `ssdp:alive` messages periodically, responds to M-SEARCH requests, and
+    * sends `ssdp:byebye` messages when it is stopped.
+    *
+    * [Arguments]
+    * - params     | Object  | Optional |
+    *   - server   | String  | Optional | SERVER header value.
+    *   - configId | Integer | Optional | CONFIGID.UPNP.ORG header value.
+    *              |         |          | The default value is 1.
+    *   - interfaces, excludeInterfaces, cidr, loopback, addresses
+    *              |         |          | Selection of the network interfaces.
+    *              |         |          | See the startDiscovery() for details.
+    *
+    * The multicast address, the SSDP port number, the bind address and the
+    * socket factory specified to the constructor of this instance are applied
+    * to the advertiser as well.
+    *
+    * [Return value]
+    * - UPnPUtilsAdvertiser object
+    * -------------------------------------------------------------------------- */
+    createAdvertiser(params = {}) {
+        if (!params || typeof (params) !== 'object') {
+            throw new Error('The 1st argument must be an object.');
+        }
+        const netif_address_list = this._getNetifList(this._checkNetifParams(params)).filter((netif) => {
+            return netif.family === 'IPv4';
+        }).map((netif) => {
+            return netif.address;
+        });
+        const opts = {
+            multicastAddress: this._MULTICAST_ADDR,
+            ssdpPort: this._SSDP_PORT,
+            bindAddress: this._BIND_ADDR,
+            createSocket: this._createUdpSocket
+        };
+        for (const k of ['server', 'configId']) {
+            if (k in params) {
+                opts[k] = params[k];
+            }
+        }
+        return new UPnPUtilsAdvertiser(opts, netif_address_list);
+    }
+
+    /* -----------------------------------------------------------------------------
+    * getService(device, serviceType, params)
+    *
+    * This method fetches the SCPD (Service Control Protocol Description) of the
+    * specified service of the device, then returns an `UPnPUtilsService` object
+    * which has one async method per action defined in the SCPD.
+    *
+    * The service is searched in the root device and all embedded devices.
+    * If the service type having the same version is not found, a service having
+    * a higher version of the same type is selected.
+    *
+    * [Arguments]
+    * - device      | Object  | Required | Device object passed to the `added` event
+    *               |         |          | or returned by the `getActiveDeviceList()`.
+    * - serviceType | String  | Required | Service type
+    *               |         |          | (e.g., "urn:schemas-upnp-org:service:AVTransport:1")
+    * - params      | Object  | Optional |
+    *   - timeout   | Integer | Optional | Timeout of each action in msec.
+    *               |         |          | The default value is 5000.
+    *
+    * [Return value]
+    * - Promise object
+    * - In an `await` syntax, this method returns an `UPnPUtilsService` object.
+    * -------------------------------------------------------------------------- */
+    async getService(device, serviceType, params = {}) {
+        if (!mXml2js) {
+            throw new Error('The xml2js module is required to use this method.');
+        }
+        if (!device || typeof (device) !== 'object' || !device['headers']) {
+            throw new Error('The 1st argument must be a device object.');
+        }
+        if (typeof (serviceType) !== 'string' || serviceType === '') {
+            throw new Error('The 2nd argument must be a service type string.');
+        }
+        if (!params || typeof (params) !== 'object') {
+            throw new Error('The 3rd argument must be an object.');
+        }
+
+        const service = mUpnpUtilsModel.findService(this._getDeviceModel(device), serviceType);
+        if (!service) {
+            throw new Error('The service "' + serviceType + '" is not found in the device.');
+        }
+
+        const scpd_url = service['SCPDURL'];
+        const { obj, error } = await mUpnpUtilsDd.fetch(scpd_url, { zone: this._getZone(device['address']) });
+        if (error) {
+            throw error;
+        }
+        if (!obj) {
+            throw new Error('Failed to parse the SCPD: ' + scpd_url);
+        }
+
+        return new UPnPUtilsService({
+            serviceType: service['serviceType'],
+            serviceId: service['serviceId'],
+            controlURL: service['controlURL'],
+            eventSubURL: service['eventSubURL'],
+            SCPDURL: scpd_url,
+            scpd: obj,
+            timeout: params['timeout'],
+            zone: this._getZone(device['address']),
+            rejectUnauthorized: this._params['fetch'] ? this._params['fetch']['rejectUnauthorized'] : true
+        });
+    }
+
+    /* -----------------------------------------------------------------------------
+    * createIgdClient(device, params)
+    *
+    * This method searches the WANIPConnection or the WANPPPConnection service
+    * in the root device and all embedded devices of the IGD (Internet Gateway
+    * Device), then returns an `UPnPUtilsIgd` object. The services are searched
+    * in the order of the WANIPConnection:2, the WANIPConnection:1 and the
+    * WANPPPConnection:1.
+    *
+    * [Arguments]
+    * - device        | Object  | Required | Device object passed to the `added` event
+    *                 |         |          | or returned by the `getActiveDeviceList()`.
+    * - params        | Object  | Optional |
+    *   - serviceType | String  | Optional | Service type to be used. If specified,
+    *                 |         |          | the service is not searched.
+    *   - timeout     | Integer | Optional | Timeout of each action in msec.
+    *                 |         |          | The default value is 5000.
+    *
+    * [Return value]
+    * - Promise object
+    * - In an `await` syntax, this method returns an `UPnPUtilsIgd` object.
+    * -------------------------------------------------------------------------- */
+    async createIgdClient(device, params = {}) {
+        if (!device || typeof (device) !== 'object' || !device['headers']) {
+            throw new Error('The 1st argument must be a device object.');
+        }
+        if (!params || typeof (params) !== 'object') {
+            throw new Error('The 2nd argument must be an object.');
+        }
+        if ('serviceType' in params && (typeof (params['serviceType']) !== 'string' || params['serviceType'] === '')) {
+            throw new Error('The value of "serviceType" is invalid. It must be a non-empty string.');
+        }
+
+        const model = this._getDeviceModel(device);
+        const service_types = params['serviceType'] ? [params['serviceType']] : [
+            'urn:schemas-upnp-org:service:WANIPConnection:2',
+            'urn:schemas-upnp-org:service:WANIPConnection:1',
+            'urn:schemas-upnp-org:service:WANPPPConnection:1'
+        ];
+        const service_type = service_types.find((st) => {
+            return mUpnpUtilsModel.findService(model, st);
+        });
+        if (!service_type) {
+            throw new Error('No WANIPConnection or WANPPPConnection service is found in the device.');
+        }
+
+        const service = await this.getService(device, service_type, { timeout: params['timeout'] });
+        return new UPnPUtilsIgd({
+            service: service,
+            internalClient: device['interface'] ? device['interface']['address'] : ''
+        });
+    }
+
+    /* -----------------------------------------------------------------------------
+    * createRendererClient(device, params)
+    *
+    * This method searches the AVTransport and the RenderingControl services in
+    * the root device and all embedded devices of the MediaRenderer, then returns
+    * an `UPnPUtilsRenderer` object. The RenderingControl is optional. A higher
+    * version of the services (e.g., AVTransport:2) is used as well.
+    *
+    * [Arguments]
+    * - device       | Object  | Required | Device object passed to the `added` event
+    *                |         |          | or returned by the `getActiveDeviceList()`.
+    * - params       | Object  | Optional |
+    *   - instanceId | Integer | Optional | InstanceID passed to all actions.
+    *                |         |          | The default value is 0.
+    *   - timeout    | Integer | Optional | Timeout of each action in msec.
+    *                |         |          | The default value is 5000.
+    *
+    * [Return value]
+    * - Promise object
+    * - In an `await` syntax, this method returns an `UPnPUtilsRenderer` object.
+    * -------------------------------------------------------------------------- */
+    async createRendererClient(device, params = {}) {
+        if (!device || typeof (device) !== 'object' || !device['headers']) {
+            throw new Error('The 1st argument must be a device object.');
+        }
+        if (!params || typeof (params) !== 'object') {
+            throw new Error('The 2nd argument must be an object.');
+        }
+        const instance_id = ('instanceId' in params) ? params['instanceId'] : 0;
+        if (typeof (instance_id) !== 'number' || instance_id % 1 !== 0 || instance_id < 0 || instance_id > 4294967295) {
+            throw new Error('The value of "instanceId" is invalid. It must be an integer between 0 and 4294967295.');
+        }
+
+        // A service of the version 1 or higher is used (e.g., AVTransport:3).
+        const model = this._getDeviceModel(device);
+        const avt_desc = mUpnpUtilsModel.findService(model, 'urn:schemas-upnp-org:service:AVTransport:1');
+        const rcs_desc = mUpnpUtilsModel.findService(model, 'urn:schemas-upnp-org:service:RenderingControl:1');
+        if (!avt_desc) {
+            throw new Error('No AVTransport service is found in the device.');
+        }
+
+        const service_params = { timeout: params['timeout'] };
+        const avt = await this.getService(device, avt_desc['serviceType'], service_params);
+        const rcs = rcs_desc ? await this.getService(device, rcs_desc['serviceType'], service_params) : null;
+        return new UPnPUtilsRenderer({
+            avTransport: avt,
+            renderingControl: rcs,
+            instanceId: instance_id
+        });
+    }
+
+    /* -----------------------------------------------------------------------------
+    * createContentDirectoryClient(device, params)
+    *
+    * This method searches the ContentDirectory service in the root device and
+    * all embedded devices of the MediaServer, then returns an
+    * `UPnPUtilsContentDirectory` object.
+    *
+    * [Arguments]
+    * - device    | Object  | Required | Device object passed to the `added` event
+    *             |         |          | or returned by the `getActiveDeviceList()`.
+    * - params    | Object  | Optional |
+    *   - timeout | Integer | Optional | Timeout of each action in msec.
+    *             |         |          | The default value is 5000.
+    *
+    * [Return value]
+    * - Promise object
+    * - In an `await` syntax, this method returns an `UPnPUtilsContentDirectory`
+    *   object.
+    * -------------------------------------------------------------------------- */
+    async createContentDirectoryClient(device, params = {}) {
+        if (!device || typeof (device) !== 'object' || !device['headers']) {
+            throw new Error('The 1st argument must be a device object.');
+        }
+        if (!params || typeof (params) !== 'object') {
+            throw new Error('The 2nd argument must be an object.');
+        }
+
+        const cds_type = 'urn:schemas-upnp-org:service:ContentDirectory:1';
+        const model = this._getDeviceModel(device);
+        if (!mUpnpUtilsModel.findService(model, cds_type)) {
+            throw new Error('No ContentDirectory service is found in the device.');
+        }
+        const service = await this.getService(device, cds_type, { timeout: params['timeout'] });
+        return new UPnPUtilsContentDirectory({ service: service, baseUrl: model['URLBase'] });
+    }
+
+    /* -----------------------------------------------------------------------------
+    * createDialClient(device, params)
+    *
+    * This method creates an `UPnPUtilsDial` object, which is a client of the
+    * DIAL server of the device. The `Application-URL` header in the response
+    * of the device description is used as the base URL of the applications.
+    *
+    * [Arguments]
+    * - device         | Object  | Required | Device object passed to the `added` event
+    *                  |         |          | or returned by the `getActiveDeviceList()`.
+    * - params         | Object  | Optional |
+    *   - friendlyName | String  | Optional | Name of this client sent to the server
+    *                  |         |          | when launching apps (DIAL 2.1)
+    *   - timeout      | Integer | Optional | Timeout of each request in msec.
+    *                  |         |          | The default value is 5000.
+    *
+    * [Return value]
+    * - UPnPUtilsDial object
+    * -------------------------------------------------------------------------- */
+    createDialClient(device, params = {}) {
+        if (!device || typeof (device) !== 'object' || !device['headers']) {
+            throw new Error('The 1st argument must be a device object.');
+        }
+        if (!params || typeof (params) !== 'object') {
+            throw new Error('The 2nd argument must be an object.');
+        }
+        const friendly_name = ('friendlyName' in params) ? params['friendlyName'] : '';
+        if (typeof (friendly_name) !== 'string') {
+            throw new Error('The value of "friendlyName" is invalid. It must be a string.');
+        }
+        const timeout = ('timeout' in params) ? params['timeout'] : 5000;
+        if (typeof (timeout) !== 'number' || timeout % 1 !== 0 || timeout <= 0) {
+            throw new Error('The value of "timeout" is invalid. It must be a positive integer.');
+        }
+
+        const application_url = device['dheaders'] ? device['dheaders']['application-url'] : '';
+        if (!application_url) {
+            throw new Error('The device does not have the Application-URL. It is not a DIAL server or its description has not been fetched.');
+        }
+        return new UPnPUtilsDial({
+            applicationUrl: application_url,
+            wakeup: device['headers']['WAKEUP'] || '',
+            friendlyName: friendly_name,
+            timeout: timeout,
+            createSocket: this._createUdpSocket
+        });
+    }
+
+    /* -----------------------------------------------------------------------------
+    * getIcon(device, params)
+    *
+    * This method selects the best icon of the device, then fetches the image.
+    * The icons of the root device are used. If the root device has no icon,
+    * the icons of the embedded devices are used. Among the icons matching the
+    * conditions, the largest one is selected (the higher color depth if the
+    * size is the same). The fetched image is cached in the same way as the
+    * device description.
+    *
+    * [Arguments]
+    * - device     | Object  | Required | Device object passed to the `added` event
+    *              |         |          | or returned by the `getActiveDeviceList()`.
+    * - params     | Object  | Optional |
+    *   - mimetype | Mixed   | Optional | MIME type (e.g., "image/png") or an Array
+    *              |         |          | of MIME types. If not specified, any type
+    *              |         |          | is accepted.
+    *   - minSize  | Integer | Optional | Minimum size in pixels. The size of an
+    *              |         |          | icon is the larger of its width and
+    *              |         |          | height. The default value is 0.
+    *   - maxSize  | Integer | Optional | Maximum size in pixels. If not
+    *              |         |          | specified, no limit is applied.
+    *   - timeout  | Integer | Optional | Timeout of the request in msec.
+    *              |         |          | The default value is 5000.
+    *   - maxBytes | Integer | Optional | Max size of the image in bytes.
+    *              |         |          | The default value is 1048576.
+    *
+    * [Return value]
+    * - Promise object
+    * - In an `await` syntax, this method returns an object as follows:
+    *   - url      | String  | URL of the icon
+    *   - mimetype | String  | MIME type (e.g., "image/png")
+    *   - width    | Integer | Width in the device description
+    *   - height   | Integer | Height in the device description
+    *   - depth    | Integer | Color depth in the device description
+    *   - buffer   | Buffer  | Image data
+    *   - dataUri  | String  | Data URI of the image
+    *              |         | (e.g., "data:image/png;base64,...")
+    *   If no icon matches the conditions, this method returns null.
+    * -------------------------------------------------------------------------- */
+    async getIcon(device, params = {}) {
+        if (!device || typeof (device) !== 'object' || !device['headers']) {
+            throw new Error('The 1st argument must be a device object.');
+        }
+        const p = this._checkIconParams(params);
+        const icon = this._selectIcon(this._getDeviceModel(device), p);
+        if (!icon) {
+            return null;
+        }
+
+        // The fetch options of the discovery (e.g., cacheTtl) are used except
+        // the timeout and the size limit.
+        const res = await mUpnpUtilsDd.fetchIcon(icon['url'], Object.assign({}, this._params['fetch'], {
+            zone: this._getZone(device['address']),
+            timeout: p.timeout,
+            maxSize: p.maxBytes
+        }));
+        // The MIME type in the description is used if the server does not
+        // return a proper Content-Type.
+        const mimetype = res.mimetype || icon['mimetype'].toLowerCase();
+        return {
+            url: icon['url'],
+            mimetype: mimetype,
+            width: icon['width'],
+            height: icon['height'],
+            depth: icon['depth'],
+            buffer: res.buffer,
+            dataUri: 'data:' + mimetype + ';base64,' + res.buffer.toString('base64')
+        };
+    }
+
+    _checkIconParams(params) {
+        if (!params || typeof (params) !== 'object') {
+            throw new Error('The 2nd argument must be an object.');
+        }
+        const p = {
+            mimetype: ('mimetype' in params) ? params['mimetype'] : [],
+            minSize: ('minSize' in params) ? params['minSize'] : 0,
+            maxSize: ('maxSize' in params) ? params['maxSize'] : Infinity,
+            timeout: ('timeout' in params) ? params['timeout'] : 5000,
+            maxBytes: ('maxBytes' in params) ? params['maxBytes'] : 1048576
+        };
+        if (typeof (p.mimetype) === 'string') {
+            p.mimetype = [p.mimetype];
+        }
+        if (!Array.isArray(p.mimetype) || p.mimetype.some((v) => typeof (v) !== 'string' || v === '')) {
+            throw new Error('The value of "mimetype" is invalid. It must be a string or an Array of strings.');
+        }
+        p.mimetype = p.mimetype.map((v) => v.toLowerCase());
+        if (typeof (p.minSize) !== 'number' || p.minSize % 1 !== 0 || p.minSize < 0) {
+            throw new Error('The value of "minSize" is invalid. It must be an integer greater than or equal to 0.');
+        }
+        if (p.maxSize !== Infinity && (typeof (p.maxSize) !== 'number' || p.maxSize % 1 !== 0 || p.maxSize < p.minSize)) {
+            throw new Error('The value of "maxSize" is invalid. It must be an integer greater than or equal to the "minSize".');
+        }
+        if (typeof (p.timeout) !== 'number' || p.timeout % 1 !== 0 || p.timeout < 1 || p.timeout > 600000) {
+            throw new Error('The value of "timeout" is invalid. It must be an integer between 1 and 600000.');
+        }
+        if (typeof (p.maxBytes) !== 'number' || p.maxBytes % 1 !== 0 || p.maxBytes < 1 || p.maxBytes > 1073741824) {
+            throw new Error('The value of "maxBytes" is invalid. It must be an integer between 1 and 1073741824.');
+        }
+        return p;
+    }
+
+    _selectIcon(model, p) {
+        let icons = model['icons'] || [];
+        if (icons.length === 0) {
+            icons = [].concat(...mUpnpUtilsModel.getAllDevices(model).map((dev) => dev['icons'] || []));
+        }
+        const candidates = icons.filter((icon) => {
+            if (!icon['url']) {
+                return false;
+            }
+            if (p.mimetype.length > 0 && !p.mimetype.includes(icon['mimetype'].toLowerCase())) {
+                return false;
+            }
+            const size = Math.max(icon['width'], icon['height']);
+            return size >= p.minSize && size <= p.maxSize;
+        });
+        candidates.sort((a, b) => {
+            return (Math.max(b['width'], b['height']) - Math.max(a['width'], a['height'])) || (b['depth'] - a['depth']);
+        });
+        return candidates[0] || null;
+    }
+
+    /* -----------------------------------------------------------------------------
+    * subscribe(device, serviceType, params)
+    *
+    * This method subscribes to the events of the specified service of the device
+    * using GENA. A local HTTP server is started to receive the event messages
+    * (NOTIFY requests). The subscription is renewed automatically before it
+    * expires.
+    *
+    * [Arguments]
+    * - device      | Object  | Required | Device object passed to the `added` event
+    *               |         |          | or returned by the `getActiveDeviceList()`.
+    * - serviceType | String  | Required | Service type
+    *               |         |          | (e.g., "urn:schemas-upnp-org:service:AVTransport:1")
+    * - params      | Object  | Optional |
+    *   - timeout   | Integer | Optional | Requested subscription duration in seconds.
+    *               |         |          | The value must be in the range of 60 to 86400.
+    *               |         |          | The default value is 1800.
+    *   - address   | String  | Optional | Local IP address used in the CALLBACK URL.
+    *               |         |          | If not specified, the address in the same
+    *               |         |          | subnet as the device is selected.
+    *   - port      | Integer | Optional | Port number of the callback server. The default
+    *               |         |          | value is 0 (an ephemeral port is assigned).
+    *
+    * [Return value]
+    * - Promise object
+    * - In an `await` syntax, this method returns an `UPnPUtilsSubscription` object.
+    * -------------------------------------------------------------------------- */
+    async subscribe(device, serviceType, params = {}) {
+        if (!mXml2js) {
+            throw new Error('The xml2js module is required to use this method.');
+        }
+        if (!device || typeof (device) !== 'object' || !device['headers']) {
+            throw new Error('The 1st argument must be a device object.');
+        }
+        if (typeof (serviceType) !== 'string' || serviceType === '') {
+            throw new Error('The 2nd argument must be a service type string.');
+        }
+        if (!params || typeof (params) !== 'object') {
+            throw new Error('The 3rd argument must be an object.');
+        }
+
+        const timeout = ('timeout' in params) ? params['timeout'] : 1800;
+        if (typeof (timeout) !== 'number' || timeout % 1 !== 0 || timeout < 60 || timeout > 86400) {
+            throw new Error('The value of "timeout" is invalid. It must be an integer between 60 and 86400.');
+        }
+        const address = ('address' in params) ? params['address'] : '';
+        if (typeof (address) !== 'string') {
+            throw new Error('The value of "address" is invalid. It must be a string.');
+        }
+        const port = ('port' in params) ? params['port'] : 0;
+        if (typeof (port) !== 'number' || port % 1 !== 0 || port < 0 || port > 65535) {
+            throw new Error('The value of "port" is invalid. It must be an integer between 0 and 65535.');
+        }
+
+        const service = mUpnpUtilsModel.findService(this._getDeviceModel(device), serviceType);
+        if (!service) {
+            throw new Error('The service "' + serviceType + '" is not found in the device.');
+        }
+        if (!service['eventSubURL']) {
+            throw new Error('The service "' + serviceType + '" does not support eventing.');
+        }
 
+        return this._gena.subscribe({
+            eventSubURL: service['eventSubURL'],
+            serviceType: service['serviceType'],
+            timeout: timeout,
+            address: address,
+            port: port,
+            zone: this._getZone(device['address'])
         });
     }
 
+    // Returns the normalized device model of the device object. If the device
+    // object does not have the `model` (e.g., created by an old version), it is
+    // created from the `description`.
+    _getDeviceModel(device) {
+        let model = device['model'];
+        if (!model && device['description']) {
+            model = mUpnpUtilsModel.create(device['description'], device['headers']['LOCATION']);
+        }
+        if (!model) {
+            throw new Error('The description of the device is not available.');
+        }
+        return model;
+    }
+
+    /* -----------------------------------------------------------------------------
+    * findService(device, serviceType)
+    *
+    * This method searches the service of the specified service type (or service
+    * ID) in the root device and all embedded devices of the device. If the
+    * specified version is not found, a service of a higher version of the same
+    * service type is returned.
+    *
+    * [Arguments]
+    * - device      | Object | Required | Device object passed to the `added` event
+    *               |        |          | or returned by the `getActiveDeviceList()`.
+    * - serviceType | String | Required | Service type or service ID
+    *
+    * [Return value]
+    * - An object representing the service in the `model` of the device.
+    *   If no service is found, this method returns null.
+    * -------------------------------------------------------------------------- */
+    findService(device, serviceType) {
+        if (!device || typeof (device) !== 'object' || !device['headers']) {
+            throw new Error('The 1st argument must be a device object.');
+        }
+        if (typeof (serviceType) !== 'string' || serviceType === '') {
+            throw new Error('The 2nd argument must be a service type string.');
+        }
+        return mUpnpUtilsModel.findService(this._getDeviceModel(device), serviceType);
+    }
+
+    /* -----------------------------------------------------------------------------
+    * findDevice(device, deviceType)
+    *
+    * This method searches the device of the specified device type (or UDN) in
+    * the root device and all embedded devices of the device. If the specified
+    * version is not found, a device of a higher version of the same device type
+    * is returned.
+    *
+    * [Arguments]
+    * - device     | Object | Required | Device object passed to the `added` event
+    *              |        |          | or returned by the `getActiveDeviceList()`.
+    * - deviceType | String | Required | Device type or UDN
+    *
+    * [Return value]
+    * - An object representing the device in the `model` of the device.
+    *   If no device is found, this method returns null.
+    * -------------------------------------------------------------------------- */
+    findDevice(device, deviceType) {
+        if (!device || typeof (device) !== 'object' || !device['headers']) {
+            throw new Error('The 1st argument must be a device object.');
+        }
+        if (typeof (deviceType) !== 'string' || deviceType === '') {
+            throw new Error('The 2nd argument must be a device type string.');
+        }
+        return mUpnpUtilsModel.findDevice(this._getDeviceModel(device), deviceType);
+    }
+
     /* ------------------------------------------------------------------
     * invokeAction(params, callback)
     * !!!!! [WARNING] This method is deprecated. !!!!!
@@ -666,3 +2905,11 @@ class UPnPUtils extends mEventEmitter {
 }
 
 module.exports = new UPnPUtils();
+module.exports.UPnPUtils = UPnPUtils;
+module.exports.UPnPUtilsService = UPnPUtilsService;
+// Only the error classes are exported (not the helper functions).
+for (const [name, value] of Object.entries(mUpnpUtilsErrors)) {
+    if (value.prototype instanceof Error) {
+        module.exports[name] = value;
+    }
+}
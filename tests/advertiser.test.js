@@ -0,0 +1,139 @@
+'use strict';
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mEventEmitter = require('events');
+const UPnPUtilsAdvertiser = require('../lib/upnp-utils-advertiser.js');
+const mUpnpUtilsSsdp = require('../lib/upnp-utils-ssdp.js');
+const { SocketBindError, MulticastJoinError } = require('../lib/upnp-utils-errors.js');
+
+// A UDP socket which does not touch the network
+class FakeSocket extends mEventEmitter {
+    constructor(opts = {}) {
+        super();
+        this.opts = opts;
+        this.sent = [];
+    }
+    bind(opts, callback) {
+        setImmediate(() => {
+            if (this.opts.bindError) {
+                this.emit('error', this.opts.bindError);
+                return;
+            }
+            this.emit('listening');
+            callback();
+        });
+    }
+    addMembership(mcast_addr, netif_address) {
+        if ((this.opts.failJoin || []).includes(netif_address)) {
+            throw new Error('EADDRNOTAVAIL');
+        }
+    }
+    dropMembership() { }
+    setMulticastInterface() { }
+    send(buf, offset, length, port, addr, callback) {
+        if (this.opts.sendError) {
+            callback(this.opts.sendError);
+            return;
+        }
+        this.sent.push(buf.toString());
+        callback();
+    }
+    close(callback) {
+        if (callback) {
+            setImmediate(callback);
+        }
+        this.closed = true;
+    }
+    unref() { }
+}
+
+const createAdvertiser = (socket_opts, netif_address_list) => {
+    const sockets = [];
+    const advertiser = new UPnPUtilsAdvertiser({
+        createSocket: () => {
+            const udp = new FakeSocket(socket_opts);
+            sockets.push(udp);
+            return udp;
+        }
+    }, netif_address_list);
+    return { advertiser, sockets };
+};
+
+test('start() rejects with a SocketBindError if the socket can not be bound', async () => {
+    const { advertiser } = createAdvertiser({ bindError: new Error('EADDRINUSE') }, ['192.168.1.2']);
+    await assert.rejects(advertiser.start(), SocketBindError);
+    assert.strictEqual(advertiser._is_advertising, false);
+});
+
+test('start() rejects with a MulticastJoinError if no interface joined the group', async () => {
+    const { advertiser } = createAdvertiser({ failJoin: ['192.168.1.2'] }, ['192.168.1.2']);
+    await assert.rejects(advertiser.start(), (error) => {
+        return error instanceof MulticastJoinError && error.interfaceAddress === '192.168.1.2';
+    });
+    assert.strictEqual(advertiser._is_advertising, false);
+});
+
+test('start() rejects if no network interface is available', async () => {
+    const { advertiser, sockets } = createAdvertiser({}, []);
+    await assert.rejects(advertiser.start(), /No IPv4 network interface/);
+    assert.strictEqual(advertiser._is_advertising, false);
+    assert.strictEqual(sockets.length, 0);
+});
+
+test('start() stops the advertisement if the ssdp:alive messages could not be sent', async () => {
+    const socket_opts = { sendError: new Error('ENETUNREACH') };
+    const { advertiser, sockets } = createAdvertiser(socket_opts, ['192.168.1.2']);
+    await advertiser.addDevice({
+        udn: 'uuid:advertiser-test',
+        deviceType: 'urn:schemas-upnp-org:device:Basic:1',
+        location: 'http://192.168.1.2:8080/desc.xml'
+    });
+    await assert.rejects(advertiser.start(), /ENETUNREACH/);
+    assert.strictEqual(advertiser._is_advertising, false);
+    assert.strictEqual(sockets[0].closed, true);
+    assert.deepStrictEqual(Object.values(advertiser._notify_timers).filter((t) => t), []);
+
+    // The advertisement can be started again.
+    socket_opts.sendError = null;
+    await advertiser.start();
+    assert.ok(sockets[1].sent.length > 0);
+    await advertiser.stop();
+});
+
+test('start() emits an error for each interface which failed to join the group', async () => {
+    const { advertiser } = createAdvertiser({ failJoin: ['10.0.0.2'] }, ['192.168.1.2', '10.0.0.2']);
+    const errors = [];
+    advertiser.on('error', (error) => errors.push(error));
+    await advertiser.start();
+    assert.strictEqual(errors.length, 1);
+    assert.ok(errors[0] instanceof MulticastJoinError);
+    assert.strictEqual(errors[0].interfaceAddress, '10.0.0.2');
+    await advertiser.stop();
+});
+
+test('the NOTIFY and the M-SEARCH response are valid SSDP messages', async () => {
+    const { advertiser, sockets } = createAdvertiser({}, ['192.168.1.2']);
+    await advertiser.start();
+    await advertiser.addDevice({
+        udn: 'uuid:advertiser-test',
+        deviceType: 'urn:schemas-upnp-org:device:Basic:1',
+        location: 'http://192.168.1.2:8080/desc.xml'
+    });
+    const notify = mUpnpUtilsSsdp.parse(sockets[0].sent[0]);
+    assert.strictEqual(notify.type, 'notify');
+    assert.strictEqual(notify.nts, 'ssdp:alive');
+    assert.strictEqual(notify.maxAge, 1800);
+
+    sockets[0].sent = [];
+    advertiser._receivePacket(Buffer.from('M-SEARCH * HTTP/1.1\r\nHOST: 192.168.1.2:1900\r\nMAN: "ssdp:discover"\r\nST: upnp:rootdevice\r\n\r\n'), {
+        address: '192.168.1.100',
+        port: 50000
+    });
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    assert.strictEqual(sockets[0].sent.length, 1);
+    const res = mUpnpUtilsSsdp.parse(sockets[0].sent[0]);
+    assert.strictEqual(res.type, 'response');
+    assert.strictEqual(res.usn, 'uuid:advertiser-test::upnp:rootdevice');
+    assert.strictEqual(res.ext, true);
+    await advertiser.stop();
+});
@@ -0,0 +1,94 @@
+'use strict';
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mChildProcess = require('child_process');
+const mPath = require('path');
+const UPnPUtilsCli = require('../lib/upnp-utils-cli.js');
+
+// A writable stream which keeps the written text
+const createOutput = () => {
+    return {
+        text: '',
+        write(s) {
+            this.text += s;
+        }
+    };
+};
+
+const createCli = (upnp) => {
+    const stdout = createOutput();
+    const stderr = createOutput();
+    const cli = new UPnPUtilsCli({ stdout, stderr, upnp });
+    return { cli, stdout, stderr };
+};
+
+// A discovery object which yields the `events` from the watch()
+const createUpnp = (events) => {
+    return {
+        checkDiscoveryParams() { },
+        async *watch() {
+            yield* events;
+        }
+    };
+};
+
+const createDevice = (udn) => {
+    return {
+        address: '192.168.1.10',
+        udn: udn,
+        headers: { LOCATION: 'http://192.168.1.10/desc.xml' },
+        usnList: [{ st: 'upnp:rootdevice' }],
+        model: { friendlyName: 'Test' }
+    };
+};
+
+test('describe exits with 3 for an invalid URL', async () => {
+    const { cli, stderr } = createCli();
+    const code = await cli.run(['describe', 'http://127.0.0.1:99999/desc.xml', '--timeout', '200']);
+    assert.strictEqual(code, 3);
+    assert.match(stderr.text, /^Error: /);
+});
+
+test('the command exits with 3 for an invalid URL', () => {
+    const bin = mPath.join(__dirname, '..', 'bin', 'upnp-utils.js');
+    const res = mChildProcess.spawnSync(process.execPath, [bin, 'describe', 'http://127.0.0.1:99999/desc.xml', '--timeout', '200'], {
+        encoding: 'utf8',
+        timeout: 10000
+    });
+    assert.strictEqual(res.status, 3);
+});
+
+test('monitor prints an array of the events in the json format', async () => {
+    const { cli, stdout } = createCli(createUpnp([
+        { type: 'added', device: createDevice('uuid:a') },
+        { type: 'updated', device: createDevice('uuid:a'), diff: { LOCATION: { oldValue: 'x', newValue: 'y' } } },
+        { type: 'deleted', device: createDevice('uuid:a') }
+    ]));
+    const code = await cli.run(['monitor', '-f', 'json']);
+    assert.strictEqual(code, 0);
+    const list = JSON.parse(stdout.text);
+    assert.deepStrictEqual(list.map((e) => e.type), ['added', 'updated', 'deleted']);
+    assert.strictEqual(list[1].diff.LOCATION.newValue, 'y');
+});
+
+test('monitor prints one event per line in the ndjson format', async () => {
+    const { cli, stdout } = createCli(createUpnp([
+        { type: 'added', device: createDevice('uuid:a') },
+        { type: 'added', device: createDevice('uuid:b') }
+    ]));
+    assert.strictEqual(await cli.run(['monitor', '-f', 'ndjson']), 0);
+    const lines = stdout.text.trim().split('\n').map((ln) => JSON.parse(ln));
+    assert.deepStrictEqual(lines.map((e) => e.device.udn), ['uuid:a', 'uuid:b']);
+});
+
+test('monitor exits with 1 if no event occurred', async () => {
+    const { cli, stdout } = createCli(createUpnp([]));
+    assert.strictEqual(await cli.run(['monitor', '-f', 'json']), 1);
+    assert.deepStrictEqual(JSON.parse(stdout.text), []);
+});
+
+test('an invalid option exits with 2', async () => {
+    const { cli, stderr } = createCli();
+    assert.strictEqual(await cli.run(['discover', '--mx', '0']), 2);
+    assert.match(stderr.text, /"mx"/);
+});
@@ -0,0 +1,32 @@
+'use strict';
+const { test } = require('node:test');
+const assert = require('node:assert');
+const UPnPUtilsContentDirectory = require('../lib/upnp-utils-content-directory.js');
+
+const DIDL = '<DIDL-Lite xmlns="urn:schemas-upnp-org:metadata-1-0/DIDL-Lite/"' +
+    ' xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:upnp="urn:schemas-upnp-org:metadata-1-0/upnp/">' +
+    '<item id="1" parentID="0" restricted="1"><dc:title>Song</dc:title>' +
+    '<upnp:class>object.item.audioItem.musicTrack</upnp:class>' +
+    '<upnp:albumArtURI>art/1.jpg</upnp:albumArtURI>' +
+    '<res protocolInfo="http-get:*:audio/mpeg:*">media/1.mp3</res></item></DIDL-Lite>';
+
+// A ContentDirectory service which returns the DIDL-Lite above
+const createService = () => {
+    return {
+        serviceType: 'urn:schemas-upnp-org:service:ContentDirectory:1',
+        controlURL: 'http://192.168.1.20:8200/ctl/ContentDir',
+        invoke: async () => {
+            return { Result: DIDL, NumberReturned: '1', TotalMatches: '1', UpdateID: '5' };
+        }
+    };
+};
+
+test('browse() resolves the URLs against the base URL of the device', async () => {
+    const cds = new UPnPUtilsContentDirectory({
+        service: createService(),
+        baseUrl: 'http://192.168.1.20:8200/rootDesc.xml'
+    });
+    const { objects } = await cds.browse('0');
+    assert.strictEqual(objects[0]['res'][0]['url'], 'http://192.168.1.20:8200/media/1.mp3');
+    assert.deepStrictEqual(objects[0]['albumArtURI'], ['http://192.168.1.20:8200/art/1.jpg']);
+});
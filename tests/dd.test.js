@@ -0,0 +1,179 @@
+'use strict';
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mHttp = require('http');
+const mUpnpUtilsDd = require('../lib/upnp-utils-dd.js');
+const { DescriptionFetchError, DescriptionTimeoutError, HttpStatusError } = require('../lib/upnp-utils-errors.js');
+
+const DESC = '<?xml version="1.0"?><root xmlns="urn:schemas-upnp-org:device-1-0">' +
+    '<device><deviceType>urn:schemas-upnp-org:device:Basic:1</deviceType>' +
+    '<friendlyName>%NAME%</friendlyName><UDN>uuid:dd-test</UDN></device></root>';
+
+// Starts an HTTP server which handles the requests with the `routes`
+// keyed by the path. The number of requests of each path is counted.
+const startServer = (routes) => {
+    return new Promise((resolve) => {
+        const counts = {};
+        const server = mHttp.createServer((req, res) => {
+            counts[req.url] = (counts[req.url] || 0) + 1;
+            const route = routes[req.url];
+            if (route) {
+                route(req, res, counts[req.url]);
+            } else {
+                res.writeHead(404);
+                res.end();
+            }
+        });
+        server.listen(0, '127.0.0.1', () => {
+            const base = 'http://127.0.0.1:' + server.address().port;
+            resolve({ server, base, counts });
+        });
+    });
+};
+
+const sendDesc = (res, name = 'Test', headers = {}) => {
+    res.writeHead(200, Object.assign({ 'Content-Type': 'text/xml; charset="utf-8"' }, headers));
+    res.end(DESC.replace('%NAME%', name));
+};
+
+test('fetch() rejects with a DescriptionFetchError for an invalid URL', async () => {
+    await assert.rejects(mUpnpUtilsDd.fetch('http://127.0.0.1:99999/desc.xml', { timeout: 100, cacheTtl: 0 }), (error) => {
+        return error instanceof DescriptionFetchError && error.url === 'http://127.0.0.1:99999/desc.xml';
+    });
+    // The timer must not fire after the rejection.
+    await new Promise((resolve) => setTimeout(resolve, 150));
+});
+
+test('fetch() rejects with a DescriptionTimeoutError if the server does not respond', async () => {
+    const { server, base } = await startServer({ '/slow': () => { } });
+    try {
+        await assert.rejects(mUpnpUtilsDd.fetch(base + '/slow', { timeout: 100, cacheTtl: 0 }), (error) => {
+            return error instanceof DescriptionTimeoutError && error.timeout === 100;
+        });
+    } finally {
+        server.closeAllConnections();
+        server.close();
+    }
+});
+
+test('fetch() rejects at once if the body is cut off', async () => {
+    const { server, base } = await startServer({
+        '/cut': (req, res) => {
+            res.writeHead(200, { 'Content-Type': 'text/xml', 'Content-Length': '1000' });
+            res.write('<root>');
+            setTimeout(() => res.destroy(), 20);
+        }
+    });
+    try {
+        const started = Date.now();
+        await assert.rejects(mUpnpUtilsDd.fetch(base + '/cut', { timeout: 5000, cacheTtl: 0 }), DescriptionFetchError);
+        assert.ok(Date.now() - started < 2000);
+    } finally {
+        server.close();
+    }
+});
+
+test('fetch() follows redirects up to the maxRedirects', async () => {
+    const { server, base } = await startServer({
+        '/r1': (req, res) => {
+            res.writeHead(302, { 'Location': '/r2' });
+            res.end();
+        },
+        '/r2': (req, res) => {
+            res.writeHead(301, { 'Location': base + '/desc.xml' });
+            res.end();
+        },
+        '/desc.xml': (req, res) => sendDesc(res)
+    });
+    try {
+        const { obj } = await mUpnpUtilsDd.fetch(base + '/r1', { cacheTtl: 0 });
+        assert.strictEqual(obj['device']['friendlyName'], 'Test');
+        await assert.rejects(mUpnpUtilsDd.fetch(base + '/r1', { maxRedirects: 1, cacheTtl: 0 }), /TOO MANY REDIRECTS/);
+    } finally {
+        server.close();
+    }
+});
+
+test('fetch() rejects a response larger than the maxSize', async () => {
+    const { server, base } = await startServer({
+        '/declared': (req, res) => sendDesc(res),
+        '/chunked': (req, res) => {
+            res.writeHead(200, { 'Content-Type': 'text/xml' });
+            res.write('x'.repeat(100));
+            res.end('x'.repeat(100));
+        }
+    });
+    try {
+        await assert.rejects(mUpnpUtilsDd.fetch(base + '/declared', { maxSize: 50, cacheTtl: 0 }), /TOO LARGE RESPONSE/);
+        await assert.rejects(mUpnpUtilsDd.fetch(base + '/chunked', { maxSize: 150, cacheTtl: 0 }), /TOO LARGE RESPONSE/);
+    } finally {
+        server.close();
+    }
+});
+
+test('fetch() decodes the body with the charset', async () => {
+    const xml = DESC.replace('<?xml version="1.0"?>', '<?xml version="1.0" encoding="ISO-8859-1"?>').replace('%NAME%', 'Café');
+    const { server, base } = await startServer({
+        '/header': (req, res) => {
+            res.writeHead(200, { 'Content-Type': 'text/xml; charset=iso-8859-1' });
+            res.end(Buffer.from(DESC.replace('%NAME%', 'Café'), 'latin1'));
+        },
+        '/declaration': (req, res) => {
+            res.writeHead(200, { 'Content-Type': 'text/xml' });
+            res.end(Buffer.from(xml, 'latin1'));
+        },
+        '/bom': (req, res) => {
+            res.writeHead(200, { 'Content-Type': 'text/xml' });
+            res.end(Buffer.concat([Buffer.from([0xFF, 0xFE]), Buffer.from(DESC.replace('%NAME%', 'Café'), 'utf16le')]));
+        }
+    });
+    try {
+        for (const path of ['/header', '/declaration', '/bom']) {
+            const { obj } = await mUpnpUtilsDd.fetch(base + path, { cacheTtl: 0 });
+            assert.strictEqual(obj['device']['friendlyName'], 'Café', path);
+        }
+    } finally {
+        server.close();
+    }
+});
+
+test('fetch() retries after a failure', async () => {
+    const { server, base, counts } = await startServer({
+        '/flaky': (req, res, count) => {
+            if (count < 3) {
+                res.writeHead(503);
+                res.end();
+            } else {
+                sendDesc(res);
+            }
+        }
+    });
+    try {
+        await assert.rejects(mUpnpUtilsDd.fetch(base + '/flaky', { retries: 1, retryDelay: 10, cacheTtl: 0 }), (error) => {
+            return error instanceof HttpStatusError && error.statusCode === 503;
+        });
+        assert.strictEqual(counts['/flaky'], 2);
+        const { obj } = await mUpnpUtilsDd.fetch(base + '/flaky', { retries: 1, retryDelay: 10, cacheTtl: 0 });
+        assert.strictEqual(obj['device']['UDN'], 'uuid:dd-test');
+        assert.strictEqual(counts['/flaky'], 3);
+    } finally {
+        server.close();
+    }
+});
+
+test('fetch() caches the result for the cacheTtl', async () => {
+    const { server, base, counts } = await startServer({
+        '/cached': (req, res) => sendDesc(res)
+    });
+    try {
+        await mUpnpUtilsDd.fetch(base + '/cached', { cacheTtl: 60000 });
+        await mUpnpUtilsDd.fetch(base + '/cached', { cacheTtl: 60000 });
+        assert.strictEqual(counts['/cached'], 1);
+        mUpnpUtilsDd.clearCache(base + '/cached');
+        await mUpnpUtilsDd.fetch(base + '/cached', { cacheTtl: 60000 });
+        assert.strictEqual(counts['/cached'], 2);
+    } finally {
+        mUpnpUtilsDd.clearCache();
+        server.close();
+    }
+});
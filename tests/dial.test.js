@@ -0,0 +1,159 @@
+'use strict';
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mHttp = require('http');
+const mEventEmitter = require('events');
+const UPnPUtilsDial = require('../lib/upnp-utils-dial.js');
+const { DialError } = require('../lib/upnp-utils-errors.js');
+
+const APP_STATUS = '<?xml version="1.0" encoding="UTF-8"?>' +
+    '<service xmlns="urn:dial-multiscreen-org:schemas:dial" dialVer="2.1">' +
+    '<name>YouTube</name><options allowStop="true"/><state>running</state>' +
+    '<link rel="run" href="run"/><additionalData><screenId>abc</screenId></additionalData></service>';
+
+// A DIAL server which records the requests
+const startServer = () => {
+    return new Promise((resolve) => {
+        const requests = [];
+        const server = mHttp.createServer((req, res) => {
+            let body = '';
+            req.on('data', (chunk) => {
+                body += chunk;
+            });
+            req.on('end', () => {
+                requests.push({ method: req.method, url: req.url, headers: req.headers, body: body });
+                if (req.method === 'GET' && req.url.startsWith('/apps/YouTube?')) {
+                    res.writeHead(200, { 'Content-Type': 'text/xml' });
+                    res.end(APP_STATUS);
+                } else if (req.method === 'POST' && req.url.startsWith('/apps/YouTube')) {
+                    res.writeHead(201, { 'Location': 'http://127.0.0.1:' + server.address().port + '/apps/YouTube/run' });
+                    res.end();
+                } else if (req.method === 'DELETE' && req.url === '/apps/YouTube/run') {
+                    res.writeHead(200);
+                    res.end();
+                } else if (req.method === 'POST' && req.url.startsWith('/apps/Busy')) {
+                    res.writeHead(503);
+                    res.end();
+                } else {
+                    res.writeHead(404);
+                    res.end();
+                }
+            });
+        });
+        server.listen(0, '127.0.0.1', () => {
+            resolve({ server, requests, base: 'http://127.0.0.1:' + server.address().port });
+        });
+    });
+};
+
+const createDial = (base, params = {}) => {
+    return new UPnPUtilsDial(Object.assign({ applicationUrl: base + '/apps', timeout: 1000 }, params));
+};
+
+test('getAppStatus() parses the application status', async () => {
+    const { server, base, requests } = await startServer();
+    try {
+        const dial = createDial(base);
+        const status = await dial.getAppStatus('YouTube');
+        assert.strictEqual(requests[0].url, '/apps/YouTube?clientDialVer=2.1');
+        assert.deepStrictEqual(status, {
+            name: 'YouTube',
+            state: 'running',
+            installUrl: '',
+            allowStop: true,
+            runUrl: base + '/apps/YouTube/run',
+            dialVer: '2.1',
+            additionalData: { screenId: 'abc' }
+        });
+        assert.strictEqual(await dial.getAppStatus('Netflix'), null);
+    } finally {
+        server.close();
+    }
+});
+
+test('launch() and stop() send the payload and delete the running instance', async () => {
+    const { server, base, requests } = await startServer();
+    try {
+        const dial = createDial(base, { friendlyName: 'My Phone' });
+        const res = await dial.launch('YouTube', 'v=abc');
+        assert.deepStrictEqual(res, { statusCode: 201, runUrl: base + '/apps/YouTube/run' });
+        assert.strictEqual(requests[0].url, '/apps/YouTube?friendlyName=My%20Phone');
+        assert.strictEqual(requests[0].body, 'v=abc');
+        assert.strictEqual(requests[0].headers['content-type'], 'text/plain; charset="utf-8"');
+
+        await dial.stop('YouTube');
+        assert.deepStrictEqual(requests.slice(1).map((r) => r.method + ' ' + r.url), [
+            'GET /apps/YouTube?clientDialVer=2.1',
+            'DELETE /apps/YouTube/run'
+        ]);
+    } finally {
+        server.close();
+    }
+});
+
+test('an error status is reported as a DialError', async () => {
+    const { server, base } = await startServer();
+    try {
+        await assert.rejects(createDial(base).launch('Busy'), (error) => {
+            return error instanceof DialError && error.code === 'SERVICE_UNAVAILABLE' && error.statusCode === 503;
+        });
+    } finally {
+        server.close();
+    }
+});
+
+test('stop() requests an HTTPS URL over TLS', async () => {
+    const { server, base } = await startServer();
+    try {
+        // The server does not speak TLS, so the handshake fails. The
+        // request must not be rejected for the protocol.
+        const https_url = base.replace(/^http:/, 'https:') + '/apps/YouTube/run';
+        await assert.rejects(createDial(base).stop(https_url), (error) => {
+            return error.code !== 'ERR_INVALID_PROTOCOL';
+        });
+    } finally {
+        server.close();
+    }
+});
+
+test('wake() rejects with the bind error', async () => {
+    class FakeSocket extends mEventEmitter {
+        bind() {
+            setImmediate(() => this.emit('error', new Error('EACCES')));
+        }
+        close() {
+            const error = new Error('Not running');
+            error.code = 'ERR_SOCKET_DGRAM_NOT_RUNNING';
+            throw error;
+        }
+    }
+    const dial = createDial('http://127.0.0.1:1', {
+        wakeup: 'MAC=10:dd:b1:c9:00:e4;Timeout=10',
+        createSocket: () => new FakeSocket()
+    });
+    await assert.rejects(dial.wake(), /EACCES/);
+});
+
+test('wake() sends a magic packet', async () => {
+    const sent = [];
+    class FakeSocket extends mEventEmitter {
+        bind(callback) {
+            setImmediate(callback);
+        }
+        setBroadcast() { }
+        send(buf, port, address, callback) {
+            sent.push({ buf, port, address });
+            callback();
+        }
+        close() { }
+    }
+    const dial = createDial('http://127.0.0.1:1', {
+        wakeup: 'MAC=10-DD-B1-C9-00-E4;Timeout=10',
+        createSocket: () => new FakeSocket()
+    });
+    assert.deepStrictEqual(await dial.wake(), { mac: '10:dd:b1:c9:00:e4', timeout: 10 });
+    assert.strictEqual(sent[0].port, 9);
+    assert.strictEqual(sent[0].address, '255.255.255.255');
+    assert.strictEqual(sent[0].buf.length, 102);
+    assert.strictEqual(sent[0].buf.subarray(6, 12).toString('hex'), '10ddb1c900e4');
+});
@@ -0,0 +1,141 @@
+'use strict';
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mHttp = require('http');
+const { UPnPUtils, XmlParseError } = require('../lib/upnp-utils.js');
+
+// A discovery instance whose description fetch is counted instead of
+// touching the network
+function createUpnp() {
+    const upnp = new UPnPUtils();
+    upnp._params = { st: ['upnp:rootdevice'] };
+    upnp.fetched = 0;
+    upnp._fetchDescription = async (device) => {
+        upnp.fetched++;
+        device['description'] = {};
+    };
+    return upnp;
+}
+
+function createResponse(location, bootid = 1) {
+    return Buffer.from([
+        'HTTP/1.1 200 OK',
+        'CACHE-CONTROL: max-age=1800',
+        'EXT:',
+        'LOCATION: ' + location,
+        'SERVER: Linux/5.0 UPnP/1.1 Test/1.0',
+        'ST: upnp:rootdevice',
+        'USN: uuid:dual-stack::upnp:rootdevice',
+        'BOOTID.UPNP.ORG: ' + bootid,
+        'CONFIGID.UPNP.ORG: 1',
+        '', ''
+    ].join('\r\n'));
+}
+
+const V4 = { address: '192.168.1.10', port: 1900 };
+const V6 = { address: 'fe80::10%eth0', port: 1900 };
+const V4_LOCATION = 'http://192.168.1.10:8080/desc.xml';
+const V6_LOCATION = 'http://[fe80::10]:8080/desc.xml';
+
+test('alternating IPv4 and IPv6 responses are not reported as updates', async () => {
+    const upnp = createUpnp();
+    const updated = [];
+    upnp.on('updated', (device, diff) => updated.push(diff));
+
+    for (let i = 0; i < 3; i++) {
+        await upnp._receivePacket(createResponse(V4_LOCATION), V4);
+        await upnp._receivePacket(createResponse(V6_LOCATION), V6);
+    }
+    assert.strictEqual(updated.length, 0);
+    assert.strictEqual(upnp.fetched, 1);
+
+    const device = upnp._devices['uuid:dual-stack'];
+    assert.strictEqual(device['address'], V4.address);
+    assert.strictEqual(device['headers']['LOCATION'], V4_LOCATION);
+});
+
+test('a LOCATION change within the same family is reported', async () => {
+    const upnp = createUpnp();
+    const updated = [];
+    upnp.on('updated', (device, diff) => updated.push(diff));
+
+    await upnp._receivePacket(createResponse(V4_LOCATION), V4);
+    await upnp._receivePacket(createResponse(V6_LOCATION), V6);
+    await upnp._receivePacket(createResponse(V6_LOCATION.replace('8080', '8081')), V6);
+    await upnp._receivePacket(createResponse(V4_LOCATION), V4);
+
+    assert.strictEqual(updated.length, 1);
+    assert.deepStrictEqual(Object.keys(updated[0]), ['LOCATION']);
+    assert.strictEqual(updated[0]['LOCATION'].oldValue, V6_LOCATION);
+    assert.strictEqual(upnp.fetched, 2);
+});
+
+test('a BOOTID change is reported whichever family it arrives over', async () => {
+    const upnp = createUpnp();
+    const updated = [];
+    upnp.on('updated', (device, diff) => updated.push(diff));
+
+    await upnp._receivePacket(createResponse(V4_LOCATION, 1), V4);
+    await upnp._receivePacket(createResponse(V6_LOCATION, 2), V6);
+    await upnp._receivePacket(createResponse(V4_LOCATION, 2), V4);
+
+    assert.strictEqual(updated.length, 1);
+    assert.deepStrictEqual(Object.keys(updated[0]), ['BOOTID.UPNP.ORG']);
+    assert.strictEqual(updated[0]['BOOTID.UPNP.ORG'].newValue, '2');
+});
+
+test('a malformed description keeps the headers and the XML', async () => {
+    const server = mHttp.createServer((req, res) => {
+        res.writeHead(200, {
+            'Content-Type': 'text/xml',
+            'Application-URL': 'http://127.0.0.1:8008/apps/'
+        });
+        res.end('<root><device></root>');
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    try {
+        const upnp = new UPnPUtils();
+        upnp._params = { st: ['upnp:rootdevice'] };
+        const errors = [];
+        upnp.on('error', (error) => errors.push(error));
+        const added = [];
+        upnp.on('added', (device) => added.push(device));
+
+        const location = 'http://127.0.0.1:' + server.address().port + '/desc.xml';
+        await upnp._receivePacket(createResponse(location), { address: '127.0.0.1', port: 1900 });
+
+        assert.strictEqual(added.length, 1);
+        const device = added[0];
+        assert.strictEqual(device['dheaders']['application-url'], 'http://127.0.0.1:8008/apps/');
+        assert.strictEqual(device['descriptionXML'], '<root><device></root>');
+        assert.strictEqual(device['description'], null);
+        assert.strictEqual(device['descriptionError']['code'], 'XML_PARSE');
+        assert.strictEqual(errors.length, 1);
+        assert.ok(errors[0] instanceof XmlParseError);
+    } finally {
+        server.close();
+    }
+});
+
+test('watch() ends if the signal is aborted while the discovery is starting', async () => {
+    const upnp = new UPnPUtils();
+    let stopped = 0;
+    upnp.startDiscovery = () => {
+        upnp._is_discovering = true;
+        return new Promise((resolve) => setTimeout(resolve, 50));
+    };
+    upnp.stopDiscovery = async () => {
+        upnp._is_discovering = false;
+        stopped++;
+    };
+
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 10);
+    const events = [];
+    for await (const event of upnp.watch({ signal: controller.signal })) {
+        events.push(event);
+    }
+    assert.strictEqual(events.length, 0);
+    assert.strictEqual(stopped, 1);
+    assert.strictEqual(upnp.listenerCount('added'), 0);
+});
@@ -0,0 +1,40 @@
+'use strict';
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mUpnpUtilsErrors = require('../lib/upnp-utils-errors.js');
+const { UPnPActionError, IgdError, RendererError, convertActionError } = mUpnpUtilsErrors;
+
+const createFault = (code, description) => {
+    return new UPnPActionError('UPnP ERROR: errorCode=' + code, {
+        errorCode: code,
+        errorDescription: description
+    });
+};
+
+test('convertActionError() derives the code from the error name', () => {
+    const error = convertActionError(createFault(718, 'Conflict'), { 718: 'ConflictInMappingEntry' }, IgdError, {
+        action: 'AddPortMapping'
+    });
+    assert.ok(error instanceof IgdError);
+    assert.strictEqual(error.code, 'CONFLICT_IN_MAPPING_ENTRY');
+    assert.strictEqual(error.message, 'The action "AddPortMapping" failed: ConflictInMappingEntry (718), Conflict');
+    assert.strictEqual(error.errorName, 'ConflictInMappingEntry');
+    assert.ok(error.cause instanceof UPnPActionError);
+});
+
+test('convertActionError() falls back to UPNP_ACTION for an unknown errorCode', () => {
+    const error = convertActionError(createFault(799, ''), {}, RendererError, {
+        service: 'AVTransport',
+        action: 'Play'
+    });
+    assert.ok(error instanceof RendererError);
+    assert.strictEqual(error.code, 'UPNP_ACTION');
+    assert.strictEqual(error.message, 'The action "Play" of the AVTransport failed: errorCode=799');
+    assert.strictEqual(error.service, 'AVTransport');
+    assert.strictEqual(error.errorName, '');
+});
+
+test('convertActionError() returns any other error as it is', () => {
+    const original = new Error('ECONNREFUSED');
+    assert.strictEqual(convertActionError(original, {}, IgdError, { action: 'GetExternalIPAddress' }), original);
+});
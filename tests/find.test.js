@@ -0,0 +1,105 @@
+'use strict';
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { UPnPUtils } = require('../lib/upnp-utils.js');
+
+const createModel = (udn, device_type, service_types, props = {}) => {
+    return Object.assign({
+        deviceType: device_type,
+        UDN: udn,
+        manufacturer: 'ACME',
+        modelName: 'M1',
+        friendlyName: 'Device ' + udn,
+        services: service_types.map((t) => ({ serviceType: t })),
+        devices: []
+    }, props);
+};
+
+const createDevice = (udn, address, usn_list, model) => {
+    return {
+        udn: udn,
+        address: address,
+        usnList: usn_list.map((st) => ({ usn: udn + '::' + st, st: st, expire: Date.now() + 1800000 })),
+        model: model
+    };
+};
+
+// A renderer with an embedded device, a gateway, and a device whose
+// description is not available
+const DEVICES = [
+    createDevice('uuid:tv', '192.168.1.10', ['upnp:rootdevice'], createModel('uuid:tv', 'urn:schemas-upnp-org:device:MediaRenderer:2', [
+        'urn:schemas-upnp-org:service:RenderingControl:2'
+    ], {
+        devices: [createModel('uuid:tv-sub', 'urn:schemas-upnp-org:device:Basic:1', ['urn:schemas-upnp-org:service:AVTransport:1'])]
+    })),
+    createDevice('uuid:gw', '192.168.1.1', ['upnp:rootdevice'], createModel('uuid:gw', 'urn:schemas-upnp-org:device:InternetGatewayDevice:1', [], {
+        manufacturer: 'Other', friendlyName: 'Router'
+    })),
+    createDevice('uuid:dial', 'fe80::5%eth0', ['urn:dial-multiscreen-org:service:dial:1'], null)
+];
+
+const createUpnp = (devices = DEVICES) => {
+    const upnp = new UPnPUtils();
+    for (const device of devices) {
+        upnp._devices[device['udn']] = JSON.parse(JSON.stringify(device));
+    }
+    return upnp;
+};
+
+const find = (upnp, query) => {
+    return upnp.findDevices(query).map((d) => d['udn']);
+};
+
+test('findDevices() matches the types of the same or a higher version', () => {
+    const upnp = createUpnp();
+    assert.deepStrictEqual(find(upnp, { deviceType: 'urn:schemas-upnp-org:device:MediaRenderer:1' }), ['uuid:tv']);
+    assert.deepStrictEqual(find(upnp, { deviceType: 'urn:schemas-upnp-org:device:MediaRenderer:3' }), []);
+    // The embedded devices and the services are checked too.
+    assert.deepStrictEqual(find(upnp, { deviceType: 'urn:schemas-upnp-org:device:Basic:1' }), ['uuid:tv']);
+    assert.deepStrictEqual(find(upnp, { serviceType: 'urn:schemas-upnp-org:service:AVTransport:1' }), ['uuid:tv']);
+    assert.deepStrictEqual(find(upnp, { serviceType: 'urn:schemas-upnp-org:service:RenderingControl:3' }), []);
+    // The STs are checked if the description is not available.
+    assert.deepStrictEqual(find(upnp, { serviceType: 'urn:dial-multiscreen-org:service:dial:1' }), ['uuid:dial']);
+    assert.deepStrictEqual(find(upnp, { deviceType: /InternetGateway/ }), ['uuid:gw']);
+});
+
+test('findDevices() requires all the conditions to be satisfied', () => {
+    const upnp = createUpnp();
+    assert.deepStrictEqual(find(upnp, {}), ['uuid:tv', 'uuid:gw', 'uuid:dial']);
+    assert.deepStrictEqual(find(upnp, { udn: 'uuid:tv-sub' }), ['uuid:tv']);
+    assert.deepStrictEqual(find(upnp, { manufacturer: 'ACME' }), ['uuid:tv']);
+    assert.deepStrictEqual(find(upnp, { manufacturer: 'ACME', friendlyName: 'Router' }), []);
+    assert.deepStrictEqual(find(upnp, { friendlyName: /^device /i, modelName: 'M1' }), ['uuid:tv']);
+    // The zone of the address is ignored.
+    assert.deepStrictEqual(find(upnp, { address: 'fe80::5' }), ['uuid:dial']);
+    assert.deepStrictEqual(find(upnp, { address: /^192\.168\.1\./ }), ['uuid:tv', 'uuid:gw']);
+    assert.deepStrictEqual(find(upnp, { address: '192.168.1.1', filter: (d) => d['model'] !== null }), ['uuid:gw']);
+    assert.deepStrictEqual(find(upnp, (d) => d['model'] === null), ['uuid:dial']);
+
+    assert.throws(() => upnp.findDevices({ name: 'TV' }), /The query "name" is unknown/);
+    assert.throws(() => upnp.findDevices({ udn: 1 }), /"udn"/);
+    assert.throws(() => upnp.findDevices({ filter: true }), /"filter"/);
+    assert.throws(() => upnp.findDevices('uuid:tv'), /must be an object or a function/);
+});
+
+test('waitForDevice() resolves with a found or an added device', async () => {
+    const upnp = createUpnp([DEVICES[0]]);
+    const found = await upnp.waitForDevice({ udn: 'uuid:tv' });
+    assert.strictEqual(found['udn'], 'uuid:tv');
+
+    const promise = upnp.waitForDevice({ manufacturer: 'Other' }, { timeout: 60000 });
+    assert.strictEqual(upnp.listenerCount('added'), 1);
+    upnp.emit('added', JSON.parse(JSON.stringify(DEVICES[2])));
+    upnp.emit('updated', JSON.parse(JSON.stringify(DEVICES[1])));
+    assert.strictEqual((await promise)['udn'], 'uuid:gw');
+    assert.strictEqual(upnp.listenerCount('added'), 0);
+    assert.strictEqual(upnp.listenerCount('updated'), 0);
+});
+
+test('waitForDevice() rejects if no device is found within the timeout', async () => {
+    const upnp = createUpnp([DEVICES[0]]);
+    await assert.rejects(upnp.waitForDevice({ udn: 'uuid:gw' }, { timeout: 10 }), /within 10 msec/);
+    assert.strictEqual(upnp.listenerCount('added'), 0);
+    assert.strictEqual(upnp.listenerCount('updated'), 0);
+    assert.throws(() => upnp.waitForDevice({ udn: 'uuid:gw' }, { timeout: -1 }), /"timeout"/);
+});
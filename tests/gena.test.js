@@ -0,0 +1,156 @@
+'use strict';
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mHttp = require('http');
+const UPnPUtilsGena = require('../lib/upnp-utils-gena.js');
+
+// A publisher which records the SUBSCRIBE and UNSUBSCRIBE requests. The
+// `hold` function can delay the response to a SUBSCRIBE request.
+const startPublisher = (host) => {
+    return new Promise((resolve) => {
+        const publisher = { requests: [], sid_count: 0, hold: null, status: 200 };
+        publisher.server = mHttp.createServer((req, res) => {
+            req.resume();
+            publisher.requests.push({ method: req.method, headers: req.headers });
+            const respond = () => {
+                if (req.method === 'SUBSCRIBE' && !req.headers['sid']) {
+                    res.statusCode = publisher.status;
+                    if (publisher.status === 200) {
+                        res.setHeader('SID', 'uuid:sid-' + (++publisher.sid_count));
+                        res.setHeader('TIMEOUT', 'Second-1800');
+                    }
+                }
+                res.end();
+            };
+            if (req.method === 'SUBSCRIBE' && publisher.hold) {
+                publisher.hold(respond);
+            } else {
+                respond();
+            }
+        });
+        publisher.server.listen(0, host, () => {
+            const port = publisher.server.address().port;
+            publisher.url = 'http://' + (host.includes(':') ? '[' + host + ']' : host) + ':' + port + '/evt';
+            resolve(publisher);
+        });
+    });
+};
+
+const wait = (msec) => new Promise((resolve) => setTimeout(resolve, msec));
+
+const unsubscribed = (publisher) => {
+    return publisher.requests.filter((r) => r.method === 'UNSUBSCRIBE').map((r) => r.headers['sid']);
+};
+
+test('unsubscribe() during a resubscription cancels the new subscription', async () => {
+    const publisher = await startPublisher('127.0.0.1');
+    const gena = new UPnPUtilsGena();
+    try {
+        const subscription = await gena.subscribe({ eventSubURL: publisher.url, timeout: 1800 });
+        assert.strictEqual(subscription.sid, 'uuid:sid-1');
+
+        let release = null;
+        publisher.hold = (respond) => {
+            release = respond;
+        };
+        const resubscribing = subscription._resubscribe(new Error('lost'));
+        while (!release) {
+            await wait(10);
+        }
+        await subscription.unsubscribe();
+        release();
+        await resubscribing;
+        await wait(50);
+
+        assert.strictEqual(subscription._renew_timer, null);
+        assert.deepStrictEqual(unsubscribed(publisher).sort(), ['uuid:sid-1', 'uuid:sid-2']);
+    } finally {
+        publisher.server.close();
+    }
+});
+
+test('a failed resubscription is not retried after unsubscribe()', async () => {
+    const publisher = await startPublisher('127.0.0.1');
+    const gena = new UPnPUtilsGena();
+    try {
+        const subscription = await gena.subscribe({ eventSubURL: publisher.url, timeout: 1800 });
+        const errors = [];
+        subscription.on('error', (error) => errors.push(error));
+
+        let release = null;
+        publisher.status = 500;
+        publisher.hold = (respond) => {
+            release = respond;
+        };
+        const resubscribing = subscription._resubscribe(new Error('lost'));
+        while (!release) {
+            await wait(10);
+        }
+        await subscription.unsubscribe();
+        release();
+        await resubscribing;
+
+        assert.strictEqual(subscription._renew_timer, null);
+        assert.strictEqual(errors.length, 0);
+    } finally {
+        publisher.server.close();
+    }
+});
+
+test('a resubscription replaces the SID and schedules the renewal', async () => {
+    const publisher = await startPublisher('127.0.0.1');
+    const gena = new UPnPUtilsGena();
+    try {
+        const subscription = await gena.subscribe({ eventSubURL: publisher.url, timeout: 1800 });
+        const events = [];
+        subscription.on('resubscribed', (data) => events.push(data));
+        await subscription._resubscribe(new Error('lost'));
+
+        assert.deepStrictEqual(events, [{ oldSid: 'uuid:sid-1', sid: 'uuid:sid-2', reason: 'lost' }]);
+        assert.notStrictEqual(subscription._renew_timer, null);
+        await subscription.unsubscribe();
+        assert.strictEqual(subscription._renew_timer, null);
+    } finally {
+        publisher.server.close();
+    }
+});
+
+test('the CALLBACK URL of an IPv6 publisher has a bracketed IPv6 address', async () => {
+    const publisher = await startPublisher('::1');
+    const gena = new UPnPUtilsGena();
+    try {
+        const subscription = await gena.subscribe({ eventSubURL: publisher.url, timeout: 1800 });
+        const callback = publisher.requests[0].headers['callback'];
+        assert.match(callback, /^<http:\/\/\[::1\]:\d+\/upnp-utils\/[0-9a-f]+>$/);
+        await subscription.unsubscribe();
+    } finally {
+        publisher.server.close();
+    }
+});
+
+test('concurrent subscribe() calls share one callback server', async () => {
+    const publisher = await startPublisher('127.0.0.1');
+    const gena = new UPnPUtilsGena();
+    const created = [];
+    const createServer = mHttp.createServer;
+    mHttp.createServer = (...args) => {
+        const server = createServer(...args);
+        created.push(server);
+        return server;
+    };
+    try {
+        const subscriptions = await Promise.all([
+            gena.subscribe({ eventSubURL: publisher.url, timeout: 1800 }),
+            gena.subscribe({ eventSubURL: publisher.url, timeout: 1800 })
+        ]);
+        assert.strictEqual(created.length, 1);
+        for (const subscription of subscriptions) {
+            await subscription.unsubscribe();
+        }
+        assert.strictEqual(gena._server, null);
+        assert.strictEqual(created[0].listening, false);
+    } finally {
+        mHttp.createServer = createServer;
+        publisher.server.close();
+    }
+});
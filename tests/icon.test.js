@@ -0,0 +1,158 @@
+'use strict';
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mHttp = require('http');
+const mUpnpUtilsDd = require('../lib/upnp-utils-dd.js');
+const { UPnPUtils } = require('../lib/upnp-utils.js');
+
+const PNG = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+
+const createIcon = (mimetype, width, height, depth, url) => {
+    return { mimetype, width, height, depth, url };
+};
+
+const ICONS = [
+    createIcon('image/png', 48, 48, 24, 'http://192.168.1.10/a.png'),
+    createIcon('image/png', 120, 120, 8, 'http://192.168.1.10/b.png'),
+    createIcon('image/jpeg', 120, 120, 24, 'http://192.168.1.10/c.jpg'),
+    createIcon('image/png', 256, 200, 24, 'http://192.168.1.10/d.png')
+];
+
+const selectUrl = (upnp, model, params) => {
+    const icon = upnp._selectIcon(model, upnp._checkIconParams(params));
+    return icon ? icon['url'].replace('http://192.168.1.10', '') : null;
+};
+
+test('the icon is selected by the mimetype and the size', () => {
+    const upnp = new UPnPUtils();
+    const model = { icons: ICONS, devices: [] };
+    assert.strictEqual(selectUrl(upnp, model, {}), '/d.png');
+    // The higher color depth is selected for the same size.
+    assert.strictEqual(selectUrl(upnp, model, { maxSize: 120 }), '/c.jpg');
+    assert.strictEqual(selectUrl(upnp, model, { mimetype: 'image/png', maxSize: 120 }), '/b.png');
+    assert.strictEqual(selectUrl(upnp, model, { mimetype: ['IMAGE/PNG'], maxSize: 100 }), '/a.png');
+    assert.strictEqual(selectUrl(upnp, model, { mimetype: ['image/gif', 'image/jpeg'] }), '/c.jpg');
+    // The size is the larger of the width and the height.
+    assert.strictEqual(selectUrl(upnp, model, { minSize: 250 }), '/d.png');
+    assert.strictEqual(selectUrl(upnp, model, { minSize: 257 }), null);
+    assert.strictEqual(selectUrl(upnp, model, { minSize: 60, maxSize: 100 }), null);
+
+    assert.throws(() => upnp._checkIconParams({ mimetype: [''] }), /"mimetype"/);
+    assert.throws(() => upnp._checkIconParams({ minSize: 100, maxSize: 50 }), /"maxSize"/);
+});
+
+test('the icons of the embedded devices are used only if the root device has no icon', () => {
+    const upnp = new UPnPUtils();
+    const embedded = {
+        icons: [createIcon('image/png', 512, 512, 24, 'http://192.168.1.10/e.png')],
+        devices: [{ icons: [createIcon('image/png', 1024, 1024, 24, 'http://192.168.1.10/f.png')], devices: [] }]
+    };
+    assert.strictEqual(selectUrl(upnp, { icons: [ICONS[0]], devices: [embedded] }, {}), '/a.png');
+    assert.strictEqual(selectUrl(upnp, { icons: [], devices: [embedded] }, {}), '/f.png');
+    assert.strictEqual(selectUrl(upnp, { icons: [], devices: [embedded] }, { maxSize: 512 }), '/e.png');
+    assert.strictEqual(selectUrl(upnp, { icons: [], devices: [] }, {}), null);
+});
+
+// Starts a server which returns the images. The requests are counted for
+// each path.
+const startServer = () => {
+    return new Promise((resolve) => {
+        const counts = {};
+        const server = mHttp.createServer((req, res) => {
+            counts[req.url] = (counts[req.url] || 0) + 1;
+            if (req.url === '/icon.png') {
+                res.writeHead(200, { 'Content-Type': 'image/png' });
+                res.end(PNG);
+            } else if (req.url === '/octet.png') {
+                res.writeHead(200, { 'Content-Type': 'application/octet-stream' });
+                res.end(PNG);
+            } else if (req.url === '/large.png') {
+                res.writeHead(200, { 'Content-Type': 'image/png' });
+                res.end(Buffer.alloc(2000));
+            } else {
+                res.writeHead(404);
+                res.end();
+            }
+        });
+        server.listen(0, '127.0.0.1', () => {
+            resolve({ server, counts, base: 'http://127.0.0.1:' + server.address().port });
+        });
+    });
+};
+
+const createDevice = (base, path) => {
+    return {
+        address: '127.0.0.1',
+        headers: { LOCATION: base + '/desc.xml' },
+        model: { icons: [createIcon('image/PNG', 32, 32, 24, base + path)], devices: [] }
+    };
+};
+
+test('getIcon() fetches the image of the selected icon', async () => {
+    const { server, base } = await startServer();
+    try {
+        const upnp = new UPnPUtils();
+        const icon = await upnp.getIcon(createDevice(base, '/icon.png'));
+        assert.deepStrictEqual(icon, {
+            url: base + '/icon.png',
+            mimetype: 'image/png',
+            width: 32,
+            height: 32,
+            depth: 24,
+            buffer: PNG,
+            dataUri: 'data:image/png;base64,' + PNG.toString('base64')
+        });
+
+        // The MIME type in the description is used for a non-image type.
+        const octet = await upnp.getIcon(createDevice(base, '/octet.png'));
+        assert.strictEqual(octet.mimetype, 'image/png');
+
+        assert.strictEqual(await upnp.getIcon(createDevice(base, '/icon.png'), { minSize: 64 }), null);
+    } finally {
+        mUpnpUtilsDd.clearCache();
+        server.close();
+    }
+});
+
+test('getIcon() rejects an image larger than the maxBytes', async () => {
+    const { server, base } = await startServer();
+    try {
+        const upnp = new UPnPUtils();
+        await assert.rejects(upnp.getIcon(createDevice(base, '/large.png'), { maxBytes: 1000 }), /TOO LARGE RESPONSE/);
+        // The failure is cached until the cache is cleared.
+        await assert.rejects(upnp.getIcon(createDevice(base, '/large.png'), { maxBytes: 2000 }), /TOO LARGE RESPONSE/);
+        mUpnpUtilsDd.clearCache(base + '/large.png');
+        const icon = await upnp.getIcon(createDevice(base, '/large.png'), { maxBytes: 2000 });
+        assert.strictEqual(icon.buffer.length, 2000);
+    } finally {
+        mUpnpUtilsDd.clearCache();
+        server.close();
+    }
+});
+
+test('fetchIcon() caches the image and requests the same URL once at a time', async () => {
+    const { server, base, counts } = await startServer();
+    try {
+        const url = base + '/icon.png';
+        const list = await Promise.all([
+            mUpnpUtilsDd.fetchIcon(url, { cacheTtl: 60000 }),
+            mUpnpUtilsDd.fetchIcon(url, { cacheTtl: 60000 })
+        ]);
+        assert.ok(list[0].buffer.equals(PNG));
+        assert.strictEqual(list[1], list[0]);
+        await mUpnpUtilsDd.fetchIcon(url, { cacheTtl: 60000 });
+        assert.strictEqual(counts['/icon.png'], 1);
+
+        mUpnpUtilsDd.clearCache(url);
+        await mUpnpUtilsDd.fetchIcon(url, { cacheTtl: 60000 });
+        assert.strictEqual(counts['/icon.png'], 2);
+
+        // A failure is cached for the cacheTtl too.
+        await assert.rejects(mUpnpUtilsDd.fetchIcon(base + '/none.png', { cacheTtl: 60000, retries: 0 }), /404/);
+        await assert.rejects(mUpnpUtilsDd.fetchIcon(base + '/none.png', { cacheTtl: 60000, retries: 0 }), /404/);
+        assert.strictEqual(counts['/none.png'], 1);
+    } finally {
+        mUpnpUtilsDd.clearCache();
+        server.close();
+    }
+});
@@ -0,0 +1,97 @@
+'use strict';
+const { test } = require('node:test');
+const assert = require('node:assert');
+const UPnPUtilsIgd = require('../lib/upnp-utils-igd.js');
+const { UPnPActionError, IgdError } = require('../lib/upnp-utils-errors.js');
+
+const SERVICE_TYPE = 'urn:schemas-upnp-org:service:WANIPConnection:1';
+
+const createEntry = (port) => {
+    return {
+        NewRemoteHost: '',
+        NewExternalPort: String(port),
+        NewProtocol: 'TCP',
+        NewInternalPort: String(port),
+        NewInternalClient: '192.168.1.2',
+        NewEnabled: '1',
+        NewPortMappingDescription: 'test ' + port,
+        NewLeaseDuration: '0'
+    };
+};
+
+const createFault = (error_code) => {
+    return new UPnPActionError('SOAP fault: errorCode=' + error_code, {
+        errorCode: error_code,
+        errorDescription: ''
+    });
+};
+
+// A service which returns the `entries` for the GetGenericPortMappingEntry,
+// then throws a SOAP fault with the `end_code`. The invoked actions are
+// recorded.
+const createIgd = (entries, end_code) => {
+    const calls = [];
+    const service = {
+        serviceType: SERVICE_TYPE,
+        async invoke(action_name, args) {
+            calls.push({ action_name, args });
+            const i = args['NewPortMappingIndex'];
+            if (i < entries.length) {
+                return entries[i];
+            }
+            throw createFault(end_code);
+        }
+    };
+    return { igd: new UPnPUtilsIgd({ service }), calls };
+};
+
+test('listPortMappings() returns the entries until the end of the list', async () => {
+    for (const end_code of [713, 714, 501]) {
+        const { igd, calls } = createIgd([createEntry(8080), createEntry(8081)], end_code);
+        const list = await igd.listPortMappings();
+        assert.deepStrictEqual(list.map((m) => m.externalPort), [8080, 8081], String(end_code));
+        assert.strictEqual(list[0].enabled, true);
+        assert.strictEqual(list[0].internalClient, '192.168.1.2');
+        assert.deepStrictEqual(calls.map((c) => c.args['NewPortMappingIndex']), [0, 1, 2]);
+    }
+});
+
+test('listPortMappings() returns an empty list if the IGD has no entry', async () => {
+    for (const end_code of [713, 501]) {
+        const { igd } = createIgd([], end_code);
+        assert.deepStrictEqual(await igd.listPortMappings(), [], String(end_code));
+    }
+});
+
+test('listPortMappings() throws any other error at any index', async () => {
+    for (const entries of [[], [createEntry(8080)]]) {
+        const { igd } = createIgd(entries, 606);
+        await assert.rejects(igd.listPortMappings(), (error) => {
+            return error instanceof IgdError && error.code === 'ACTION_NOT_AUTHORIZED' && error.errorCode === 606;
+        });
+    }
+
+    const igd = new UPnPUtilsIgd({
+        service: {
+            serviceType: SERVICE_TYPE,
+            async invoke() {
+                throw new Error('ECONNRESET');
+            }
+        }
+    });
+    await assert.rejects(igd.listPortMappings(), /ECONNRESET/);
+});
+
+test('an unknown errorCode is converted to an IgdError with the UPNP_ACTION code', async () => {
+    const igd = new UPnPUtilsIgd({
+        service: {
+            serviceType: SERVICE_TYPE,
+            async invoke() {
+                throw createFault(899);
+            }
+        }
+    });
+    await assert.rejects(igd.getExternalIP(), (error) => {
+        return error instanceof IgdError && error.code === 'UPNP_ACTION' && error.action === 'GetExternalIPAddress';
+    });
+});
@@ -0,0 +1,92 @@
+'use strict';
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mUpnpUtilsDd = require('../lib/upnp-utils-dd.js');
+const mUpnpUtilsModel = require('../lib/upnp-utils-model.js');
+const { UPnPUtils } = require('../lib/upnp-utils.js');
+
+const LOCATION = 'http://192.168.1.10:8080/dev/desc.xml';
+
+// A MediaRenderer which has one service, one icon and one embedded device
+// (so the xml2js returns objects instead of arrays), and an embedded device
+// which has two services.
+const DESC = '<?xml version="1.0"?><root xmlns="urn:schemas-upnp-org:device-1-0">' +
+    '<specVersion><major>1</major><minor>1</minor></specVersion>' +
+    '<device>' +
+    '<deviceType>urn:schemas-upnp-org:device:MediaRenderer:1</deviceType>' +
+    '<friendlyName> Living Room </friendlyName><manufacturer>ACME</manufacturer>' +
+    '<modelName>R1</modelName><UDN>uuid:root</UDN>' +
+    '<presentationURL>/</presentationURL>' +
+    '<iconList><icon><mimetype>image/png</mimetype><width>48</width><height>48</height><depth>24</depth><url>icon.png</url></icon></iconList>' +
+    '<serviceList><service>' +
+    '<serviceType>urn:schemas-upnp-org:service:ConnectionManager:1</serviceType>' +
+    '<serviceId>urn:upnp-org:serviceId:ConnectionManager</serviceId>' +
+    '<SCPDURL>cm.xml</SCPDURL><controlURL>/cm/ctl</controlURL><eventSubURL>http://192.168.1.10:9000/cm/evt</eventSubURL>' +
+    '</service></serviceList>' +
+    '<deviceList><device>' +
+    '<deviceType>urn:schemas-upnp-org:device:MediaRenderer:2</deviceType><UDN>uuid:embedded</UDN>' +
+    '<serviceList>' +
+    '<service><serviceType>urn:schemas-upnp-org:service:AVTransport:2</serviceType><serviceId>urn:upnp-org:serviceId:AVTransport</serviceId>' +
+    '<SCPDURL>/avt.xml</SCPDURL><controlURL>/avt/ctl</controlURL><eventSubURL>/avt/evt</eventSubURL></service>' +
+    '<service><serviceType>urn:schemas-upnp-org:service:RenderingControl:1</serviceType><serviceId>urn:upnp-org:serviceId:RenderingControl</serviceId>' +
+    '<SCPDURL>/rcs.xml</SCPDURL><controlURL>/rcs/ctl</controlURL><eventSubURL>/rcs/evt</eventSubURL></service>' +
+    '</serviceList>' +
+    '</device></deviceList>' +
+    '</device></root>';
+
+test('create() normalizes the lists and resolves the URLs against the LOCATION', async () => {
+    const model = mUpnpUtilsModel.create(await mUpnpUtilsDd.parse(DESC, LOCATION), LOCATION);
+    assert.strictEqual(model['friendlyName'], 'Living Room');
+    assert.strictEqual(model['URLBase'], LOCATION);
+    assert.deepStrictEqual(model['specVersion'], { major: 1, minor: 1 });
+    assert.strictEqual(model['presentationURL'], 'http://192.168.1.10:8080/');
+    assert.deepStrictEqual(model['icons'], [{
+        mimetype: 'image/png', width: 48, height: 48, depth: 24, url: 'http://192.168.1.10:8080/dev/icon.png'
+    }]);
+    assert.deepStrictEqual(model['services'], [{
+        serviceType: 'urn:schemas-upnp-org:service:ConnectionManager:1',
+        serviceId: 'urn:upnp-org:serviceId:ConnectionManager',
+        SCPDURL: 'http://192.168.1.10:8080/dev/cm.xml',
+        controlURL: 'http://192.168.1.10:8080/cm/ctl',
+        eventSubURL: 'http://192.168.1.10:9000/cm/evt'
+    }]);
+    assert.strictEqual(model['devices'].length, 1);
+    assert.strictEqual(model['devices'][0]['services'].length, 2);
+    assert.deepStrictEqual(model['devices'][0]['icons'], []);
+    assert.deepStrictEqual(model['devices'][0]['devices'], []);
+    assert.deepStrictEqual(mUpnpUtilsModel.getAllDevices(model).map((d) => d['UDN']), ['uuid:root', 'uuid:embedded']);
+});
+
+test('create() resolves the URLs against the URLBase if specified', async () => {
+    const xml = DESC.replace('<device>', '<URLBase>http://192.168.1.10:49152/</URLBase><device>');
+    const model = mUpnpUtilsModel.create(await mUpnpUtilsDd.parse(xml, LOCATION), LOCATION);
+    assert.strictEqual(model['URLBase'], 'http://192.168.1.10:49152/');
+    assert.strictEqual(model['services'][0]['SCPDURL'], 'http://192.168.1.10:49152/cm.xml');
+    assert.strictEqual(model['devices'][0]['services'][0]['controlURL'], 'http://192.168.1.10:49152/avt/ctl');
+    assert.strictEqual(mUpnpUtilsModel.create({}, LOCATION), null);
+});
+
+test('findService() and findDevice() walk the embedded devices', async () => {
+    const upnp = new UPnPUtils();
+    const device = {
+        headers: { LOCATION: LOCATION },
+        description: await mUpnpUtilsDd.parse(DESC, LOCATION)
+    };
+    const findServiceUrl = (type) => {
+        const service = upnp.findService(device, type);
+        return service ? service['controlURL'] : null;
+    };
+    assert.strictEqual(findServiceUrl('urn:schemas-upnp-org:service:RenderingControl:1'), 'http://192.168.1.10:8080/rcs/ctl');
+    assert.strictEqual(findServiceUrl('urn:upnp-org:serviceId:AVTransport'), 'http://192.168.1.10:8080/avt/ctl');
+    // A higher version is returned if the version is not found, but not a lower one.
+    assert.strictEqual(findServiceUrl('urn:schemas-upnp-org:service:AVTransport:1'), 'http://192.168.1.10:8080/avt/ctl');
+    assert.strictEqual(findServiceUrl('urn:schemas-upnp-org:service:RenderingControl:2'), null);
+
+    assert.strictEqual(upnp.findDevice(device, 'uuid:embedded')['deviceType'], 'urn:schemas-upnp-org:device:MediaRenderer:2');
+    // The exact version is preferred to a higher one.
+    assert.strictEqual(upnp.findDevice(device, 'urn:schemas-upnp-org:device:MediaRenderer:1')['UDN'], 'uuid:root');
+    assert.strictEqual(upnp.findDevice(device, 'urn:schemas-upnp-org:device:MediaRenderer:2')['UDN'], 'uuid:embedded');
+    assert.strictEqual(upnp.findDevice(device, 'urn:schemas-upnp-org:device:MediaServer:1'), null);
+
+    assert.throws(() => upnp.findService({ headers: { LOCATION: LOCATION } }, 'x'), /description of the device is not available/);
+});
@@ -0,0 +1,144 @@
+'use strict';
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mHttp = require('http');
+const UPnPUtilsRenderer = require('../lib/upnp-utils-renderer.js');
+const { UPnPUtils, UPnPActionError, RendererError } = require('../lib/upnp-utils.js');
+
+// A service which records the invoked actions. If the `fault` is
+// specified, every action fails with the SOAP fault of the errorCode.
+const createService = (service_type, fault) => {
+    return {
+        serviceType: service_type,
+        calls: [],
+        async invoke(action_name, args) {
+            this.calls.push({ action_name, args });
+            if (fault) {
+                throw new UPnPActionError('SOAP fault: errorCode=' + fault, { errorCode: fault, errorDescription: 'test' });
+            }
+            return {};
+        }
+    };
+};
+
+const createRenderer = (params = {}) => {
+    const avt = createService('urn:schemas-upnp-org:service:AVTransport:1', params['avtFault']);
+    const rcs = ('rcsFault' in params) ? createService('urn:schemas-upnp-org:service:RenderingControl:1', params['rcsFault']) : null;
+    const renderer = new UPnPUtilsRenderer({ avTransport: avt, renderingControl: rcs, instanceId: params['instanceId'] });
+    return { renderer, avt, rcs };
+};
+
+test('load() sends the URL with the DIDL-Lite metadata', async () => {
+    const { renderer, avt } = createRenderer({ instanceId: 2 });
+    await renderer.load('http://192.168.1.3/a.mp3', { title: 'My <song>', mimetype: 'audio/mpeg' });
+    const args = avt.calls[0].args;
+    assert.strictEqual(avt.calls[0].action_name, 'SetAVTransportURI');
+    assert.strictEqual(args['InstanceID'], 2);
+    assert.strictEqual(args['CurrentURI'], 'http://192.168.1.3/a.mp3');
+    assert.match(args['CurrentURIMetaData'], /^<DIDL-Lite /);
+    assert.match(args['CurrentURIMetaData'], /<dc:title>My &lt;song&gt;<\/dc:title>/);
+    assert.match(args['CurrentURIMetaData'], /protocolInfo="http-get:\*:audio\/mpeg:\*"/);
+
+    await renderer.load('http://192.168.1.3/b.mp3', '<DIDL-Lite/>');
+    assert.strictEqual(avt.calls[1].args['CurrentURIMetaData'], '<DIDL-Lite/>');
+
+    await assert.rejects(renderer.load(''), /URL string/);
+    await assert.rejects(renderer.load('http://192.168.1.3/c.mp3', 1), /DIDL-Lite string or an object/);
+    assert.strictEqual(avt.calls.length, 2);
+});
+
+test('seek() formats the target for the unit', async () => {
+    const { renderer, avt } = createRenderer();
+    await renderer.seek(90);
+    await renderer.seek(3725.5, 'ABS_TIME');
+    await renderer.seek(5, 'TRACK_NR');
+    await renderer.seek('0:00:10');
+    assert.deepStrictEqual(avt.calls.map((c) => c.args), [
+        { InstanceID: 0, Unit: 'REL_TIME', Target: '0:01:30' },
+        { InstanceID: 0, Unit: 'ABS_TIME', Target: '1:02:05.500' },
+        { InstanceID: 0, Unit: 'TRACK_NR', Target: '5' },
+        { InstanceID: 0, Unit: 'REL_TIME', Target: '0:00:10' }
+    ]);
+
+    await assert.rejects(renderer.seek(10, 'SECONDS'), /must be one of/);
+    await assert.rejects(renderer.seek(-1), /greater than or equal to 0/);
+    await assert.rejects(renderer.seek(''), /greater than or equal to 0/);
+    assert.strictEqual(avt.calls.length, 4);
+});
+
+test('a SOAP fault is converted to a RendererError of the service', async () => {
+    const cases = [
+        [{ avtFault: 701 }, (r) => r.play(), 'AVTransport', 'Play', 'TRANSITION_NOT_AVAILABLE'],
+        [{ avtFault: 718 }, (r) => r.stop(), 'AVTransport', 'Stop', 'INVALID_INSTANCE_ID'],
+        [{ avtFault: 402 }, (r) => r.pause(), 'AVTransport', 'Pause', 'INVALID_ARGS'],
+        [{ avtFault: 799 }, (r) => r.getTransportInfo(), 'AVTransport', 'GetTransportInfo', 'UPNP_ACTION'],
+        [{ rcsFault: 702 }, (r) => r.setVolume(10), 'RenderingControl', 'SetVolume', 'INVALID_INSTANCE_ID'],
+        [{ rcsFault: 701 }, (r) => r.getMute('LF'), 'RenderingControl', 'GetMute', 'INVALID_NAME']
+    ];
+    for (const [params, fn, service, action, code] of cases) {
+        const { renderer } = createRenderer(params);
+        await assert.rejects(fn(renderer), (error) => {
+            assert.ok(error instanceof RendererError);
+            assert.strictEqual(error.code, code);
+            assert.strictEqual(error.service, service);
+            assert.strictEqual(error.action, action);
+            assert.ok(error.cause instanceof UPnPActionError);
+            return true;
+        }, action);
+    }
+
+    // The RenderingControl is optional.
+    const { renderer } = createRenderer();
+    await assert.rejects(renderer.getVolume(), (error) => {
+        return !(error instanceof RendererError) && /RenderingControl service is not available/.test(error.message);
+    });
+});
+
+test('createRendererClient() uses the services of a higher version', async () => {
+    const server = mHttp.createServer((req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/xml' });
+        res.end('<?xml version="1.0"?><scpd xmlns="urn:schemas-upnp-org:service-1-0">' +
+            '<specVersion><major>1</major><minor>0</minor></specVersion><actionList/><serviceStateTable/></scpd>');
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    try {
+        const base = 'http://127.0.0.1:' + server.address().port;
+        const createServiceDesc = (name, version) => {
+            return {
+                serviceType: 'urn:schemas-upnp-org:service:' + name + ':' + version,
+                serviceId: 'urn:upnp-org:serviceId:' + name,
+                SCPDURL: '/' + name + '-' + version + '.xml',
+                controlURL: '/' + name + '/ctl',
+                eventSubURL: '/' + name + '/evt'
+            };
+        };
+        const device = {
+            address: '127.0.0.1',
+            headers: { LOCATION: base + '/desc.xml' },
+            description: {
+                device: {
+                    deviceType: 'urn:schemas-upnp-org:device:MediaRenderer:3',
+                    UDN: 'uuid:renderer-test',
+                    deviceList: {
+                        device: {
+                            deviceType: 'urn:schemas-upnp-org:device:MediaRenderer:3',
+                            UDN: 'uuid:renderer-test-embedded',
+                            serviceList: {
+                                service: [createServiceDesc('AVTransport', 3), createServiceDesc('RenderingControl', 2)]
+                            }
+                        }
+                    }
+                }
+            }
+        };
+        const renderer = await new UPnPUtils().createRendererClient(device);
+        assert.strictEqual(renderer.avTransport.serviceType, 'urn:schemas-upnp-org:service:AVTransport:3');
+        assert.strictEqual(renderer.avTransport.controlURL, base + '/AVTransport/ctl');
+        assert.strictEqual(renderer.renderingControl.serviceType, 'urn:schemas-upnp-org:service:RenderingControl:2');
+
+        device.description.device.deviceList.device.serviceList.service = [createServiceDesc('RenderingControl', 1)];
+        await assert.rejects(new UPnPUtils().createRendererClient(device), /No AVTransport service/);
+    } finally {
+        server.close();
+    }
+});
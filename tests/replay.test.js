@@ -0,0 +1,123 @@
+'use strict';
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mEventEmitter = require('events');
+const mFs = require('fs');
+const mHttp = require('http');
+const mOs = require('os');
+const mPath = require('path');
+const { UPnPUtils, HttpStatusError, DescriptionFetchError } = require('../lib/upnp-utils.js');
+
+const DESC = '<?xml version="1.0"?><root xmlns="urn:schemas-upnp-org:device-1-0">' +
+    '<specVersion><major>1</major><minor>0</minor></specVersion>' +
+    '<device><deviceType>urn:schemas-upnp-org:device:Basic:1</deviceType>' +
+    '<friendlyName>Replay Test</friendlyName><UDN>uuid:replay-a</UDN></device></root>';
+
+// A UDP socket which does not touch the network
+class FakeSocket extends mEventEmitter {
+    bind(opts, callback) {
+        setImmediate(() => {
+            this.emit('listening');
+            callback();
+        });
+    }
+    addMembership() { }
+    dropMembership() { }
+    setMulticastInterface() { }
+    send(buf, offset, length, port, addr, callback) {
+        callback();
+    }
+    close(callback) {
+        if (callback) {
+            setImmediate(callback);
+        }
+    }
+    unref() { }
+}
+
+const createResponse = (udn, location) => {
+    return Buffer.from([
+        'HTTP/1.1 200 OK',
+        'CACHE-CONTROL: max-age=1800',
+        'EXT:',
+        'LOCATION: ' + location,
+        'SERVER: Linux/5.0 UPnP/1.1 Test/1.0',
+        'ST: upnp:rootdevice',
+        'USN: ' + udn + '::upnp:rootdevice',
+        '', ''
+    ].join('\r\n'));
+};
+
+// Creates a discovery instance which captures the datagrams fed by the
+// `_receivePacket()` and the descriptions fetched from the local server.
+const capture = async (path, base) => {
+    const upnp = new UPnPUtils({ createSocket: () => new FakeSocket() });
+    upnp.wait = async () => { };
+    upnp.on('error', () => { });
+    await upnp.startDiscovery({ st: 'upnp:rootdevice', capture: path, fetch: { retries: 0 } });
+    const rinfo = { address: '127.0.0.1', port: 1900, family: 'IPv4' };
+    await upnp._receivePacket(createResponse('uuid:replay-a', base + '/a.xml'), rinfo);
+    await upnp._receivePacket(createResponse('uuid:replay-b', base + '/b.xml'), rinfo);
+    const list = upnp.getActiveDeviceList();
+    await upnp.stopDiscovery();
+    return list;
+};
+
+test('replay() reproduces the devices and the errors of the capture', async () => {
+    const server = mHttp.createServer((req, res) => {
+        if (req.url === '/a.xml') {
+            res.writeHead(200, { 'Content-Type': 'text/xml' });
+            res.end(DESC);
+        } else {
+            res.writeHead(503);
+            res.end();
+        }
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    const dir = await mFs.promises.mkdtemp(mPath.join(mOs.tmpdir(), 'upnp-utils-'));
+    const path = mPath.join(dir, 'capture.ndjson');
+    try {
+        const base = 'http://127.0.0.1:' + server.address().port;
+        const captured = await capture(path, base);
+        assert.strictEqual(captured.length, 2);
+
+        const upnp = new UPnPUtils();
+        const errors = [];
+        upnp.on('error', (error) => errors.push(error));
+        const replayed = await upnp.replay(path);
+
+        const a = replayed.find((d) => d['udn'] === 'uuid:replay-a');
+        assert.strictEqual(a['model']['friendlyName'], 'Replay Test');
+        assert.strictEqual(a['descriptionXML'], DESC);
+        assert.strictEqual(a['descriptionError'], null);
+
+        const b = replayed.find((d) => d['udn'] === 'uuid:replay-b');
+        assert.ok(!b['description']);
+        assert.deepStrictEqual(b['descriptionError'], captured.find((d) => d['udn'] === 'uuid:replay-b')['descriptionError']);
+        assert.strictEqual(errors.length, 1);
+        assert.ok(errors[0] instanceof HttpStatusError);
+        assert.strictEqual(errors[0].code, 'HTTP_STATUS');
+        assert.strictEqual(errors[0].statusCode, 503);
+        assert.strictEqual(errors[0].url, base + '/b.xml');
+    } finally {
+        server.close();
+        await mFs.promises.rm(dir, { recursive: true, force: true });
+    }
+});
+
+test('replay() rebuilds an error of another class as a DescriptionFetchError', async () => {
+    const location = 'http://192.168.1.10:8080/desc.xml';
+    const upnp = new UPnPUtils();
+    const errors = [];
+    upnp.on('error', (error) => errors.push(error));
+    const list = await upnp.replay([
+        { type: 'ssdp', address: '192.168.1.10', port: 1900, text: createResponse('uuid:replay-c', location).toString() },
+        { type: 'description', url: location, error: { name: 'IgdError', code: 'NO_SUCH_ENTRY_IN_ARRAY', message: 'Broken', errorCode: 714 } }
+    ]);
+    assert.strictEqual(list.length, 1);
+    assert.strictEqual(errors.length, 1);
+    assert.ok(errors[0] instanceof DescriptionFetchError);
+    assert.strictEqual(errors[0].code, 'DESCRIPTION_FETCH');
+    assert.strictEqual(errors[0].message, 'Broken');
+    assert.strictEqual(errors[0].errorCode, 714);
+});
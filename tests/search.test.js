@@ -0,0 +1,509 @@
+'use strict';
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mEventEmitter = require('events');
+const mOs = require('os');
+const mUpnpUtilsDd = require('../lib/upnp-utils-dd.js');
+const { UPnPUtils, SocketBindError } = require('../lib/upnp-utils.js');
+
+// A UDP socket which does not touch the network. The sent messages and
+// the joined multicast groups are recorded. Binding to any of the
+// `fail_ports` fails.
+class FakeSocket extends mEventEmitter {
+    constructor(opts, fail_ports = []) {
+        super();
+        this.type = opts.type;
+        this.fail_ports = fail_ports;
+        this.sent = [];
+        this.memberships = [];
+        this.interfaces = [];
+    }
+    bind(opts, callback) {
+        this.port = opts.port;
+        this.address = opts.address;
+        setImmediate(() => {
+            if (this.fail_ports.includes(opts.port)) {
+                this.emit('error', new Error('EADDRINUSE'));
+                return;
+            }
+            this.emit('listening');
+            callback();
+        });
+    }
+    addMembership(mcast_addr, netif_address) {
+        this.memberships.push(mcast_addr + ' ' + netif_address);
+    }
+    dropMembership() { }
+    setMulticastInterface(netif_address) {
+        this.interfaces.push(netif_address);
+    }
+    send(buf, offset, length, port, addr, callback) {
+        this.sent.push({ text: buf.toString(), port: port, address: addr });
+        callback();
+    }
+    close(callback) {
+        if (callback) {
+            setImmediate(callback);
+        }
+    }
+    unref() { }
+}
+
+const NETIFS = {
+    lo: [
+        { address: '127.0.0.1', netmask: '255.0.0.0', family: 'IPv4', internal: true, cidr: '127.0.0.1/8' }
+    ],
+    eth0: [
+        { address: '192.168.1.2', netmask: '255.255.255.0', family: 'IPv4', internal: false, cidr: '192.168.1.2/24' },
+        { address: 'fe80::2', netmask: 'ffff:ffff:ffff:ffff::', family: 'IPv6', internal: false, cidr: 'fe80::2/64', scopeid: 2 }
+    ],
+    wlan0: [
+        { address: '10.0.0.2', netmask: '255.255.255.0', family: 'IPv4', internal: false, cidr: '10.0.0.2/24' },
+        { address: '203.0.113.2', netmask: '255.255.255.0', family: 'IPv4', internal: false, cidr: '203.0.113.2/24' }
+    ]
+};
+
+// The zone index of the eth0 in the scoped IPv6 addresses
+const SCOPE = (process.platform === 'win32') ? '2' : 'eth0';
+
+// Creates a discovery instance with the fake sockets and the fake network
+// interfaces. The waits between the M-SEARCH messages are skipped.
+const createUpnp = (params = {}, fail_ports = []) => {
+    const sockets = [];
+    const upnp = new UPnPUtils(Object.assign({
+        createSocket: (opts) => {
+            const udp = new FakeSocket(opts, fail_ports);
+            sockets.push(udp);
+            return udp;
+        }
+    }, params));
+    upnp.wait = async () => { };
+    upnp._fetchDescription = async () => { };
+    return { upnp, sockets };
+};
+
+const withNetifs = async (fn) => {
+    const networkInterfaces = mOs.networkInterfaces;
+    mOs.networkInterfaces = () => NETIFS;
+    try {
+        await fn();
+    } finally {
+        mOs.networkInterfaces = networkInterfaces;
+    }
+};
+
+const createResponse = (udn, location, st = 'upnp:rootdevice') => {
+    return Buffer.from([
+        'HTTP/1.1 200 OK',
+        'CACHE-CONTROL: max-age=1800',
+        'EXT:',
+        'LOCATION: ' + location,
+        'SERVER: Linux/5.0 UPnP/1.1 Test/1.0',
+        'ST: ' + st,
+        'USN: ' + ((st === udn) ? udn : udn + '::' + st),
+        '', ''
+    ].join('\r\n'));
+};
+
+// Returns the M-SEARCH messages sent from the sockets as strings like
+// "FF02::C%eth0:1900 [FF02::C]:1900 upnp:rootdevice" without duplicates.
+const getSearches = (sockets) => {
+    const list = [];
+    for (const udp of sockets) {
+        for (const m of udp.sent) {
+            const host = m.text.match(/^HOST: (.+)$/m)[1];
+            const st = m.text.match(/^ST: (.+)$/m)[1];
+            list.push(m.address + ':' + m.port + ' ' + host + ' ' + st);
+        }
+    }
+    return list.filter((v, i) => list.indexOf(v) === i);
+};
+
+test('an overlapping startDiscovery() is rejected while the first one is starting', async () => {
+    await withNetifs(async () => {
+        const { upnp, sockets } = createUpnp();
+        const resolveTargets = upnp._resolveTargets.bind(upnp);
+        upnp._resolveTargets = async (...args) => {
+            await new Promise((resolve) => setTimeout(resolve, 20));
+            return resolveTargets(...args);
+        };
+        const first = upnp.startDiscovery();
+        await assert.rejects(upnp.startDiscovery(), /simultaneously/);
+        await first;
+        assert.strictEqual(sockets.length, 1);
+        await upnp.stopDiscovery();
+
+        // The flag is reset after a failure.
+        upnp._resolveTargets = async () => {
+            throw new Error('DNS failure');
+        };
+        await assert.rejects(upnp.startDiscovery(), /DNS failure/);
+        upnp._resolveTargets = resolveTargets;
+        await upnp.startDiscovery();
+        await upnp.stopDiscovery();
+    });
+});
+
+test('IPv6 discovery joins and searches the link-local and site-local scopes', async () => {
+    await withNetifs(async () => {
+        const { upnp, sockets } = createUpnp();
+        await upnp.startDiscovery({ family: 'IPv6' });
+        assert.deepStrictEqual(sockets.map((udp) => udp.type + ':' + udp.port), ['udp6:1900']);
+        assert.deepStrictEqual(sockets[0].memberships, ['FF02::C ::%' + SCOPE, 'FF05::C ::%' + SCOPE]);
+        assert.deepStrictEqual(sockets[0].interfaces, ['::%' + SCOPE]);
+        assert.deepStrictEqual(getSearches(sockets), [
+            'FF02::C%' + SCOPE + ':1900 [FF02::C]:1900 upnp:rootdevice',
+            'FF05::C%' + SCOPE + ':1900 [FF05::C]:1900 upnp:rootdevice'
+        ]);
+        assert.deepStrictEqual(upnp.getActiveInterfaceList().map((n) => n.name + ' ' + n.address + ' ' + n.scopeid), ['eth0 fe80::2 2']);
+        await upnp.stopDiscovery();
+    });
+});
+
+test('both families use an IPv4 and an IPv6 socket', async () => {
+    await withNetifs(async () => {
+        const { upnp, sockets } = createUpnp();
+        await upnp.startDiscovery({ family: 'both' });
+        assert.deepStrictEqual(sockets.map((udp) => udp.type + ':' + udp.port), ['udp4:1900', 'udp6:1900']);
+        assert.deepStrictEqual(sockets[0].memberships, ['239.255.255.250 192.168.1.2', '239.255.255.250 10.0.0.2']);
+        assert.ok(getSearches([sockets[0]]).includes('239.255.255.250:1900 239.255.255.250:1900 upnp:rootdevice'));
+        assert.strictEqual(getSearches([sockets[1]]).length, 2);
+        await upnp.stopDiscovery();
+    });
+});
+
+test('the description on a link-local address is fetched with the zone of the source', async () => {
+    await withNetifs(async () => {
+        const { upnp } = createUpnp();
+        delete upnp._fetchDescription;
+        const fetched = [];
+        const fetch = mUpnpUtilsDd.fetch;
+        mUpnpUtilsDd.fetch = async (url, opts) => {
+            fetched.push(url + ' ' + opts['zone']);
+            return { dheaders: {}, xml: '', obj: null, error: null };
+        };
+        try {
+            await upnp.startDiscovery({ family: 'IPv6' });
+            const rinfo = { address: 'fe80::10%eth0', port: 1900, family: 'IPv6' };
+            await upnp._receivePacket(createResponse('uuid:v6-a', 'http://[fe80::10]:8080/desc.xml'), rinfo);
+            await upnp._receivePacket(createResponse('uuid:v6-b', 'http://[FE80:0:0:0:0:0:0:10%25eth0]:8080/desc.xml'), rinfo);
+            // The LOCATION must point to the source address.
+            await upnp._receivePacket(createResponse('uuid:v6-c', 'http://[fe80::11]:8080/desc.xml'), rinfo);
+            await upnp.stopDiscovery();
+        } finally {
+            mUpnpUtilsDd.fetch = fetch;
+        }
+        assert.deepStrictEqual(fetched, [
+            'http://[fe80::10]:8080/desc.xml eth0',
+            'http://[FE80:0:0:0:0:0:0:10%25eth0]:8080/desc.xml eth0'
+        ]);
+        const device = upnp.findDevices({ udn: 'uuid:v6-a' })[0];
+        assert.strictEqual(device['address'], 'fe80::10%eth0');
+        assert.deepStrictEqual(device['interface'], { name: 'eth0', address: 'fe80::2' });
+    });
+});
+
+test('each instance runs with its own multicast address, port and bind address', async () => {
+    await withNetifs(async () => {
+        const a = createUpnp({ multicastAddress: '239.255.255.251', ssdpPort: 11900, bindAddress: '192.168.1.2' });
+        const b = createUpnp();
+        await Promise.all([a.upnp.startDiscovery(), b.upnp.startDiscovery({ st: 'ssdp:all' })]);
+        assert.deepStrictEqual(a.sockets.map((udp) => udp.address + ':' + udp.port), ['192.168.1.2:11900']);
+        assert.deepStrictEqual(a.sockets[0].memberships, ['239.255.255.251 192.168.1.2', '239.255.255.251 10.0.0.2']);
+        assert.deepStrictEqual(getSearches(a.sockets), ['239.255.255.251:11900 239.255.255.251:11900 upnp:rootdevice']);
+        assert.deepStrictEqual(b.sockets.map((udp) => udp.address + ':' + udp.port), ['undefined:1900']);
+        assert.deepStrictEqual(getSearches(b.sockets), ['239.255.255.250:1900 239.255.255.250:1900 ssdp:all']);
+        await Promise.all([a.upnp.stopDiscovery(), b.upnp.stopDiscovery()]);
+    });
+    assert.throws(() => new UPnPUtils({ multicastAddress: 'FF02::C' }), /"multicastAddress"/);
+    assert.throws(() => new UPnPUtils({ ssdpPort: 0 }), /"ssdpPort"/);
+    assert.throws(() => new UPnPUtils({ bindAddress: 'localhost' }), /"bindAddress"/);
+    assert.throws(() => new UPnPUtils({ createSocket: 'udp4' }), /"createSocket"/);
+    // The module itself is the default instance.
+    assert.ok(require('../lib/upnp-utils.js') instanceof UPnPUtils);
+});
+
+test('the separate search socket sends M-SEARCH messages from an ephemeral port', async () => {
+    await withNetifs(async () => {
+        const { upnp, sockets } = createUpnp();
+        await upnp.startDiscovery({ searchSocket: 'separate' });
+        assert.deepStrictEqual(sockets.map((udp) => udp.type + ':' + udp.port), ['udp4:1900', 'udp4:0']);
+        assert.strictEqual(sockets[0].memberships.length, 2);
+        assert.strictEqual(sockets[0].sent.length, 0);
+        assert.deepStrictEqual(getSearches([sockets[1]]), ['239.255.255.250:1900 239.255.255.250:1900 upnp:rootdevice']);
+        await upnp.stopDiscovery();
+    });
+});
+
+test('the search works without the SSDP port in the separate mode', async () => {
+    await withNetifs(async () => {
+        const { upnp, sockets } = createUpnp({}, [1900]);
+        const errors = [];
+        upnp.on('error', (error) => errors.push(error));
+        await upnp.startDiscovery({ searchSocket: 'separate' });
+        assert.strictEqual(errors.length, 1);
+        assert.ok(errors[0] instanceof SocketBindError);
+        assert.strictEqual(errors[0].port, 1900);
+        assert.strictEqual(getSearches([sockets[1]]).length, 1);
+        await upnp.stopDiscovery();
+
+        // In the shared mode, the discovery can not start.
+        await assert.rejects(upnp.startDiscovery(), SocketBindError);
+        assert.strictEqual(upnp._is_discovering, false);
+    });
+});
+
+test('the SSDP port is not bound if the notify is false', async () => {
+    await withNetifs(async () => {
+        const { upnp, sockets } = createUpnp({}, [1900]);
+        await upnp.startDiscovery({ notify: false });
+        assert.deepStrictEqual(sockets.map((udp) => udp.type + ':' + udp.port), ['udp4:0']);
+        assert.deepStrictEqual(sockets[0].memberships, []);
+        assert.strictEqual(getSearches(sockets).length, 1);
+        await upnp.stopDiscovery();
+    });
+});
+
+test('a unicast M-SEARCH is sent to each target without the MX header', async () => {
+    await withNetifs(async () => {
+        const { upnp, sockets } = createUpnp();
+        await upnp.startDiscovery({ target: ['10.1.2.3', '203.0.113.9:1901'], st: ['upnp:rootdevice', 'ssdp:all'] });
+        assert.deepStrictEqual(sockets.map((udp) => udp.type + ':' + udp.port), ['udp4:0']);
+        assert.deepStrictEqual(getSearches(sockets), [
+            '10.1.2.3:1900 10.1.2.3:1900 upnp:rootdevice',
+            '10.1.2.3:1900 10.1.2.3:1900 ssdp:all',
+            '203.0.113.9:1901 203.0.113.9:1901 upnp:rootdevice',
+            '203.0.113.9:1901 203.0.113.9:1901 ssdp:all'
+        ]);
+        assert.ok(sockets[0].sent.every((m) => !/^MX:/m.test(m.text)));
+
+        // The response is handled in the same way as the multicast search.
+        await upnp._receivePacket(createResponse('uuid:unicast', 'http://10.1.2.3:8080/desc.xml'), { address: '10.1.2.3', port: 1900, family: 'IPv4' });
+        assert.strictEqual(upnp.getActiveDeviceList()[0]['udn'], 'uuid:unicast');
+        await upnp.stopDiscovery();
+    });
+});
+
+test('the family is determined from the targets', async () => {
+    await withNetifs(async () => {
+        const { upnp, sockets } = createUpnp();
+        await upnp.startDiscovery({ target: '[fe80::1%eth0]:1900' });
+        assert.deepStrictEqual(sockets.map((udp) => udp.type + ':' + udp.port), ['udp6:0']);
+        assert.deepStrictEqual(getSearches(sockets), ['fe80::1%eth0:1900 [fe80::1]:1900 upnp:rootdevice']);
+        await upnp.stopDiscovery();
+
+        sockets.length = 0;
+        await upnp.startDiscovery({ target: ['10.1.2.3', 'fe80::1%eth0'] });
+        assert.deepStrictEqual(sockets.map((udp) => udp.type + ':' + udp.port), ['udp4:0', 'udp6:0']);
+        await upnp.stopDiscovery();
+
+        await assert.rejects(upnp.startDiscovery({ target: 'fe80::1%eth0', family: 'IPv4' }), /does not match the "family"/);
+        await assert.rejects(upnp.startDiscovery({ target: '10.1.2.3:0' }), /"target" is invalid: 10\.1\.2\.3:0/);
+        await assert.rejects(upnp.startDiscovery({ target: [''] }), /"target" is invalid/);
+    });
+});
+
+test('the network interfaces are selected by the name, the CIDR and the address', async () => {
+    await withNetifs(async () => {
+        const { upnp, sockets } = createUpnp();
+        const getAddresses = async (params) => {
+            await upnp.startDiscovery(params);
+            const list = upnp.getActiveInterfaceList().map((netif) => netif.name + ' ' + netif.address);
+            await upnp.stopDiscovery();
+            return list;
+        };
+        // By default, the loopback and the global IPv4 addresses are excluded.
+        assert.deepStrictEqual(await getAddresses({}), ['eth0 192.168.1.2', 'wlan0 10.0.0.2']);
+        assert.deepStrictEqual(await getAddresses({ interfaces: ['wlan0'] }), ['wlan0 10.0.0.2']);
+        assert.deepStrictEqual(await getAddresses({ excludeInterfaces: ['wlan0'] }), ['eth0 192.168.1.2']);
+        assert.deepStrictEqual(await getAddresses({ cidr: ['203.0.113.0/24', 'fd00::/8'] }), ['wlan0 203.0.113.2']);
+        assert.deepStrictEqual(await getAddresses({ loopback: true, interfaces: ['lo', 'eth0'] }), ['lo 127.0.0.1', 'eth0 192.168.1.2']);
+        assert.deepStrictEqual(await getAddresses({ addresses: ['203.0.113.2'] }), ['wlan0 203.0.113.2']);
+        assert.deepStrictEqual(await getAddresses({ family: 'both', interfaces: ['eth0'] }), ['eth0 192.168.1.2', 'eth0 fe80::2']);
+
+        // Only the selected interfaces join the multicast group.
+        sockets.length = 0;
+        await upnp.startDiscovery({ interfaces: ['wlan0'] });
+        assert.deepStrictEqual(sockets[0].memberships, ['239.255.255.250 10.0.0.2']);
+        assert.deepStrictEqual(sockets[0].interfaces, ['10.0.0.2']);
+        await upnp.stopDiscovery();
+
+        await assert.rejects(upnp.startDiscovery({ addresses: ['192.168.1.99'] }), /"192\.168\.1\.99" is not assigned/);
+        await assert.rejects(upnp.startDiscovery({ cidr: ['10.0.0.0/33'] }), /"cidr" is invalid/);
+        await assert.rejects(upnp.startDiscovery({ interfaces: 'eth0' }), /"interfaces" is invalid/);
+    });
+});
+
+test('each device records the interface which found it', async () => {
+    await withNetifs(async () => {
+        const { upnp } = createUpnp();
+        await upnp.startDiscovery();
+        await upnp._receivePacket(createResponse('uuid:eth0', 'http://192.168.1.50/desc.xml'), { address: '192.168.1.50', port: 1900 });
+        await upnp._receivePacket(createResponse('uuid:wlan0', 'http://10.0.0.50/desc.xml'), { address: '10.0.0.50', port: 1900 });
+        await upnp._receivePacket(createResponse('uuid:routed', 'http://172.16.0.50/desc.xml'), { address: '172.16.0.50', port: 1900 });
+        await upnp.stopDiscovery();
+        const interfaces = {};
+        for (const device of upnp.getActiveDeviceList()) {
+            interfaces[device['udn']] = device['interface'];
+        }
+        assert.deepStrictEqual(interfaces, {
+            'uuid:eth0': { name: 'eth0', address: '192.168.1.2' },
+            'uuid:wlan0': { name: 'wlan0', address: '10.0.0.2' },
+            'uuid:routed': null
+        });
+    });
+});
+
+const createNotify = (nts, udn, nt) => {
+    const lines = [
+        'NOTIFY * HTTP/1.1',
+        'HOST: 239.255.255.250:1900',
+        'NT: ' + nt,
+        'NTS: ' + nts,
+        'USN: ' + ((nt === udn) ? udn : udn + '::' + nt)
+    ];
+    if (nts === 'ssdp:alive') {
+        lines.push('CACHE-CONTROL: max-age=1800', 'LOCATION: http://192.168.1.50/desc.xml', 'SERVER: Linux/5.0 UPnP/1.1 Test/1.0');
+    }
+    return Buffer.from(lines.concat(['', '']).join('\r\n'));
+};
+
+test('the results of several STs are grouped by the UDN', async () => {
+    await withNetifs(async () => {
+        const { upnp, sockets } = createUpnp();
+        const events = [];
+        for (const type of ['added', 'updated', 'deleted']) {
+            upnp.on(type, (device) => events.push(type + ' ' + device['udn']));
+        }
+        const st_list = ['urn:schemas-upnp-org:device:MediaRenderer:1', 'urn:dial-multiscreen-org:service:dial:1'];
+        await upnp.startDiscovery({ st: st_list.concat(st_list[0]) });
+        // The duplicated ST is searched only once.
+        assert.deepStrictEqual(getSearches(sockets).map((s) => s.split(' ')[2]), st_list);
+
+        const rinfo = { address: '192.168.1.50', port: 1900 };
+        const location = 'http://192.168.1.50/desc.xml';
+        await upnp._receivePacket(createResponse('uuid:tv', location, st_list[0]), rinfo);
+        await upnp._receivePacket(createResponse('uuid:tv', location, st_list[1]), rinfo);
+        await upnp._receivePacket(createResponse('uuid:tv', location, st_list[1]), rinfo);
+        // A NOTIFY of an NT which is not searched is ignored.
+        await upnp._receivePacket(createNotify('ssdp:alive', 'uuid:tv', 'upnp:rootdevice'), rinfo);
+        await upnp._receivePacket(createNotify('ssdp:alive', 'uuid:speaker', st_list[0]), rinfo);
+
+        const list = upnp.getActiveDeviceList();
+        assert.deepStrictEqual(list.map((d) => d['udn']), ['uuid:tv', 'uuid:speaker']);
+        assert.deepStrictEqual(list[0]['usnList'].map((e) => e['usn'] + ' ' + e['st']), [
+            'uuid:tv::' + st_list[0] + ' ' + st_list[0],
+            'uuid:tv::' + st_list[1] + ' ' + st_list[1]
+        ]);
+        assert.deepStrictEqual(events, ['added uuid:tv', 'added uuid:speaker']);
+
+        // The device is deleted when the last USN is gone.
+        await upnp._receivePacket(createNotify('ssdp:byebye', 'uuid:tv', st_list[0]), rinfo);
+        assert.deepStrictEqual(upnp.findDevices({ udn: 'uuid:tv' })[0]['usnList'].map((e) => e['st']), [st_list[1]]);
+        await upnp._receivePacket(createNotify('ssdp:byebye', 'uuid:tv', st_list[1]), rinfo);
+        assert.deepStrictEqual(upnp.getActiveDeviceList().map((d) => d['udn']), ['uuid:speaker']);
+        assert.deepStrictEqual(events.slice(2), ['deleted uuid:tv']);
+        await upnp.stopDiscovery();
+    });
+});
+
+// Lets the callbacks of the fired timers finish their asynchronous work.
+const flush = async () => {
+    for (let i = 0; i < 20; i++) {
+        await new Promise((resolve) => setImmediate(resolve));
+    }
+};
+
+const countSent = (sockets) => {
+    return sockets.reduce((n, udp) => n + udp.sent.length, 0);
+};
+
+test('the interval of the periodic search is doubled while the devices are stable', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 1000000 });
+    await withNetifs(async () => {
+        const { upnp, sockets } = createUpnp();
+        await upnp.startDiscovery({ netif: 'eth0', searchInterval: 10, searchIntervalMax: 40, searchJitter: 0 });
+        const per_search = countSent(sockets);
+        assert.ok(per_search > 0);
+
+        const intervals = [];
+        for (const msec of [10000, 20000, 40000]) {
+            t.mock.timers.tick(msec);
+            await flush();
+            intervals.push(upnp._search_interval);
+        }
+        assert.deepStrictEqual(intervals, [20, 40, 40]);
+        assert.strictEqual(countSent(sockets), per_search * 4);
+
+        // A new device resets the interval.
+        const rinfo = { address: '192.168.1.50', port: 1900 };
+        await upnp._receivePacket(createResponse('uuid:new', 'http://192.168.1.50/desc.xml'), rinfo);
+        t.mock.timers.tick(40000);
+        await flush();
+        assert.strictEqual(upnp._search_interval, 10);
+        assert.strictEqual(countSent(sockets), per_search * 5);
+
+        // The searchNow() searches immediately and resets the interval too.
+        t.mock.timers.tick(10000);
+        await flush();
+        assert.strictEqual(upnp._search_interval, 20);
+        await upnp.searchNow();
+        assert.strictEqual(upnp._search_interval, 10);
+        assert.strictEqual(countSent(sockets), per_search * 7);
+        t.mock.timers.tick(9999);
+        await flush();
+        assert.strictEqual(countSent(sockets), per_search * 7);
+        t.mock.timers.tick(1);
+        await flush();
+        assert.strictEqual(countSent(sockets), per_search * 8);
+
+        await upnp.stopDiscovery();
+        t.mock.timers.tick(86400000);
+        await flush();
+        assert.strictEqual(countSent(sockets), per_search * 8);
+        await assert.rejects(upnp.searchNow(), /discovery process is not running/);
+    });
+});
+
+test('a device is deleted if it has missed the maxMissedSearches searches', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 1000000 });
+    await withNetifs(async () => {
+        const { upnp } = createUpnp();
+        const deleted = [];
+        upnp.on('deleted', (device) => deleted.push(device['udn']));
+        await upnp.startDiscovery({ netif: 'eth0', mx: 1, maxMissedSearches: 2 });
+        const rinfo = { address: '192.168.1.50', port: 1900 };
+        const receive = async (udn) => {
+            await upnp._receivePacket(createResponse(udn, 'http://192.168.1.50/desc.xml'), rinfo);
+        };
+        await receive('uuid:a');
+        await receive('uuid:b');
+
+        // Both are missed once, then the "a" answers to the next search.
+        t.mock.timers.tick(2000);
+        await upnp.searchNow();
+        await receive('uuid:a');
+        t.mock.timers.tick(2000);
+        await flush();
+        assert.deepStrictEqual(deleted, []);
+
+        await upnp.searchNow();
+        t.mock.timers.tick(2000);
+        await flush();
+        assert.deepStrictEqual(deleted, ['uuid:b']);
+        assert.deepStrictEqual(upnp.getActiveDeviceList().map((d) => d['udn']), ['uuid:a']);
+        await upnp.stopDiscovery();
+    });
+});
+
+test('the parameters of the periodic search are validated', () => {
+    const upnp = new UPnPUtils();
+    const check = (params) => upnp._checkMSearchParams(params)['search'];
+    assert.deepStrictEqual(check({}), { interval: 0, intervalMax: 0, jitter: 0.1, maxMissed: 0 });
+    assert.deepStrictEqual(check({ searchInterval: 60 }), { interval: 60, intervalMax: 60, jitter: 0.1, maxMissed: 0 });
+    assert.throws(() => check({ searchInterval: 4 }), /"searchInterval"/);
+    assert.throws(() => check({ searchInterval: 10.5 }), /"searchInterval"/);
+    assert.throws(() => check({ searchInterval: 60, searchIntervalMax: 30 }), /"searchIntervalMax"/);
+    assert.throws(() => check({ searchJitter: 0.6 }), /"searchJitter"/);
+    assert.throws(() => check({ maxMissedSearches: -1 }), /"maxMissedSearches"/);
+});
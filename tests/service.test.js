@@ -0,0 +1,225 @@
+'use strict';
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mHttp = require('http');
+const UPnPUtilsService = require('../lib/upnp-utils-service.js');
+const mUpnpUtilsDd = require('../lib/upnp-utils-dd.js');
+const { ActionTimeoutError, HttpStatusError, UPnPActionError } = require('../lib/upnp-utils-errors.js');
+
+const SERVICE_TYPE = 'urn:schemas-upnp-org:service:RenderingControl:1';
+
+const FAULT = '<?xml version="1.0"?>' +
+    '<s:Envelope xmlns:s="http://schemas.xmlsoap.org/soap/envelope/"><s:Body><s:Fault>' +
+    '<faultcode>s:Client</faultcode><faultstring>UPnPError</faultstring><detail>' +
+    '<UPnPError xmlns="urn:schemas-upnp-org:control-1-0"><errorCode>702</errorCode>' +
+    '<errorDescription>Invalid InstanceID</errorDescription></UPnPError>' +
+    '</detail></s:Fault></s:Body></s:Envelope>';
+
+// Starts an HTTP server which handles the requests with the `handler`.
+const startServer = (handler) => {
+    return new Promise((resolve) => {
+        const server = mHttp.createServer(handler);
+        server.listen(0, '127.0.0.1', () => {
+            resolve(server);
+        });
+    });
+};
+
+const createService = (server, params = {}) => {
+    return new UPnPUtilsService(Object.assign({
+        serviceType: SERVICE_TYPE,
+        controlURL: 'http://127.0.0.1:' + server.address().port + '/ctl'
+    }, params));
+};
+
+test('invoke() rejects with an ActionTimeoutError if the device does not respond', async () => {
+    const server = await startServer(() => { });
+    try {
+        const service = createService(server, { timeout: 100 });
+        await assert.rejects(service.invoke('GetVolume', {}), (error) => {
+            return error instanceof ActionTimeoutError && error.code === 'ACTION_TIMEOUT' &&
+                error.action === 'GetVolume' && error.timeout === 100;
+        });
+    } finally {
+        server.closeAllConnections();
+        server.close();
+    }
+});
+
+test('invoke() rejects with an HttpStatusError for an unexpected status code', async () => {
+    const server = await startServer((req, res) => {
+        res.statusCode = 404;
+        res.end();
+    });
+    try {
+        await assert.rejects(createService(server).invoke('GetVolume', {}), (error) => {
+            return error instanceof HttpStatusError && error.statusCode === 404;
+        });
+    } finally {
+        server.close();
+    }
+});
+
+test('invoke() rejects with an UPnPActionError for a SOAP fault', async () => {
+    const server = await startServer((req, res) => {
+        res.statusCode = 500;
+        res.end(FAULT);
+    });
+    try {
+        await assert.rejects(createService(server).invoke('GetVolume', {}), (error) => {
+            return error instanceof UPnPActionError && error.errorCode === 702;
+        });
+    } finally {
+        server.close();
+    }
+});
+
+test('createRequestOptions() adds the zone to an IPv6 link-local address', () => {
+    assert.deepStrictEqual(mUpnpUtilsDd.createRequestOptions('http://[fe80::1]:8080/ctl', 'eth0'), {
+        protocol: 'http:',
+        hostname: 'fe80::1%eth0',
+        port: 8080,
+        path: '/ctl'
+    });
+    assert.strictEqual(mUpnpUtilsDd.createRequestOptions('https://[fe80::1%25wlan0]/ctl', 'eth0').hostname, 'fe80::1%wlan0');
+    assert.strictEqual(mUpnpUtilsDd.createRequestOptions('http://192.168.1.2/ctl', 'eth0'), 'http://192.168.1.2/ctl');
+});
+
+// An SCPD in the form parsed by the xml2js with the `explicitArray: false`
+const SCPD = {
+    serviceStateTable: {
+        stateVariable: [
+            { name: 'Volume', dataType: 'ui2', allowedValueRange: { minimum: '0', maximum: '100', step: '2' } },
+            { name: 'Delta', dataType: 'i4' },
+            { name: 'Channel', dataType: 'string', allowedValueList: { allowedValue: ['Master', 'LF'] } },
+            { name: 'Mute', dataType: 'boolean' },
+            { name: 'Count', dataType: 'ui4' },
+            { name: 'Big', dataType: 'ui8' },
+            { name: 'Signed', dataType: 'i8' }
+        ]
+    },
+    actionList: {
+        action: [
+            {
+                name: 'Set',
+                argumentList: {
+                    argument: ['Volume', 'Delta', 'Channel', 'Mute', 'Big', 'Signed'].map((n) => {
+                        return { name: n, direction: 'in', relatedStateVariable: n };
+                    })
+                }
+            },
+            {
+                name: 'Get',
+                argumentList: {
+                    argument: ['Count', 'Mute', 'Big'].map((n) => {
+                        return { name: n, direction: 'out', relatedStateVariable: n };
+                    })
+                }
+            }
+        ]
+    }
+};
+
+// Starts a server which returns the `response_body` of the `action_name`
+// and records the request bodies.
+const startActionServer = async (action_name, response_body = '') => {
+    const bodies = [];
+    const server = await startServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            bodies.push(body);
+            res.writeHead(200, { 'Content-Type': 'text/xml; charset="utf-8"' });
+            res.end('<?xml version="1.0"?><s:Envelope xmlns:s="http://schemas.xmlsoap.org/soap/envelope/"><s:Body>' +
+                '<u:' + action_name + 'Response xmlns:u="' + SERVICE_TYPE + '">' + response_body +
+                '</u:' + action_name + 'Response></s:Body></s:Envelope>');
+        });
+    });
+    return { server, bodies };
+};
+
+const getArg = (body, name) => {
+    const m = body.match(new RegExp('<' + name + '>([^<]*)</' + name + '>'));
+    return m ? m[1] : null;
+};
+
+const SET_ARGS = { Volume: 50, Delta: -1, Channel: 'Master', Mute: false, Big: 0, Signed: 0 };
+
+test('invoke() rejects in-arguments which do not match the state variables', async () => {
+    const { server, bodies } = await startActionServer('Set');
+    try {
+        const service = createService(server, { scpd: SCPD });
+        const cases = [
+            [{ Volume: 65536 }, /between 0 and 65535 \(ui2\)/],
+            [{ Volume: -1 }, /between 0 and 65535 \(ui2\)/],
+            [{ Volume: 1.5 }, /between 0 and 65535 \(ui2\)/],
+            [{ Delta: 2147483648 }, /between -2147483648 and 2147483647 \(i4\)/],
+            [{ Delta: 'abc' }, /must be a number \(i4\)/],
+            [{ Volume: 102 }, /out of the allowed range \(0 - 100\)/],
+            [{ Volume: 51 }, /multiple of the step 2/],
+            [{ Channel: 'RF' }, /must be one of \["Master","LF"\]/],
+            [{ Mute: 'maybe' }, /must be a boolean/],
+            [{ Big: 2 ** 60 }, /BigInt or a string/],
+            [{ Big: -1n }, /between 0 and 18446744073709551615 \(ui8\)/],
+            [{ Signed: '9223372036854775808' }, /\(i8\)/]
+        ];
+        for (const [args, re] of cases) {
+            await assert.rejects(service.invoke('Set', Object.assign({}, SET_ARGS, args)), re, JSON.stringify(args, (k, v) => {
+                return (typeof (v) === 'bigint') ? String(v) : v;
+            }));
+        }
+        await assert.rejects(service.invoke('Set', { Volume: 50 }), /"Delta" of the action "Set" is required/);
+        await assert.rejects(service.invoke('Set', Object.assign({ Foo: 1 }, SET_ARGS)), /not an in-argument/);
+        assert.strictEqual(bodies.length, 0);
+    } finally {
+        server.close();
+    }
+});
+
+test('invoke() coerces the in-arguments to the data types', async () => {
+    const { server, bodies } = await startActionServer('Set');
+    try {
+        const service = createService(server, { scpd: SCPD });
+        const cases = [
+            [{ Volume: '40', Mute: true }, { Volume: '40', Mute: '1' }],
+            [{ Mute: 'yes' }, { Mute: '1' }],
+            [{ Mute: 0 }, { Mute: '0' }],
+            [{ Mute: 'false' }, { Mute: '0' }],
+            [{ Delta: ' -20 ' }, { Delta: '-20' }],
+            [{ Big: '18446744073709551615' }, { Big: '18446744073709551615' }],
+            [{ Big: 2n ** 63n }, { Big: '9223372036854775808' }],
+            [{ Signed: '-9223372036854775808' }, { Signed: '-9223372036854775808' }],
+            [{ Signed: -3 }, { Signed: '-3' }]
+        ];
+        for (const [args, expected] of cases) {
+            await service.invoke('Set', Object.assign({}, SET_ARGS, args));
+            const body = bodies[bodies.length - 1];
+            for (const [name, text] of Object.entries(expected)) {
+                assert.strictEqual(getArg(body, name), text, name);
+            }
+        }
+    } finally {
+        server.close();
+    }
+});
+
+test('invoke() converts the out-arguments to the JavaScript types', async () => {
+    const { server } = await startActionServer('Get', '<Count>4294967295</Count><Mute>true</Mute><Big>18446744073709551615</Big>');
+    try {
+        const service = createService(server, { scpd: SCPD });
+        assert.deepStrictEqual(await service.invoke('Get', {}), {
+            Count: 4294967295,
+            Mute: true,
+            Big: '18446744073709551615'
+        });
+        assert.deepStrictEqual(await service.Get(), {
+            Count: 4294967295,
+            Mute: true,
+            Big: '18446744073709551615'
+        });
+    } finally {
+        server.close();
+    }
+});
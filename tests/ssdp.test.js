@@ -0,0 +1,111 @@
+'use strict';
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mUpnpUtilsSsdp = require('../lib/upnp-utils-ssdp.js');
+const { UPnPUtils, SsdpMessageError } = require('../lib/upnp-utils.js');
+
+const createResponse = (extra_lines) => {
+    return Buffer.from([
+        'HTTP/1.1 200 OK',
+        'EXT:',
+        'LOCATION: http://192.168.1.10:8080/desc.xml',
+        'SERVER: Linux/5.0 UPnP/1.1 Test/1.0',
+        'ST: upnp:rootdevice',
+        'USN: uuid:lenient::upnp:rootdevice'
+    ].concat(extra_lines, ['', '']).join('\r\n'));
+};
+
+test('parse() handles LF line endings, folded lines and repeated headers', () => {
+    const msg = mUpnpUtilsSsdp.parse([
+        'NOTIFY * HTTP/1.1',
+        'HOST: 239.255.255.250:1900',
+        'CACHE-CONTROL: max-age=1800',
+        'LOCATION: http://192.168.1.10:8080/desc.xml',
+        'NT: upnp:rootdevice',
+        'NTS: ssdp:alive',
+        'SERVER: Linux/5.0',
+        '  UPnP/1.1 Test/1.0',
+        'USN: uuid:abc::upnp:rootdevice',
+        'X-Test: a',
+        'x-test: b',
+        'OPT: "http://schemas.upnp.org/upnp/1/0/"; ns=01',
+        '01-NLS: 1234',
+        'BOOTID.UPNP.ORG: 7',
+        '', ''
+    ].join('\n'));
+    assert.strictEqual(msg.type, 'notify');
+    assert.strictEqual(msg.nts, 'ssdp:alive');
+    assert.strictEqual(msg.server, 'Linux/5.0 UPnP/1.1 Test/1.0');
+    assert.strictEqual(msg.headers['X-TEST'], 'a, b');
+    assert.strictEqual(msg.maxAge, 1800);
+    assert.strictEqual(msg.nls, '1234');
+    assert.strictEqual(msg.bootId, 7);
+    assert.strictEqual(msg.configId, null);
+});
+
+test('parse() rejects malformed messages with the reason', () => {
+    const cases = [
+        ['', 'EMPTY'],
+        ['GET / HTTP/1.1\r\n\r\n', 'UNSUPPORTED_METHOD'],
+        ['NOTIFY /x HTTP/1.1\r\n\r\n', 'INVALID_START_LINE'],
+        ['M-SEARCH * HTTP/2.0\r\n\r\n', 'UNSUPPORTED_VERSION'],
+        ['M-SEARCH * HTTP/1.1\r\nMAN "ssdp:discover"\r\n\r\n', 'INVALID_HEADER_LINE'],
+        ['M-SEARCH * HTTP/1.1\r\nMAN: "ssdp:discover"\r\nST: a\r\nST: b\r\n\r\n', 'DUPLICATE_HEADER'],
+        ['M-SEARCH * HTTP/1.1\r\nMAN: "ssdp:discover"\r\n\r\n', 'MISSING_HEADER'],
+        ['M-SEARCH * HTTP/1.1\r\nMAN: ssdp:discover\r\nST: ssdp:all\r\n\r\n', 'INVALID_HEADER_VALUE']
+    ];
+    for (const [text, reason] of cases) {
+        assert.throws(() => mUpnpUtilsSsdp.parse(text), (error) => {
+            return error instanceof SsdpMessageError && error.reason === reason;
+        }, reason);
+    }
+});
+
+test('parse() rejects invalid optional headers unless it is lenient', () => {
+    const cases = [
+        [['CACHE-CONTROL: no-cache'], 'CACHE-CONTROL', 'maxAge'],
+        [['CACHE-CONTROL: max-age=1800', 'CONFIGID.UPNP.ORG: abc'], 'CONFIGID.UPNP.ORG', 'configId'],
+        [['CACHE-CONTROL: max-age=1800', 'BOOTID.UPNP.ORG: -1'], 'BOOTID.UPNP.ORG', 'bootId'],
+        [['CACHE-CONTROL: max-age=1800', 'SEARCHPORT.UPNP.ORG: 1900'], 'SEARCHPORT.UPNP.ORG', 'searchPort']
+    ];
+    for (const [lines, header, prop] of cases) {
+        const buf = createResponse(lines);
+        assert.throws(() => mUpnpUtilsSsdp.parse(buf), (error) => {
+            return error.reason === 'INVALID_HEADER_VALUE' && error.header === header;
+        }, header);
+        const msg = mUpnpUtilsSsdp.parse(buf, { lenient: true });
+        assert.strictEqual(msg[prop], null, header);
+        assert.strictEqual(msg.usn, 'uuid:lenient::upnp:rootdevice');
+    }
+});
+
+test('build() creates a message which parse() accepts', () => {
+    const buf = mUpnpUtilsSsdp.build({
+        type: 'response',
+        headers: [['CACHE-CONTROL', 'max-age=120'], ['EXT', ''], ['LOCATION', 'http://192.168.1.10/d.xml'], ['ST', 'ssdp:all'], ['USN', 'uuid:abc'], ['BOOTID.UPNP.ORG', 3]]
+    });
+    assert.ok(buf.toString().startsWith('HTTP/1.1 200 OK\r\nCACHE-CONTROL: max-age=120\r\nEXT:\r\n'));
+    const msg = mUpnpUtilsSsdp.parse(buf);
+    assert.strictEqual(msg.maxAge, 120);
+    assert.strictEqual(msg.ext, true);
+    assert.strictEqual(msg.bootId, 3);
+
+    assert.throws(() => mUpnpUtilsSsdp.build({ type: 'search', headers: { ST: 'ssdp:all' } }), (error) => {
+        return error instanceof SsdpMessageError && error.reason === 'MISSING_HEADER' && error.header === 'MAN';
+    });
+    assert.throws(() => mUpnpUtilsSsdp.build({ type: 'search', headers: { MAN: '"ssdp:discover"', ST: 'a\r\nX: b' } }), /line breaks/);
+});
+
+test('the discovery accepts a response with invalid optional headers', async () => {
+    const upnp = new UPnPUtils();
+    upnp._params = { st: ['upnp:rootdevice'] };
+    upnp._fetchDescription = async () => { };
+    const before = Date.now();
+    await upnp._receivePacket(createResponse(['CACHE-CONTROL: no-cache', 'CONFIGID.UPNP.ORG: abc', 'SEARCHPORT.UPNP.ORG: 1900']), {
+        address: '192.168.1.10',
+        port: 1900
+    });
+    const device = upnp._devices['uuid:lenient'];
+    assert.ok(device);
+    assert.ok(device['expire'] >= before + 1800 * 1000);
+});
@@ -0,0 +1,155 @@
+'use strict';
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mEventEmitter = require('events');
+const mFs = require('fs');
+const mOs = require('os');
+const mPath = require('path');
+const mUpnpUtilsModel = require('../lib/upnp-utils-model.js');
+const { UPnPUtils } = require('../lib/upnp-utils.js');
+
+// A UDP socket which does not touch the network
+class FakeSocket extends mEventEmitter {
+    bind(opts, callback) {
+        setImmediate(() => {
+            this.emit('listening');
+            callback();
+        });
+    }
+    addMembership() { }
+    dropMembership() { }
+    setMulticastInterface() { }
+    send(buf, offset, length, port, addr, callback) {
+        callback();
+    }
+    close(callback) {
+        if (callback) {
+            setImmediate(callback);
+        }
+    }
+    unref() { }
+}
+
+const createResponse = (udn, st = 'upnp:rootdevice') => {
+    return Buffer.from([
+        'HTTP/1.1 200 OK',
+        'CACHE-CONTROL: max-age=1800',
+        'EXT:',
+        'LOCATION: http://192.168.1.10/' + udn + '.xml',
+        'SERVER: Linux/5.0 UPnP/1.1 Test/1.0',
+        'ST: ' + st,
+        'USN: ' + udn + '::' + st,
+        '', ''
+    ].join('\r\n'));
+};
+
+const RINFO = { address: '192.168.1.10', port: 1900, family: 'IPv4' };
+
+// Creates a discovery instance which records the events. The description
+// is created from the UDN instead of being fetched.
+const createUpnp = (params = {}) => {
+    const upnp = new UPnPUtils(Object.assign({ createSocket: () => new FakeSocket() }, params));
+    upnp.wait = async () => { };
+    upnp._fetchDescription = async (device) => {
+        device['description'] = {
+            device: {
+                deviceType: 'urn:schemas-upnp-org:device:Basic:1',
+                friendlyName: 'Device ' + device['udn'],
+                UDN: device['udn']
+            }
+        };
+        device['model'] = mUpnpUtilsModel.create(device['description'], device['headers']['LOCATION']);
+    };
+    const events = [];
+    for (const type of ['added', 'updated', 'deleted']) {
+        upnp.on(type, (device, diff) => events.push({ type, udn: device['udn'], verified: device['verified'], diff }));
+    }
+    return { upnp, events };
+};
+
+// Returns the state of a discovery which found the "uuid:a" and "uuid:b".
+const discover = async () => {
+    const { upnp } = createUpnp();
+    await upnp.startDiscovery({ st: 'upnp:rootdevice' });
+    await upnp._receivePacket(createResponse('uuid:a'), RINFO);
+    await upnp._receivePacket(createResponse('uuid:b'), RINFO);
+    const state = JSON.parse(JSON.stringify(upnp.exportState()));
+    await upnp.stopDiscovery();
+    return state;
+};
+
+test('importState() restores the exported devices as unverified', async () => {
+    const state = await discover();
+    assert.strictEqual(state['version'], 1);
+    assert.strictEqual(typeof (state['savedAt']), 'number');
+    assert.deepStrictEqual(state['devices'].map((d) => d['verified']), [true, true]);
+
+    // The model is created from the description if it is not saved.
+    delete state['devices'][1]['model'];
+    // An expired device and a broken entry are skipped.
+    const expired = JSON.parse(JSON.stringify(state['devices'][0]));
+    expired['udn'] = 'uuid:expired';
+    expired['usnList'][0]['expire'] = Date.now() - 1;
+    state['devices'].push(expired, { udn: 'uuid:broken' });
+
+    const { upnp, events } = createUpnp();
+    assert.strictEqual(upnp.importState(state), 2);
+    const list = upnp.getActiveDeviceList();
+    assert.deepStrictEqual(list.map((d) => d['udn']), ['uuid:a', 'uuid:b']);
+    assert.deepStrictEqual(list.map((d) => d['verified']), [false, false]);
+    assert.strictEqual(list[1]['model']['friendlyName'], 'Device uuid:b');
+    assert.deepStrictEqual(events, []);
+
+    // The devices already known are skipped.
+    assert.strictEqual(upnp.importState(state), 0);
+
+    assert.throws(() => upnp.importState(Object.assign({}, state, { version: 2 })), /version of the state is not supported/);
+    assert.throws(() => upnp.importState({ version: 1 }), /returned by the exportState/);
+});
+
+test('a restored device is kept by the discovery and confirmed by a response', async () => {
+    const state = await discover();
+    const { upnp, events } = createUpnp();
+    upnp.importState(state);
+
+    // The devices which do not match the STs are dropped.
+    await upnp.startDiscovery({ st: 'urn:schemas-upnp-org:device:MediaServer:1' });
+    await upnp.stopDiscovery();
+    assert.deepStrictEqual(upnp.getActiveDeviceList(), []);
+
+    upnp.importState(state);
+    await upnp.startDiscovery({ st: 'upnp:rootdevice' });
+    assert.deepStrictEqual(upnp.getActiveDeviceList().map((d) => d['udn']), ['uuid:a', 'uuid:b']);
+    await upnp._receivePacket(createResponse('uuid:a'), RINFO);
+    await upnp._receivePacket(createResponse('uuid:a'), RINFO);
+    assert.deepStrictEqual(events, [{
+        type: 'updated',
+        udn: 'uuid:a',
+        verified: true,
+        diff: { verified: { oldValue: false, newValue: true } }
+    }]);
+    assert.deepStrictEqual(upnp.getActiveDeviceList().map((d) => d['verified']), [true, false]);
+    await upnp.stopDiscovery();
+});
+
+test('the devices are saved to the cacheFile and restored from it', async () => {
+    const dir = await mFs.promises.mkdtemp(mPath.join(mOs.tmpdir(), 'upnp-utils-'));
+    const path = mPath.join(dir, 'devices.json');
+    try {
+        const first = createUpnp({ cacheFile: path }).upnp;
+        await first.startDiscovery();
+        await first._receivePacket(createResponse('uuid:a'), RINFO);
+        await first.stopDiscovery();
+        assert.deepStrictEqual(await mFs.promises.readdir(dir), ['devices.json']);
+
+        const { upnp, events } = createUpnp({ cacheFile: path });
+        await upnp.startDiscovery();
+        const list = upnp.getActiveDeviceList();
+        assert.deepStrictEqual(list.map((d) => d['udn'] + ' ' + d['verified']), ['uuid:a false']);
+        assert.strictEqual(list[0]['model']['friendlyName'], 'Device uuid:a');
+        await upnp.stopDiscovery();
+        assert.deepStrictEqual(events, []);
+    } finally {
+        await mFs.promises.rm(dir, { recursive: true, force: true });
+    }
+});